@@ -4,12 +4,25 @@
 
 import { useEffect } from 'react';
 import PresaleWidget from './components/PresaleWidget';
+import PurchaseFeed from './components/PurchaseFeed';
+import StatsDashboard from './components/StatsDashboard';
+import AdminPanel from './components/AdminPanel';
 import NotificationSystem from './components/NotificationSystem';
 import Footer from './components/Footer';
 import { useNotifications } from './hooks/useNotifications';
 import './config/wagmi'; // Initialize AppKit for wallet connections
 import './App.css';
 
+/** Presale page and public stats view (the host must serve index.html for both) */
+const PRESALE_PATH = import.meta.env.BASE_URL;
+const STATS_PATH = `${import.meta.env.BASE_URL}stats`;
+
+/**
+ * Whether the current URL is the stats view
+ * @returns {boolean} True on /stats (trailing slash allowed)
+ */
+const isStatsPath = () => window.location.pathname.replace(/\/+$/, '') === STATS_PATH;
+
 /**
  * Main Application Component
  *
@@ -18,7 +31,10 @@ import './App.css';
  * - Background particle animations for visual appeal
  * - Global notification system for user feedback
  * - Layout structure with header, main content, and footer
+ * - Live feed of recent purchases next to the widget
+ * - Public sale statistics on /stats
  * - Wallet connection initialization through AppKit
+ * - Owner-only admin console (hidden for everyone else)
  *
  * @returns {JSX.Element} The complete application interface
  */
@@ -80,9 +96,23 @@ function App() {
       <div className="background-gradient"></div>
 
       {/* Main content container */}
-      <div className="app-container">
-        <PresaleWidget addNotification={addNotification} />
-      </div>
+      {isStatsPath() ? (
+        <div className="app-container stats-view">
+          <StatsDashboard presaleHref={PRESALE_PATH} />
+        </div>
+      ) : (
+        <div className="app-container">
+          <PresaleWidget addNotification={addNotification} />
+
+          {/* Live feed of recent purchases (social proof) */}
+          <PurchaseFeed />
+
+          <a href={STATS_PATH} className="stats-link">View sale statistics →</a>
+
+          {/* Owner admin console - only rendered for the contract owner */}
+          <AdminPanel addNotification={addNotification} />
+        </div>
+      )}
 
       {/* Footer with additional information */}
       <Footer />
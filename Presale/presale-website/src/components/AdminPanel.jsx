@@ -0,0 +1,326 @@
+// ══════════════════════════════════════════════════════════════════════════════════════
+// OWNER ADMIN CONSOLE COMPONENT
+// ══════════════════════════════════════════════════════════════════════════════════════
+
+import { useState, useEffect, useMemo } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import { useAdminContract } from '../hooks/useAdminContract';
+import { ADMIN_ACTIONS, getDefaultAdminValues, parseAdminArgs } from '../config/adminActions';
+import './AdminPanel.css';
+
+/**
+ * Owner Admin Console Component
+ *
+ * Gives the presale owner a form for every admin function in PRESALE_ABI so
+ * configuration no longer has to go through Remix. Only rendered when the
+ * connected wallet matches the contract's owner().
+ *
+ * Features:
+ * - One form per admin function, generated from ADMIN_ACTIONS
+ * - Input validation that mirrors the contract's require checks
+ * - Live preview of the function signature and encoded calldata
+ * - Confirmation of the emitted event once the transaction is mined
+ *
+ * @param {Object} props
+ * @param {Function} props.addNotification - Function to display notifications to user
+ * @returns {JSX.Element|null} Admin console or null for non-owners
+ */
+const AdminPanel = ({ addNotification }) => {
+  // ────────────────────────────────────────────────────────────────────────────────────
+  // ADMIN CONTRACT INTEGRATION
+  // ────────────────────────────────────────────────────────────────────────────────────
+
+  const {
+    isOwner,
+    pendingAction,
+    encodeAdminCall,
+    validateAdminCall,
+    executeAdminCall
+  } = useAdminContract();
+
+  // ────────────────────────────────────────────────────────────────────────────────────
+  // COMPONENT STATE
+  // ────────────────────────────────────────────────────────────────────────────────────
+
+  /** Function name of the selected admin action */
+  const [selectedFn, setSelectedFn] = useState(ADMIN_ACTIONS[0].fn);
+
+  /** Raw form values for the selected action */
+  const [values, setValues] = useState(() => getDefaultAdminValues(ADMIN_ACTIONS[0]));
+
+  /** Revert reason the contract would give for the current inputs */
+  const [revertReason, setRevertReason] = useState(null);
+
+  /** Decoded events from the last mined admin transaction */
+  const [lastResult, setLastResult] = useState(null);
+
+  /** Currently selected action definition */
+  const action = ADMIN_ACTIONS.find((a) => a.fn === selectedFn);
+
+  // ────────────────────────────────────────────────────────────────────────────────────
+  // CALL PREVIEW
+  // ────────────────────────────────────────────────────────────────────────────────────
+
+  /**
+   * Parse the form and encode the call on every change.
+   * Parse errors are surfaced in place of the preview.
+   */
+  const preview = useMemo(() => {
+    try {
+      const args = parseAdminArgs(action, values);
+      return { args, ...encodeAdminCall(action.fn, args), error: null };
+    } catch (err) {
+      return { args: null, signature: null, data: null, error: err.message };
+    }
+  }, [action, values, encodeAdminCall]);
+
+  /**
+   * Mirrored Require Check Effect
+   *
+   * Re-runs the action's contract checks whenever the parsed arguments change.
+   * Debounced because some checks (withdrawals) read balances from the chain.
+   */
+  useEffect(() => {
+    if (!isOwner || !preview.args) {
+      setRevertReason(null);
+      return;
+    }
+
+    let cancelled = false;
+    const debounceTimer = setTimeout(async () => {
+      try {
+        const reason = await validateAdminCall(action, preview.args);
+        if (!cancelled) setRevertReason(reason);
+      } catch (err) {
+        console.error('Error validating admin call:', err);
+      }
+    }, 300);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(debounceTimer);
+    };
+  }, [isOwner, action, preview.args, validateAdminCall]);
+
+  // ────────────────────────────────────────────────────────────────────────────────────
+  // EVENT HANDLERS
+  // ────────────────────────────────────────────────────────────────────────────────────
+
+  /**
+   * Switch to another admin action and reset the form
+   * @param {string} fn - Function name of the action to select
+   */
+  const handleSelectAction = (fn) => {
+    const next = ADMIN_ACTIONS.find((a) => a.fn === fn);
+    setSelectedFn(fn);
+    setValues(getDefaultAdminValues(next));
+    setLastResult(null);
+  };
+
+  /**
+   * Update a single form field
+   * @param {string} name - Field name
+   * @param {string|boolean} value - New raw value
+   */
+  const handleFieldChange = (name, value) => {
+    setValues((prev) => ({ ...prev, [name]: value }));
+  };
+
+  /**
+   * Submit the selected admin action
+   *
+   * Sends the transaction, waits for it to be mined and checks that the
+   * expected event was emitted before reporting success.
+   */
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (preview.error || revertReason) return;
+
+    try {
+      addNotification({
+        type: 'info',
+        title: 'Admin Transaction',
+        message: `Submitting ${action.fn}...`,
+        duration: 4000
+      });
+
+      const { tx, events } = await executeAdminCall(action, preview.args);
+      const confirmed = events.find((event) => event.name === action.event);
+
+      setLastResult({ fn: action.fn, txHash: tx.hash, events });
+
+      addNotification({
+        type: confirmed ? 'success' : 'warning',
+        title: confirmed ? `${action.event} Confirmed` : 'Event Not Found',
+        message: confirmed
+          ? `${action.fn} was mined and emitted ${action.event}.`
+          : `${action.fn} was mined but ${action.event} was not emitted.`,
+        txHash: tx.hash,
+        chainId: Number(tx.chainId),
+        duration: 6000
+      });
+    } catch (err) {
+      console.error('Admin call error:', err);
+      addNotification({
+        type: 'error',
+        title: 'Admin Call Failed',
+        message: err.shortMessage || err.message,
+        duration: 6000
+      });
+    }
+  };
+
+  // ────────────────────────────────────────────────────────────────────────────────────
+  // UTILITY FUNCTIONS
+  // ────────────────────────────────────────────────────────────────────────────────────
+
+  /**
+   * Format a decoded event argument for display
+   * @param {*} value - Decoded argument (bigint, string, boolean)
+   * @returns {string} Printable value
+   */
+  const formatArg = (value) => (typeof value === 'bigint' ? value.toString() : String(value));
+
+  /**
+   * Render the input element for a field type
+   * @param {Object} field - Field definition
+   * @returns {JSX.Element} Form input
+   */
+  const renderInput = (field) => {
+    if (field.type === 'bool') {
+      return (
+        <input
+          type="checkbox"
+          checked={values[field.name]}
+          onChange={(e) => handleFieldChange(field.name, e.target.checked)}
+        />
+      );
+    }
+
+    return (
+      <input
+        type={field.type === 'timestamp' ? 'datetime-local' : 'text'}
+        value={values[field.name]}
+        placeholder={field.type === 'address' ? '0x...' : ''}
+        onChange={(e) => handleFieldChange(field.name, e.target.value)}
+      />
+    );
+  };
+
+  // ────────────────────────────────────────────────────────────────────────────────────
+  // CONDITIONAL RENDERING
+  // ────────────────────────────────────────────────────────────────────────────────────
+
+  // Only the contract owner sees the admin console
+  if (!isOwner) {
+    return null;
+  }
+
+  const isSubmitting = pendingAction === action.fn;
+
+  // ────────────────────────────────────────────────────────────────────────────────────
+  // COMPONENT RENDER
+  // ────────────────────────────────────────────────────────────────────────────────────
+
+  return (
+    <motion.div
+      className="admin-panel"
+      initial={{ opacity: 0, y: 20 }}
+      animate={{ opacity: 1, y: 0 }}
+      transition={{ duration: 0.6 }}
+    >
+      <div className="admin-header">
+        <h3>Owner Console</h3>
+      </div>
+
+      {/* Action selector */}
+      <div className="admin-actions">
+        {ADMIN_ACTIONS.map((a) => (
+          <button
+            key={a.fn}
+            className={`admin-action-btn ${a.fn === selectedFn ? 'active' : ''}`}
+            onClick={() => handleSelectAction(a.fn)}
+            disabled={Boolean(pendingAction)}
+          >
+            {a.label}
+          </button>
+        ))}
+      </div>
+
+      {/* Action form */}
+      <form className="admin-form" onSubmit={handleSubmit}>
+        <p className="admin-description">{action.description}</p>
+
+        {action.fields.map((field) => (
+          <label
+            key={field.name}
+            className={`admin-field ${field.type === 'bool' ? 'checkbox' : ''}`}
+          >
+            <span>{field.label}</span>
+            {renderInput(field)}
+          </label>
+        ))}
+
+        {/* Encoded call preview */}
+        <div className="admin-preview">
+          {preview.error ? (
+            <span className="admin-preview-error">{preview.error}</span>
+          ) : (
+            <>
+              <code className="admin-signature">{preview.signature}</code>
+              <code className="admin-calldata">{preview.data}</code>
+            </>
+          )}
+        </div>
+
+        {revertReason && (
+          <div className="error-message">Contract would revert: {revertReason}</div>
+        )}
+
+        <motion.button
+          type="submit"
+          className="admin-submit"
+          disabled={Boolean(preview.error || revertReason || pendingAction)}
+          whileHover={{ scale: 1.02 }}
+          whileTap={{ scale: 0.98 }}
+        >
+          {isSubmitting ? (
+            <div className="loading-spinner">
+              <div className="spinner"></div>
+              Waiting for confirmation...
+            </div>
+          ) : (
+            `Send ${action.fn}`
+          )}
+        </motion.button>
+      </form>
+
+      {/* Emitted event confirmation */}
+      <AnimatePresence>
+        {lastResult && lastResult.fn === selectedFn && (
+          <motion.div
+            className="admin-result"
+            initial={{ opacity: 0, y: 10 }}
+            animate={{ opacity: 1, y: 0 }}
+            exit={{ opacity: 0, y: -10 }}
+            transition={{ duration: 0.3 }}
+          >
+            {lastResult.events.map((event, index) => (
+              <div key={`${event.name}-${index}`} className="admin-event">
+                <span className="admin-event-name">{event.name}</span>
+                {event.fragment.inputs.map((input, i) => (
+                  <div key={input.name} className="admin-event-arg">
+                    <span>{input.name}</span>
+                    <span>{formatArg(event.args[i])}</span>
+                  </div>
+                ))}
+              </div>
+            ))}
+          </motion.div>
+        )}
+      </AnimatePresence>
+    </motion.div>
+  );
+};
+
+export default AdminPanel;
@@ -0,0 +1,63 @@
+// ══════════════════════════════════════════════════════════════════════════════════════
+// CONFIGURATION ERROR SCREEN
+// ══════════════════════════════════════════════════════════════════════════════════════
+
+import { ENV_SCHEMA } from '../config/env';
+import './ConfigError.css';
+
+/**
+ * Configuration Error Screen
+ *
+ * Rendered instead of the app when startup validation of the environment
+ * fails, so a misconfigured deployment shows exactly what to fix instead of a
+ * widget that cannot read the contract or connect a wallet.
+ *
+ * Lists every problem found and the full set of supported variables.
+ *
+ * @param {Object} props
+ * @param {Array<{ key: string, message: string }>} props.errors - Problems from CONFIG_ERRORS
+ * @returns {JSX.Element} Full-page configuration error
+ */
+const ConfigError = ({ errors }) => {
+  return (
+    <div className="config-error-page">
+      <div className="config-error" role="alert">
+        <h1>Configuration Error</h1>
+        <p className="config-error-intro">
+          The presale cannot start because its environment configuration is invalid.
+        </p>
+
+        {/* Problems found at startup */}
+        <ul className="config-error-list">
+          {errors.map((error) => (
+            <li key={`${error.key}-${error.message}`}>
+              <code>{error.key}</code>
+              <span>{error.message}</span>
+            </li>
+          ))}
+        </ul>
+
+        {/* Reference of every supported variable */}
+        <h2>Expected variables</h2>
+        <ul className="config-error-schema">
+          {ENV_SCHEMA.map((variable) => (
+            <li key={variable.key}>
+              <code>{variable.key}</code>
+              <span>
+                {variable.description}
+                {!variable.required && ' (optional)'}
+              </span>
+            </li>
+          ))}
+        </ul>
+
+        <p className="config-error-hint">
+          Copy <code>.env.example</code> to <code>.env</code>, fill in the values and restart the
+          dev server. For hosted builds, set the variables in your hosting provider and redeploy.
+        </p>
+      </div>
+    </div>
+  );
+};
+
+export default ConfigError;
@@ -4,6 +4,8 @@
 
 import { useState, useEffect } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
+import { getDeployment } from '../config/deployments';
+import { useDeployment } from '../hooks/useDeployment';
 import './NotificationSystem.css';
 
 /**
@@ -22,7 +24,7 @@ import './NotificationSystem.css';
  * - Smooth entrance/exit animations
  * - Auto-dismiss with progress bar
  * - Manual close option
- * - Transaction hash links to Etherscan
+ * - Transaction hash links to the block explorer of the chain the tx was sent on
  * - Stacked display for multiple notifications
  * - Responsive design for mobile devices
  *
@@ -32,6 +34,16 @@ import './NotificationSystem.css';
  * @returns {JSX.Element} The notification system overlay
  */
 const NotificationSystem = ({ notifications, removeNotification }) => {
+  /** Active deployment, used for links on notifications without a chainId */
+  const { deployment } = useDeployment();
+
+  /**
+   * Explorer for a notification's transaction
+   * @param {Object} notification - Notification with a txHash
+   * @returns {Object} Deployment whose explorer the tx link should use
+   */
+  const getExplorer = (notification) => getDeployment(notification.chainId) || deployment;
+
   return (
     <div className="notification-container">
       {/* AnimatePresence handles smooth animations when notifications are added/removed */}
@@ -82,12 +94,12 @@ const NotificationSystem = ({ notifications, removeNotification }) => {
               {/* Optional transaction hash link for blockchain operations */}
               {notification.txHash && (
                 <a
-                  href={`https://sepolia.etherscan.io/tx/${notification.txHash}`}
+                  href={`${getExplorer(notification).explorerUrl}/tx/${notification.txHash}`}
                   target="_blank"
                   rel="noopener noreferrer"
                   className="tx-link"
                 >
-                  View on Etherscan →
+                  View on {getExplorer(notification).explorerName} →
                 </a>
               )}
             </div>
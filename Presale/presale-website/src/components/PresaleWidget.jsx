@@ -5,22 +5,43 @@
 import { useState, useEffect, useRef } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
 import gsap from 'gsap';
+import { ethers } from 'ethers';
 import { usePresaleContract } from '../hooks/usePresaleContract';
-import { HARDCAP_USD, PRESALE_END_DATE } from '../config/contracts';
+import { DEPLOYMENTS, SUPPORTED_DEPLOYMENTS } from '../config/deployments';
+import { PRESALE_PHASES, getPresalePhase, getTimeLeft } from '../utils/presalePhase';
+import { decodePresaleError, PRESALE_ERRORS } from '../utils/presaleErrors';
+import { getOracleIssue } from '../utils/priceQuote';
 import ConnectButton from './ConnectButton';
-import { TokenSelector, EthLogo, UsdcLogo } from './TokenLogos';
+import { TokenSelector, TokenLogo } from './TokenLogos';
 import UserStats from './UserStats';
+import TransactionSteps from './TransactionSteps';
+import PriceDetails from './PriceDetails';
+import { useTransactionFlow } from '../hooks/useTransactionFlow';
+import { TX_STATUS } from '../utils/transactionManager';
 import './PresaleWidget.css';
 
+/** How often the selected token's oracle round is re-read (ms) */
+const PRICE_DETAILS_REFRESH_MS = 30000;
+
+/** Allowances at or above this are shown as unlimited (wallets may lower MaxUint256 slightly) */
+const UNLIMITED_ALLOWANCE = ethers.MaxUint256 / 2n;
+
 /**
  * Main Presale Widget Component
  *
  * This is the core component that handles the entire presale interaction flow.
  * It provides users with:
- * - Real-time countdown timer to presale end
- * - Progress tracking showing funds raised vs hardcap
- * - Payment method selection (ETH/USDC)
- * - Live quote calculations with 10% bonus display
+ * - Phase-specific layouts: upcoming, live, ended and sold out
+ * - Real-time countdown to the on-chain start or end time
+ * - Progress tracking showing funds raised vs the on-chain hardcap
+ * - Payment method selection from the payment token registry
+ * - Remaining wallet/hard-cap allowance with a "Max" amount shortcut
+ * - Token approval as an explicit step (exact or unlimited), with the current allowance
+ * - Approve/buy step indicator that survives reloads
+ * - Live quote calculations with 10% bonus display, from the amount paid or
+ *   from the QC7 wanted
+ * - Price details (static price or Chainlink feed, staleness, bounds), with
+ *   purchases blocked while the oracle is stale or out of bounds
  * - Purchase execution with comprehensive error handling
  * - Smooth animations and transitions throughout
  *
@@ -43,23 +64,35 @@ const PresaleWidget = ({ addNotification }) => {
   // COMPONENT STATE
   // ────────────────────────────────────────────────────────────────────────────────────
 
-  /** Currently selected payment method (ETH or USDC) */
-  const [paymentType, setPaymentType] = useState('ETH');
+  /** Key of the currently selected payment token (null = first accepted token) */
+  const [paymentType, setPaymentType] = useState(null);
 
   /** User input amount for purchase */
   const [amount, setAmount] = useState('');
 
+  /** QC7 amount typed into the "You receive" field (bonus included) */
+  const [receiveAmount, setReceiveAmount] = useState('');
+
+  /** Field the user typed into last: 'pay' quotes forward, 'receive' solves for the payment */
+  const [quoteInput, setQuoteInput] = useState('pay');
+
+  /** How a payment token is priced (static price or latest oracle round), with its key */
+  const [loadedPriceDetails, setLoadedPriceDetails] = useState(null);
+
   /** Live quote showing expected tokens and USD value */
   const [quote, setQuote] = useState({ tokensOut: '0', usdPaid: '0' });
 
-  /** Total amount raised in the presale so far */
-  const [totalRaised, setTotalRaised] = useState(0);
+  /** Purchase limits for the selected token (remaining allowance, balance, max amount) */
+  const [limits, setLimits] = useState(null);
 
-  /** Progress percentage (0-100) toward hardcap */
-  const [progress, setProgress] = useState(0);
+  /** Pre-flight simulation of the entered purchase (null until simulated) */
+  const [simulation, setSimulation] = useState(null);
 
-  /** Countdown timer object with days, hours, minutes, seconds */
-  const [timeLeft, setTimeLeft] = useState({});
+  /** Chain ID the wallet is being switched to (null when idle) */
+  const [switchingTo, setSwitchingTo] = useState(null);
+
+  /** Current unix time in seconds, ticking every second for countdowns and phases */
+  const [now, setNow] = useState(() => Math.floor(Date.now() / 1000));
   
   // ────────────────────────────────────────────────────────────────────────────────────
   // SMART CONTRACT INTEGRATION
@@ -67,29 +100,85 @@ const PresaleWidget = ({ addNotification }) => {
 
   /**
    * Smart contract interaction hook that provides:
+   * - chainId: Chain the wallet is on
+   * - deployment: Registry entry of the active chain (native symbol, explorer, addresses)
+   * - isSupportedChain: False when the wallet is on a chain without a deployment
+   * - switchNetwork: Function to move the wallet to a supported chain
    * - loading: Boolean indicating if any contract operation is in progress
    * - error: Any error message from contract interactions
    * - isConnected: Whether user has connected their wallet
-   * - buyWithETH/buyWithUSDC: Functions to execute purchases
-   * - getTotalRaised: Function to fetch current fundraising progress
+   * - address: Connected wallet address
+   * - paymentTokens: Payment tokens currently accepted on-chain
+   * - presaleState: On-chain window, caps, price, total raised and QC7 inventory (null while loading)
+   * - buyWithToken: Function to execute a purchase with any registered token
    * - getUserSpent: Function to get user's total spending
-   * - getHardCap: Function to get maximum fundraising goal
+   * - getPurchaseHistory: Function to load user's TokensPurchased events
+   * - getPurchaseLimits: Function to compute remaining allowance and max amount
+   * - simulatePurchase: Function to dry-run a purchase and estimate its gas cost
    * - getQuote: Function to calculate expected tokens for given amount
+   * - getReverseQuote: Function to calculate the payment needed for a QC7 amount
+   * - getPriceDetails: Function to read how a payment token is priced
    * - addTokenToWallet: Function to add QC7 token to user's wallet
    */
   const {
+    chainId,
+    deployment,
+    isSupportedChain,
+    switchNetwork,
     loading,
     error,
     isConnected,
-    buyWithETH,
-    buyWithUSDC,
-    getTotalRaised,
+    address,
+    paymentTokens,
+    presaleState,
+    rpcStatus,
+    buyWithToken,
     getUserSpent,
-    getHardCap,
+    getPurchaseHistory,
+    getPurchaseLimits,
+    getAllowances,
+    getApprovalMethod,
+    revokeAllowance,
+    simulatePurchase,
     getQuote,
+    getReverseQuote,
+    getPriceDetails,
     addTokenToWallet
   } = usePresaleContract();
 
+  /** Presale allowance per ERC20 payment token for the connected wallet */
+  const [allowances, setAllowances] = useState([]);
+
+  /** How a missing allowance is granted: 'batch', 'permit' or 'approve' (see getApprovalMethod) */
+  const [approvalMethod, setApprovalMethod] = useState(null);
+
+  /** Approve exactly the entered amount, or an unlimited allowance reused by later purchases */
+  const [approvalMode, setApprovalMode] = useState('exact');
+
+  /** Latest purchase flow (approve and buy steps), kept across reloads */
+  const { flow: transactionFlow, dismiss: dismissTransactionFlow } = useTransactionFlow();
+
+  /** The step indicator already shows errors of failed transactions */
+  const errorShownInSteps = Boolean(transactionFlow?.steps.some((step) => step.error === error));
+
+  /** Selected payment token, falling back to the first accepted one if it was disabled */
+  const paymentToken = paymentTokens.find((token) => token.key === paymentType) || paymentTokens[0] || null;
+
+  /** Symbol shown in labels (empty while no payment token is accepted) */
+  const paymentSymbol = paymentToken ? paymentToken.symbol : '';
+
+  /** True when a connected wallet is on a chain without a presale deployment */
+  const wrongNetwork = isConnected && !isSupportedChain;
+
+  /**
+   * Keep the selection valid when the accepted token set changes on-chain
+   */
+  useEffect(() => {
+    if (paymentToken && paymentToken.key !== paymentType) {
+      setPaymentType(paymentToken.key);
+    }
+  }, [paymentToken, paymentType]);
+
   // ────────────────────────────────────────────────────────────────────────────────────
   // ANIMATION EFFECTS
   // ────────────────────────────────────────────────────────────────────────────────────
@@ -134,33 +223,46 @@ const PresaleWidget = ({ addNotification }) => {
     // }, 2000);
   }, [addNotification]);
 
+  // ────────────────────────────────────────────────────────────────────────────────────
+  // DERIVED PRESALE STATE
+  // ────────────────────────────────────────────────────────────────────────────────────
+
+  /** Current sale phase derived from on-chain state */
+  const phase = getPresalePhase(presaleState, now);
+
+  /** Presale start and end as unix seconds from the contract (0 = bound disabled) */
+  const startTime = presaleState ? presaleState.startTime : 0;
+  const endTime = presaleState ? presaleState.endTime : 0;
+
+  /** Countdown target: the start while upcoming, the end while live */
+  const countdownTarget = phase === PRESALE_PHASES.UPCOMING ? startTime : endTime;
+
+  /** Countdown units for the current target */
+  const timeLeft = countdownTarget ? getTimeLeft(countdownTarget, now) : {};
+
+  /** Total amount raised in USD */
+  const totalRaised = presaleState ? parseFloat(ethers.formatEther(presaleState.totalRaisedUsd18)) : 0;
+
+  /** Hard cap in USD (0 = no cap) */
+  const hardCap = presaleState ? parseFloat(ethers.formatEther(presaleState.hardCapUsd18)) : 0;
+
+  /** Progress percentage (0-100) toward hardcap */
+  const progress = hardCap > 0 ? Math.min((totalRaised / hardCap) * 100, 100) : 0;
+
+  /** Price per QC7 in USD */
+  const tokenPrice = presaleState ? ethers.formatEther(presaleState.tokenPriceUsd18) : null;
+
+  /** QC7 held by the presale contract and still available for delivery */
+  const inventory = presaleState ? presaleState.inventoryQc7 : null;
+
   /**
-   * Countdown Timer Effect
+   * Clock Effect
    *
-   * Calculates and updates the time remaining until presale ends.
-   * Updates every second to provide real-time countdown display.
-   * Shows days, hours, minutes, and seconds remaining.
+   * Ticks every second so countdowns update and the phase switches
+   * (upcoming → live → ended) exactly when the contract's window does.
    */
   useEffect(() => {
-    const timer = setInterval(() => {
-      // Get current time and convert end date to milliseconds
-      const now = new Date().getTime();
-      const endTime = PRESALE_END_DATE * 1000;
-      const distance = endTime - now;
-
-      if (distance > 0) {
-        // Calculate time units from milliseconds
-        setTimeLeft({
-          days: Math.floor(distance / (1000 * 60 * 60 * 24)),
-          hours: Math.floor((distance % (1000 * 60 * 60 * 24)) / (1000 * 60 * 60)),
-          minutes: Math.floor((distance % (1000 * 60 * 60)) / (1000 * 60)),
-          seconds: Math.floor((distance % (1000 * 60)) / 1000)
-        });
-      } else {
-        // Presale has ended - show zeros
-        setTimeLeft({ days: 0, hours: 0, minutes: 0, seconds: 0 });
-      }
-    }, 1000);
+    const timer = setInterval(() => setNow(Math.floor(Date.now() / 1000)), 1000);
 
     // Cleanup timer on component unmount
     return () => clearInterval(timer);
@@ -169,50 +271,59 @@ const PresaleWidget = ({ addNotification }) => {
   /**
    * Fundraising Progress Effect
    *
-   * Fetches and updates the total amount raised and calculates progress.
-   * Only runs when wallet is connected to avoid unnecessary calls.
-   * Updates every 10 seconds to keep data fresh.
-   * Includes smooth progress bar animation using GSAP.
+   * Animates the progress bar whenever the presale state snapshot reports
+   * a new total raised or hard cap.
    */
   useEffect(() => {
-    /**
-     * Fetch latest fundraising data from smart contract
-     */
-    const updateData = async () => {
-      try {
-        // Get total raised amount from contract
-        const raised = await getTotalRaised();
-        const raisedUSD = parseFloat(raised);
-
-        // Update state with new values
-        setTotalRaised(raisedUSD);
-        setProgress((raisedUSD / HARDCAP_USD) * 100);
-
-        // Animate progress bar to new width
-        if (progressRef.current) {
-          gsap.to(progressRef.current, {
-            width: `${(raisedUSD / HARDCAP_USD) * 100}%`,
-            duration: 1.5,
-            ease: "power2.out"  // Smooth progress animation
-          });
-        }
-      } catch (err) {
-        console.error('Error updating fundraising data:', err);
-      }
+    if (progressRef.current) {
+      gsap.to(progressRef.current, {
+        width: `${progress}%`,
+        duration: 1.5,
+        ease: "power2.out"  // Smooth progress animation
+      });
+    }
+  }, [progress]);
+
+  /**
+   * Purchase Limits Effect
+   *
+   * Reloads the remaining allowance and max amount whenever the selected
+   * token, the connected wallet or the presale state changes.
+   */
+  useEffect(() => {
+    let cancelled = false;
+
+    const updateLimits = async () => {
+      const newLimits = await getPurchaseLimits(paymentType);
+      if (!cancelled) setLimits(newLimits);
     };
 
-    // Only fetch data if wallet is connected
-    if (isConnected) {
-      // Initial data fetch
-      updateData();
+    updateLimits();
 
-      // Set up periodic updates every 10 seconds
-      const interval = setInterval(updateData, 10000);
+    return () => {
+      cancelled = true;
+    };
+  }, [paymentType, getPurchaseLimits]);
 
-      // Cleanup interval on unmount or disconnection
-      return () => clearInterval(interval);
+  /** Entered amount in token base units (null when empty or invalid) */
+  const amountWei = (() => {
+    if (!paymentToken || !amount || isNaN(amount) || parseFloat(amount) <= 0) return null;
+    try {
+      return ethers.parseUnits(amount.toString(), paymentToken.decimals);
+    } catch {
+      return null;
     }
-  }, [isConnected, getTotalRaised]);
+  })();
+
+  /** True when the entered amount would revert with WalletCapExceeded or CapExceeded */
+  const exceedsAllowance = Boolean(
+    limits && limits.remainingAmount !== null && amountWei !== null && amountWei > limits.remainingAmount
+  );
+
+  /** True when the quoted QC7 (bonus included) would revert with "QC7 xfer" */
+  const exceedsInventory = Boolean(
+    inventory !== null && amountWei !== null && ethers.parseUnits(quote.tokensOut, presaleState.qc7Decimals) > inventory
+  );
 
   /**
    * Live Quote Update Effect
@@ -230,7 +341,7 @@ const PresaleWidget = ({ addNotification }) => {
       if (amount && !isNaN(amount) && parseFloat(amount) > 0) {
         try {
           // Get quote from contract (includes 10% bonus calculation)
-          const newQuote = await getQuote(paymentType === 'ETH', amount);
+          const newQuote = await getQuote(paymentType, amount);
           setQuote(newQuote);
         } catch (err) {
           console.error('Error fetching quote:', err);
@@ -249,6 +360,162 @@ const PresaleWidget = ({ addNotification }) => {
     return () => clearTimeout(debounceTimer);
   }, [amount, paymentType, getQuote]);
 
+  /**
+   * Reverse Quote Effect
+   *
+   * While the user types the QC7 they want, solves for the payment amount in
+   * the selected token and fills the pay field with it. Re-runs when the token
+   * or the on-chain price changes, so both fields stay live.
+   */
+  useEffect(() => {
+    if (quoteInput !== 'receive') return undefined;
+
+    let cancelled = false;
+    const debounceTimer = setTimeout(async () => {
+      const result = await getReverseQuote(paymentType, receiveAmount);
+      if (!cancelled) setAmount(result.amount);
+    }, 300);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(debounceTimer);
+    };
+  }, [quoteInput, receiveAmount, paymentType, getReverseQuote]);
+
+  /**
+   * Pre-flight Simulation Effect
+   *
+   * Dry-runs the entered purchase against the latest block (eth_call plus
+   * estimateGas) so a failing purchase is explained before the wallet opens.
+   * Re-runs whenever the presale state refreshes, as caps or the window may
+   * have moved underneath the entered amount.
+   */
+  useEffect(() => {
+    let cancelled = false;
+    setSimulation(null);
+
+    if (phase !== PRESALE_PHASES.LIVE || wrongNetwork) return undefined;
+
+    const runSimulation = async () => {
+      const result = await simulatePurchase(paymentType, amount);
+      if (!cancelled) setSimulation(result);
+    };
+
+    // Same debounce as the quote so typing does not spam the RPC
+    const debounceTimer = setTimeout(runSimulation, 300);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(debounceTimer);
+    };
+  }, [amount, paymentType, phase, wrongNetwork, presaleState, simulatePurchase]);
+
+  /** Decoded reason the entered purchase would fail (null if it would succeed or is unknown) */
+  const simulationError = simulation && !simulation.ok ? simulation.error : null;
+
+  /**
+   * Price Details Effect
+   *
+   * Loads how the selected token is priced and re-reads oracle-priced tokens
+   * periodically, so the latest answer and the staleness countdown stay
+   * current between presale state refreshes.
+   */
+  useEffect(() => {
+    let cancelled = false;
+    let timer = null;
+
+    const loadDetails = async () => {
+      try {
+        const details = await getPriceDetails(paymentType);
+        if (cancelled) return;
+        setLoadedPriceDetails(details && { tokenKey: paymentType, details });
+        if (details?.source === 'oracle') timer = setTimeout(loadDetails, PRICE_DETAILS_REFRESH_MS);
+      } catch (err) {
+        console.error('Error loading price details:', err);
+        if (!cancelled) timer = setTimeout(loadDetails, PRICE_DETAILS_REFRESH_MS);
+      }
+    };
+
+    loadDetails();
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [paymentType, getPriceDetails]);
+
+  /** Price details of the selected token (null while another token's are still shown) */
+  const priceDetails = paymentToken && loadedPriceDetails?.tokenKey === paymentToken.key
+    ? loadedPriceDetails.details
+    : null;
+
+  /** PRESALE_ERRORS code of the oracle check the contract would fail right now (null if none) */
+  const oracleIssue = priceDetails ? getOracleIssue(priceDetails, now) : null;
+
+  /**
+   * Allowance Effect
+   *
+   * Reads the presale's allowance on every ERC20 payment token when the wallet
+   * connects, after each presale state refresh and whenever a tracked
+   * transaction (approve, buy, revoke) changes status.
+   */
+  useEffect(() => {
+    let cancelled = false;
+
+    const updateAllowances = async () => {
+      try {
+        const next = await getAllowances();
+        if (!cancelled) setAllowances(next);
+      } catch (err) {
+        console.error('Error reading allowances:', err);
+      }
+    };
+
+    updateAllowances();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [getAllowances, presaleState, transactionFlow]);
+
+  /** Presale allowance on the selected ERC20 token (null for native coins or while unknown) */
+  const currentAllowance = paymentToken && !paymentToken.isNative
+    ? allowances.find((entry) => entry.token.key === paymentToken.key)?.allowance ?? null
+    : null;
+
+  /** True when the entered amount needs an approve() before buyWithToken() */
+  const needsApproval = currentAllowance !== null && amountWei !== null && currentAllowance < amountWei;
+
+  /**
+   * Approval Method Effect
+   *
+   * Once an approval is needed, checks whether the wallet can batch it with the
+   * purchase or the selected token can be approved by an EIP-2612 permit.
+   */
+  useEffect(() => {
+    let cancelled = false;
+    setApprovalMethod(null);
+
+    if (!needsApproval) return undefined;
+
+    getApprovalMethod(paymentType)
+      .then((method) => {
+        if (!cancelled) setApprovalMethod(method);
+      })
+      .catch(() => {
+        if (!cancelled) setApprovalMethod('approve');
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [needsApproval, paymentType, getApprovalMethod]);
+
+  /** Step of the running purchase that is waiting on the wallet or the chain */
+  const activeStep = loading && transactionFlow
+    ? transactionFlow.steps.find((step) => step.status === TX_STATUS.SIGNING || step.status === TX_STATUS.PENDING)
+    : null;
+
   // ────────────────────────────────────────────────────────────────────────────────────
   // PURCHASE HANDLER
   // ────────────────────────────────────────────────────────────────────────────────────
@@ -259,11 +526,14 @@ const PresaleWidget = ({ addNotification }) => {
    * Executes the complete purchase flow including:
    * - Input validation
    * - User notifications for feedback
-   * - Contract interaction (ETH or USDC)
+   * - Contract interaction with the selected payment token
    * - Success/error handling
    * - Form reset on success
    */
   const handlePurchase = async () => {
+    // Purchases are only possible while the sale is live and the token can be priced
+    if (!paymentToken || phase !== PRESALE_PHASES.LIVE || oracleIssue) return;
+
     // Validate purchase amount
     if (!amount || isNaN(amount) || parseFloat(amount) <= 0) {
       addNotification({
@@ -280,62 +550,90 @@ const PresaleWidget = ({ addNotification }) => {
       addNotification({
         type: 'info',
         title: 'Transaction Started',
-        message: `Purchasing tokens with ${amount} ${paymentType}...`,
+        message: `Purchasing tokens with ${amount} ${paymentSymbol}...`,
         duration: 4000
       });
 
-      // Execute purchase based on selected payment method
-      let tx;
-      if (paymentType === 'ETH') {
-        tx = await buyWithETH(amount);
-      } else {
-        tx = await buyWithUSDC(amount);
-      }
+      // Execute purchase with the selected payment token
+      const tx = await buyWithToken(paymentType, amount, { unlimitedApproval: approvalMode === 'unlimited' });
 
       // Calculate tokens received (quote already includes 10% bonus)
       const tokensReceived = parseFloat(quote.tokensOut) || 0;
 
       // Reset form to prepare for next purchase
       setAmount('');
+      setReceiveAmount('');
+      setQuoteInput('pay');
 
       // Show success notification with transaction details
       addNotification({
         type: 'success',
         title: 'Purchase Successful! 🎉',
-        message: `Successfully bought ${Math.round(tokensReceived).toLocaleString()} QC7 tokens with ${amount} ${paymentType}!`,
+        message: `Successfully bought ${Math.round(tokensReceived).toLocaleString()} QC7 tokens with ${amount} ${paymentSymbol}!`,
         txHash: tx.hash,
+        chainId: deployment.chainId,
         duration: 6000
       });
 
     } catch (err) {
       console.error('Purchase error:', err);
 
-      // Parse error message and provide user-friendly feedback
-      let errorMessage = 'An unexpected error occurred. Please try again.';
-
-      // Handle common error scenarios with specific messages
-      if (err.message.includes('User denied')) {
-        errorMessage = 'Transaction was cancelled by user.';
-      } else if (err.message.includes('insufficient funds')) {
-        errorMessage = 'Insufficient funds in your wallet.';
-      } else if (err.message.includes('CapExceeded')) {
-        errorMessage = 'Purchase would exceed the hard cap limit.';
-      } else if (err.message.includes('WalletCapExceeded')) {
-        errorMessage = 'Purchase would exceed your personal wallet limit.';
-      } else if (err.message.includes('SaleClosed')) {
-        errorMessage = 'The presale is currently closed.';
+      // Decode wallet rejections, custom errors and revert reasons
+      const decoded = decodePresaleError(err, { action: 'purchase' });
+
+      // Cancelling in the wallet is not a failure
+      if (decoded.code === 'USER_REJECTED') {
+        addNotification({
+          type: 'info',
+          title: 'Transaction Cancelled',
+          message: 'Transaction was cancelled by user.',
+          duration: 3000
+        });
+        return;
       }
 
       // Show error notification to user
       addNotification({
         type: 'error',
-        title: 'Purchase Failed',
-        message: errorMessage,
+        title: decoded.action === 'approve' ? 'Approval Failed' : decoded.title,
+        message: decoded.message,
         duration: 6000
       });
     }
   };
 
+  // ────────────────────────────────────────────────────────────────────────────────────
+  // NETWORK SWITCH HANDLER
+  // ────────────────────────────────────────────────────────────────────────────────────
+
+  /**
+   * Move the wallet to a supported chain
+   *
+   * Uses wallet_switchEthereumChain, adding the chain to the wallet first
+   * when it does not know it yet (see useDeployment).
+   *
+   * @param {number} targetChainId - Chain ID of a supported deployment
+   */
+  const handleSwitchNetwork = async (targetChainId) => {
+    setSwitchingTo(targetChainId);
+    try {
+      await switchNetwork(targetChainId);
+    } catch (err) {
+      console.error('Network switch error:', err);
+
+      if (err.code !== 'USER_REJECTED') {
+        addNotification({
+          type: 'error',
+          title: 'Network Switch Failed',
+          message: err.message,
+          duration: 5000
+        });
+      }
+    } finally {
+      setSwitchingTo(null);
+    }
+  };
+
   // ────────────────────────────────────────────────────────────────────────────────────
   // UTILITY FUNCTIONS
   // ────────────────────────────────────────────────────────────────────────────────────
@@ -352,6 +650,166 @@ const PresaleWidget = ({ addNotification }) => {
     }).format(num);
   };
 
+  /**
+   * Format a payment token amount from base units
+   * @param {bigint} value - Amount in token base units
+   * @returns {string} Amount with up to 6 decimals
+   */
+  const formatTokenAmount = (value) => {
+    return new Intl.NumberFormat('en-US', {
+      maximumFractionDigits: 6
+    }).format(parseFloat(ethers.formatUnits(value, paymentToken.decimals)));
+  };
+
+  /**
+   * Format an allowance of the selected payment token
+   * @param {bigint} value - Allowance in token base units
+   * @returns {string} "Unlimited", "None" or the formatted amount with symbol
+   */
+  const formatAllowance = (value) => {
+    if (value >= UNLIMITED_ALLOWANCE) return 'Unlimited';
+    if (value === 0n) return 'None';
+    return `${formatTokenAmount(value)} ${paymentSymbol}`;
+  };
+
+  /**
+   * Label of the buy button while a purchase is running
+   * @returns {string} What the wallet or chain is waiting for
+   */
+  const getProcessingLabel = () => {
+    if (!activeStep) return 'Processing...';
+
+    const actions = {
+      permit: `Signing ${paymentSymbol} permit`,
+      approve: `Approving ${paymentSymbol}`,
+      approveAndBuy: `Approving ${paymentSymbol} and buying QC7`,
+      buy: 'Buying QC7'
+    };
+    const action = actions[activeStep.kind] ?? 'Processing';
+    return activeStep.status === TX_STATUS.SIGNING ? `${action}: confirm in wallet` : `${action}...`;
+  };
+
+  /**
+   * Format the simulated gas cost in the native coin and (when priced) USD
+   * @param {Object} result - Successful simulation result
+   * @returns {string} Gas cost (e.g. "0.000412 ETH (~$1.03)")
+   */
+  const formatGasCost = (result) => {
+    const native = new Intl.NumberFormat('en-US', {
+      maximumSignificantDigits: 4
+    }).format(parseFloat(ethers.formatEther(result.gasCostWei)));
+    const usd = result.gasCostUsd18 !== null
+      ? ` (~$${formatNumber(parseFloat(ethers.formatEther(result.gasCostUsd18)))})`
+      : '';
+    return `${native} ${deployment.nativeCurrency.symbol}${usd}`;
+  };
+
+  /**
+   * Show a quoted QC7 amount in the "You receive" field
+   * @param {string} tokensOut - Formatted quote ('0' when there is none)
+   * @returns {string} Amount without a trailing ".0", or '' when there is no quote
+   */
+  const formatQuotedTokens = (tokensOut) => {
+    if (tokensOut === '0') return '';
+    return tokensOut.endsWith('.0') ? tokensOut.slice(0, -2) : tokensOut;
+  };
+
+  /**
+   * Fill the input with the largest amount that will succeed
+   * (capped by the remaining allowance, the QC7 inventory and the wallet
+   * balance minus gas)
+   */
+  const handleMax = () => {
+    if (!limits || !paymentToken) return;
+    setQuoteInput('pay');
+    setAmount(ethers.formatUnits(limits.maxAmount, paymentToken.decimals));
+  };
+
+  /**
+   * Format a unix timestamp as a readable local date and time
+   * @param {number} timestamp - Unix time in seconds
+   * @returns {string} Formatted date
+   */
+  const formatDate = (timestamp) => {
+    return new Date(timestamp * 1000).toLocaleString('en-US', {
+      month: 'long',
+      day: 'numeric',
+      year: 'numeric',
+      hour: '2-digit',
+      minute: '2-digit'
+    });
+  };
+
+  /**
+   * Render the panel shown instead of the purchase form outside the live phase
+   * @returns {JSX.Element} Loading, upcoming, ended or sold-out panel
+   */
+  const renderPhasePanel = () => {
+    let content;
+
+    switch (phase) {
+      case PRESALE_PHASES.UPCOMING:
+        content = (
+          <>
+            <h3>Coming Soon</h3>
+            <p>Purchases open on {formatDate(startTime)}.</p>
+            {!isConnected && <ConnectButton />}
+          </>
+        );
+        break;
+
+      case PRESALE_PHASES.ENDED:
+        content = (
+          <>
+            <h3>Sale Ended</h3>
+            <p>The presale closed on {formatDate(endTime)}.</p>
+            <div className="phase-summary">
+              <div className="quote-row">
+                <span>Total raised:</span>
+                <span className="highlight">${formatNumber(totalRaised)}</span>
+              </div>
+              {hardCap > 0 && (
+                <div className="quote-row">
+                  <span>Of hard cap:</span>
+                  <span>{progress.toFixed(1)}%</span>
+                </div>
+              )}
+            </div>
+          </>
+        );
+        break;
+
+      case PRESALE_PHASES.SOLD_OUT:
+        content = (
+          <>
+            <h3>Sold Out 🎉</h3>
+            <p>The ${formatNumber(hardCap)} hard cap has been reached. Thank you to every buyer!</p>
+          </>
+        );
+        break;
+
+      default:
+        content = (
+          <div className="loading-spinner">
+            <div className="spinner"></div>
+            Loading presale...
+          </div>
+        );
+    }
+
+    return (
+      <motion.div
+        key={phase}
+        className={`phase-panel ${phase}`}
+        initial={{ y: 30, opacity: 0 }}
+        animate={{ y: 0, opacity: 1 }}
+        transition={{ duration: 0.6 }}
+      >
+        {content}
+      </motion.div>
+    );
+  };
+
   // ────────────────────────────────────────────────────────────────────────────────────
   // COMPONENT RENDER
   // ────────────────────────────────────────────────────────────────────────────────────
@@ -387,25 +845,60 @@ const PresaleWidget = ({ addNotification }) => {
       </div>
 
       {/* ═══════════════════════════════════════════════════════════════════════════════ */}
-      {/* COUNTDOWN TIMER - Shows time remaining until presale ends */}
+      {/* WRONG NETWORK BANNER - Writes are blocked until the wallet switches */}
       {/* ═══════════════════════════════════════════════════════════════════════════════ */}
-      <motion.div
-        className="countdown"
-        initial={{ scale: 0 }}
-        animate={{ scale: 1 }}
-        transition={{ delay: 0.5, duration: 0.6 }}
-      >
-        <h3>Presale Ends In:</h3>
-        <div className="time-blocks">
-          {/* Dynamically render countdown blocks for days, hours, minutes, seconds */}
-          {Object.entries(timeLeft).map(([unit, value]) => (
-            <div key={unit} className="time-block">
-              <span className="time-value">{value || 0}</span>
-              <span className="time-label">{unit}</span>
+      {wrongNetwork && (
+        <motion.div
+          className="network-banner"
+          initial={{ opacity: 0, y: -10 }}
+          animate={{ opacity: 1, y: 0 }}
+          role="alert"
+        >
+          <p>
+            Your wallet is connected to {DEPLOYMENTS[chainId]?.name || `chain ${chainId}`}, where
+            the presale is not available. Switch networks to buy QC7.
+          </p>
+          <div className="network-actions">
+            {SUPPORTED_DEPLOYMENTS.map((target) => (
+              <button
+                key={target.chainId}
+                className="network-switch-button"
+                onClick={() => handleSwitchNetwork(target.chainId)}
+                disabled={switchingTo !== null}
+              >
+                {switchingTo === target.chainId ? 'Switching...' : `Switch to ${target.name}`}
+              </button>
+            ))}
+          </div>
+        </motion.div>
+      )}
+
+      {/* ═══════════════════════════════════════════════════════════════════════════════ */}
+      {/* COUNTDOWN TIMER - Time until the sale opens (upcoming) or closes (live) */}
+      {/* ═══════════════════════════════════════════════════════════════════════════════ */}
+      {(phase === PRESALE_PHASES.UPCOMING || phase === PRESALE_PHASES.LIVE) && (
+        <motion.div
+          className="countdown"
+          initial={{ scale: 0 }}
+          animate={{ scale: 1 }}
+          transition={{ delay: 0.5, duration: 0.6 }}
+        >
+          <h3>{phase === PRESALE_PHASES.UPCOMING ? 'Presale Starts In:' : 'Presale Ends In:'}</h3>
+          {!countdownTarget ? (
+            <p className="countdown-note">No end date set</p>
+          ) : (
+            <div className="time-blocks">
+              {/* Dynamically render countdown blocks for days, hours, minutes, seconds */}
+              {Object.entries(timeLeft).map(([unit, value]) => (
+                <div key={unit} className="time-block">
+                  <span className="time-value">{value || 0}</span>
+                  <span className="time-label">{unit}</span>
+                </div>
+              ))}
             </div>
-          ))}
-        </div>
-      </motion.div>
+          )}
+        </motion.div>
+      )}
 
       {/* ═══════════════════════════════════════════════════════════════════════════════ */}
       {/* PROGRESS BAR - Shows fundraising progress toward hardcap */}
@@ -418,7 +911,7 @@ const PresaleWidget = ({ addNotification }) => {
       >
         <div className="progress-info">
           <span>${formatNumber(totalRaised)} raised</span>
-          <span>${formatNumber(HARDCAP_USD)} goal</span>
+          <span>{hardCap > 0 ? `$${formatNumber(hardCap)} goal` : 'No hard cap'}</span>
         </div>
         <div className="progress-bar">
           <div 
@@ -428,98 +921,277 @@ const PresaleWidget = ({ addNotification }) => {
           />
         </div>
         <div className="progress-percentage">{progress.toFixed(1)}% Complete</div>
+        {inventory !== null && (
+          <div className={`progress-inventory ${inventory === 0n ? 'empty' : ''}`}>
+            {formatNumber(parseFloat(ethers.formatUnits(inventory, presaleState.qc7Decimals)))} QC7 remaining
+          </div>
+        )}
       </motion.div>
 
-      {/* Purchase Form */}
-      <motion.div 
-        className="purchase-form"
-        initial={{ y: 30, opacity: 0 }}
-        animate={{ y: 0, opacity: 1 }}
-        transition={{ delay: 0.7, duration: 0.6 }}
-      >
-        {/* Payment Type Toggle */}
-        <TokenSelector paymentType={paymentType} setPaymentType={setPaymentType} />
-
-        {/* Amount Input */}
-        <div className="amount-input">
-          <input
-            type="number"
-            placeholder={`Enter ${paymentType} amount`}
-            value={amount}
-            onChange={(e) => setAmount(e.target.value)}
-            disabled={loading}
-          />
-          <div className="currency">
-            {paymentType === 'ETH' ? <EthLogo size={16} /> : <UsdcLogo size={16} />}
-            <span>{paymentType}</span>
-          </div>
-        </div>
+      {/* Purchase Form while live, phase summary otherwise */}
+      {phase === PRESALE_PHASES.LIVE ? (
+          <motion.div 
+            className="purchase-form"
+            initial={{ y: 30, opacity: 0 }}
+            animate={{ y: 0, opacity: 1 }}
+            transition={{ delay: 0.7, duration: 0.6 }}
+          >
+            {/* Payment Type Toggle */}
+            <TokenSelector
+              paymentType={paymentType}
+              setPaymentType={setPaymentType}
+              tokens={paymentTokens}
+            />
 
-        {/* Quote Display */}
-        <AnimatePresence>
-          {quote.tokensOut !== '0' && (
-            <motion.div 
-              className="quote-display"
-              initial={{ opacity: 0, y: 10 }}
-              animate={{ opacity: 1, y: 0 }}
-              exit={{ opacity: 0, y: -10 }}
-              transition={{ duration: 0.3 }}
-            >
-              <div className="quote-row">
-                <span>You'll receive:</span>
-                <span className="highlight">{formatNumber(parseFloat(quote.tokensOut))} QC7</span>
+            {/* Amount Input: type either side, the other one is quoted */}
+            <label className="amount-label" htmlFor="pay-amount">You pay</label>
+            <div className="amount-input">
+              <input
+                id="pay-amount"
+                type="number"
+                placeholder={`Enter ${paymentSymbol} amount`}
+                value={amount}
+                onChange={(e) => {
+                  setQuoteInput('pay');
+                  setAmount(e.target.value);
+                }}
+                disabled={loading}
+              />
+              <div className="currency">
+                {paymentToken && <TokenLogo token={paymentToken} size={16} />}
+                <span>{paymentSymbol}</span>
               </div>
-              <div className="quote-row">
-                <span>USD Value:</span>
-                <span>${formatNumber(parseFloat(quote.usdPaid))}</span>
+            </div>
+
+            {/* Remaining allowance and Max shortcut */}
+            {limits && paymentToken && (
+              <div className="allowance-row">
+                <span>
+                  {limits.remainingAmount !== null
+                    ? `Remaining allowance: ${formatTokenAmount(limits.remainingAmount)} ${paymentSymbol}`
+                    : 'No purchase cap'}
+                </span>
+                {isConnected && (
+                  <button
+                    className="max-button"
+                    onClick={handleMax}
+                    disabled={loading || limits.maxAmount === 0n}
+                  >
+                    Max
+                  </button>
+                )}
               </div>
-              <div className="bonus-info">
-                <span className="bonus-label">🎁 Includes 10% bonus!</span>
+            )}
+
+            {/* QC7 wanted, solved back into the payment amount */}
+            <label className="amount-label" htmlFor="receive-amount">You receive (incl. 10% bonus)</label>
+            <div className="amount-input">
+              <input
+                id="receive-amount"
+                type="number"
+                placeholder="Enter QC7 amount"
+                value={quoteInput === 'receive' ? receiveAmount : formatQuotedTokens(quote.tokensOut)}
+                onChange={(e) => {
+                  setQuoteInput('receive');
+                  setReceiveAmount(e.target.value);
+                }}
+                disabled={loading}
+              />
+              <div className="currency">
+                <span>QC7</span>
               </div>
-            </motion.div>
-          )}
-        </AnimatePresence>
-
-        {/* Connect/Buy Button */}
-        {!isConnected ? (
-          <ConnectButton />
-        ) : (
-          <motion.button
-            className={`buy-button ${loading ? 'loading' : ''}`}
-            onClick={handlePurchase}
-            disabled={loading || !amount}
-            whileHover={{ scale: 1.02 }}
-            whileTap={{ scale: 0.98 }}
-          >
-            {loading ? (
-              <div className="loading-spinner">
-                <div className="spinner"></div>
-                Processing...
+            </div>
+
+            {exceedsInventory && (
+              <div className="error-message">
+                Only {formatNumber(parseFloat(ethers.formatUnits(inventory, presaleState.qc7Decimals)))} QC7 are left in the presale. Please enter a smaller amount.
+              </div>
+            )}
+
+            {!exceedsInventory && exceedsAllowance && (
+              <div className="error-message">
+                Amount exceeds your remaining allowance of {formatTokenAmount(limits.remainingAmount)} {paymentSymbol}.
+              </div>
+            )}
+
+            {/* Oracle checks known to fail, shown without waiting for a simulation */}
+            {oracleIssue && (
+              <div className="error-message">
+                <strong>{PRESALE_ERRORS[oracleIssue].title}:</strong> {PRESALE_ERRORS[oracleIssue].message}
+              </div>
+            )}
+
+            {/* Pre-flight simulation failure, shown before any wallet prompt */}
+            {!oracleIssue && !exceedsInventory && !exceedsAllowance && simulationError && (
+              <div className="error-message simulation-error">
+                <strong>{simulationError.title}:</strong> {simulationError.message}
+              </div>
+            )}
+
+            {/* ERC20 approval: current allowance, exact/unlimited choice and the steps ahead */}
+            {isConnected && currentAllowance !== null && (
+              <div className="approval-panel">
+                <div className="approval-row">
+                  <span>Current {paymentSymbol} allowance:</span>
+                  <span>{formatAllowance(currentAllowance)}</span>
+                </div>
+
+                {needsApproval && (
+                  <>
+                    <ol className="approval-steps">
+                      {approvalMethod === 'batch' ? (
+                        <li>Approve {paymentSymbol} and buy QC7 in one transaction</li>
+                      ) : (
+                        <>
+                          <li>
+                            {approvalMethod === 'permit' ? `Sign ${paymentSymbol} permit (no gas)` : `Approve ${paymentSymbol}`}
+                          </li>
+                          <li>Buy QC7</li>
+                        </>
+                      )}
+                    </ol>
+                    <div className="approval-modes">
+                      <label>
+                        <input
+                          type="radio"
+                          name="approval-mode"
+                          value="exact"
+                          checked={approvalMode === 'exact'}
+                          onChange={() => setApprovalMode('exact')}
+                          disabled={loading}
+                        />
+                        Exact amount ({formatTokenAmount(amountWei)} {paymentSymbol})
+                      </label>
+                      <label>
+                        <input
+                          type="radio"
+                          name="approval-mode"
+                          value="unlimited"
+                          checked={approvalMode === 'unlimited'}
+                          onChange={() => setApprovalMode('unlimited')}
+                          disabled={loading}
+                        />
+                        Unlimited (no approval for later purchases; revoke any time)
+                      </label>
+                    </div>
+                  </>
+                )}
               </div>
+            )}
+
+            {/* Quote Display */}
+            <AnimatePresence>
+              {quote.tokensOut !== '0' && (
+                <motion.div 
+                  className="quote-display"
+                  initial={{ opacity: 0, y: 10 }}
+                  animate={{ opacity: 1, y: 0 }}
+                  exit={{ opacity: 0, y: -10 }}
+                  transition={{ duration: 0.3 }}
+                >
+                  <div className="quote-row">
+                    <span>You'll receive:</span>
+                    <span className="highlight">{formatNumber(parseFloat(quote.tokensOut))} QC7</span>
+                  </div>
+                  {quoteInput === 'receive' && (
+                    <div className="quote-row">
+                      <span>You'll pay:</span>
+                      <span>{amount} {paymentSymbol}</span>
+                    </div>
+                  )}
+                  <div className="quote-row">
+                    <span>USD Value:</span>
+                    <span>${formatNumber(parseFloat(quote.usdPaid))}</span>
+                  </div>
+                  {tokenPrice && (
+                    <div className="quote-row">
+                      <span>Price per QC7:</span>
+                      <span>${tokenPrice}</span>
+                    </div>
+                  )}
+                  {simulation && simulation.ok && (
+                    <div className="quote-row">
+                      <span>{simulation.needsApproval ? 'Est. gas (incl. approval):' : 'Est. gas:'}</span>
+                      <span>{formatGasCost(simulation)}</span>
+                    </div>
+                  )}
+                  <div className="bonus-info">
+                    <span className="bonus-label">🎁 Includes 10% bonus!</span>
+                  </div>
+                </motion.div>
+              )}
+            </AnimatePresence>
+
+            {/* How the selected token is priced */}
+            <PriceDetails details={priceDetails} token={paymentToken} now={now} deployment={deployment} />
+
+            {/* Connect/Buy Button */}
+            {!isConnected ? (
+              <ConnectButton />
             ) : (
-              `Buy with ${paymentType}`
+              <motion.button
+                className={`buy-button ${loading ? 'loading' : ''}`}
+                onClick={handlePurchase}
+                disabled={loading || wrongNetwork || !amount || !paymentToken || exceedsAllowance || exceedsInventory || Boolean(simulationError) || Boolean(oracleIssue)}
+                whileHover={{ scale: 1.02 }}
+                whileTap={{ scale: 0.98 }}
+              >
+                {loading ? (
+                  <div className="loading-spinner">
+                    <div className="spinner"></div>
+                    {getProcessingLabel()}
+                  </div>
+                ) : needsApproval ? (
+                  approvalMethod === 'permit' ? `Sign & Buy with ${paymentSymbol}` : `Approve ${paymentSymbol} & Buy`
+                ) : (
+                  `Buy with ${paymentSymbol}`
+                )}
+              </motion.button>
             )}
-          </motion.button>
-        )}
 
-        {error && (
-          <motion.div 
-            className="error-message"
-            initial={{ opacity: 0 }}
-            animate={{ opacity: 1 }}
-          >
-            {error}
+            {error && !errorShownInSteps && (
+              <motion.div 
+                className="error-message"
+                initial={{ opacity: 0 }}
+                animate={{ opacity: 1 }}
+              >
+                {error}
+              </motion.div>
+            )}
           </motion.div>
-        )}
-      </motion.div>
+      ) : (
+        renderPhasePanel()
+      )}
+
+      {/* Approve/buy transaction steps of the latest purchase */}
+      {isConnected && (
+        <TransactionSteps
+          flow={transactionFlow}
+          onDismiss={dismissTransactionFlow}
+          explorerUrl={deployment.explorerUrl}
+        />
+      )}
 
       {/* User Stats */}
       <UserStats 
         getUserSpent={getUserSpent}
+        getPurchaseHistory={getPurchaseHistory}
+        allowances={allowances}
+        revokeAllowance={revokeAllowance}
         addTokenToWallet={addTokenToWallet}
         isConnected={isConnected}
+        address={address}
         addNotification={addNotification}
+        deployment={deployment}
       />
+
+      {/* Read-only RPC endpoint in use (wallet reads go through the wallet) */}
+      {!isConnected && rpcStatus && (
+        <div className="rpc-status">
+          Data via {new URL(rpcStatus.activeUrl).host}
+          {rpcStatus.endpoints.every((endpoint) => !endpoint.healthy) && ' (all RPC endpoints unreachable, retrying)'}
+        </div>
+      )}
     </motion.div>
   );
 };
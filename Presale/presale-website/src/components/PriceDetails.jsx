@@ -0,0 +1,177 @@
+// ══════════════════════════════════════════════════════════════════════════════════════
+// PRICE TRANSPARENCY COMPONENT
+// ══════════════════════════════════════════════════════════════════════════════════════
+
+import { useState } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import { ethers } from 'ethers';
+import { getTimeLeft } from '../utils/presalePhase';
+import { getOracleIssue } from '../utils/priceQuote';
+import './PriceDetails.css';
+
+/**
+ * Shorten an address for display
+ * @param {string} address - Checksummed address
+ * @returns {string} e.g. 0x1234...abcd
+ */
+const truncateAddress = (address) => `${address.slice(0, 6)}...${address.slice(-4)}`;
+
+/**
+ * Format a USD(18) amount
+ * @param {bigint} usd18 - USD with 18 decimals
+ * @returns {string} e.g. "$3,123.45"; small prices keep more significant digits
+ */
+const formatUsd = (usd18) => {
+  const value = parseFloat(ethers.formatEther(usd18));
+  return `$${new Intl.NumberFormat('en-US', {
+    minimumFractionDigits: 2,
+    maximumFractionDigits: value < 1 ? 6 : 2
+  }).format(value)}`;
+};
+
+/**
+ * Format a feed value (answer or bound) in the feed's decimals
+ * @param {bigint} value - Raw feed value
+ * @param {number} feedDecimals - Feed decimals
+ * @returns {string} Formatted value
+ */
+const formatFeedValue = (value, feedDecimals) => {
+  return new Intl.NumberFormat('en-US', { maximumFractionDigits: 8 }).format(
+    parseFloat(ethers.formatUnits(value, feedDecimals))
+  );
+};
+
+/**
+ * Format a number of seconds as a short duration
+ * @param {number} totalSeconds - Duration
+ * @returns {string} e.g. "1d 2h", "12m 30s", "45s"
+ */
+const formatDuration = (totalSeconds) => {
+  const { days, hours, minutes, seconds } = getTimeLeft(totalSeconds, 0);
+  if (days > 0) return `${days}d ${hours}h`;
+  if (hours > 0) return `${hours}h ${minutes}m`;
+  if (minutes > 0) return `${minutes}m ${seconds}s`;
+  return `${seconds}s`;
+};
+
+/**
+ * Price Transparency Component
+ *
+ * A collapsible drawer under the quote that shows how the presale prices the
+ * selected payment token: a static USD price, or a Chainlink feed with its
+ * latest answer, when it was updated, how long until the contract considers it
+ * stale (OracleStale) and the accepted answer range (OracleOutOfBounds). The
+ * drawer opens by itself while one of those checks fails, so the reason a
+ * purchase is blocked is visible.
+ *
+ * @param {Object} props
+ * @param {Object|null} props.details - From usePresaleContract().getPriceDetails()
+ * @param {Object} props.token - Selected payment token
+ * @param {number} props.now - Current unix seconds (ticks every second)
+ * @param {Object} props.deployment - Active deployment (explorer links)
+ * @returns {JSX.Element|null} Drawer, or null while the details are loading
+ */
+const PriceDetails = ({ details, token, now, deployment }) => {
+  /** Drawer toggled open by the user */
+  const [open, setOpen] = useState(false);
+
+  if (!details || !token) return null;
+
+  const isOracle = details.source === 'oracle';
+  const issue = getOracleIssue(details, now);
+  const expanded = open || issue !== null;
+
+  const rate = details.usdPerToken !== null ? `1 ${token.symbol} = ${formatUsd(details.usdPerToken)}` : 'Not priced';
+
+  return (
+    <div className={`price-details ${issue ? 'has-issue' : ''}`}>
+      <button
+        type="button"
+        className="price-details-toggle"
+        onClick={() => setOpen(!open)}
+        aria-expanded={expanded}
+      >
+        <span>
+          {isOracle ? 'Oracle price' : 'Fixed price'} · {rate}
+        </span>
+        <span className={`price-details-chevron ${expanded ? 'open' : ''}`}>▾</span>
+      </button>
+
+      <AnimatePresence initial={false}>
+        {expanded && (
+          <motion.div
+            className="price-details-body"
+            initial={{ height: 0, opacity: 0 }}
+            animate={{ height: 'auto', opacity: 1 }}
+            exit={{ height: 0, opacity: 0 }}
+            transition={{ duration: 0.2 }}
+          >
+            <div className="price-details-row">
+              <span>Pricing</span>
+              <span>{isOracle ? 'Chainlink oracle' : 'Static USD price set by the owner'}</span>
+            </div>
+            <div className="price-details-row">
+              <span>Effective rate</span>
+              <span>{rate}</span>
+            </div>
+
+            {isOracle && (
+              <>
+                <div className="price-details-row">
+                  <span>Feed</span>
+                  <a
+                    href={`${deployment.explorerUrl}/address/${details.feed}`}
+                    target="_blank"
+                    rel="noopener noreferrer"
+                    title={`View on ${deployment.explorerName}`}
+                  >
+                    {truncateAddress(details.feed)}
+                  </a>
+                </div>
+                <div className="price-details-row">
+                  <span>Latest answer</span>
+                  <span>{formatFeedValue(details.answer, details.feedDecimals)}</span>
+                </div>
+                <div className="price-details-row">
+                  <span>Updated</span>
+                  <span>
+                    {new Date(details.updatedAt * 1000).toLocaleTimeString()} ({formatDuration(Math.max(0, now - details.updatedAt))} ago)
+                  </span>
+                </div>
+                <div className={`price-details-row ${issue === 'ORACLE_STALE' ? 'failing' : ''}`}>
+                  <span>Staleness limit</span>
+                  <span>
+                    {details.staleAt === null
+                      ? 'None'
+                      : issue === 'ORACLE_STALE'
+                        ? `Stale for ${formatDuration(now - details.staleAt)}`
+                        : `Stale in ${formatDuration(details.staleAt - now)} (max ${formatDuration(details.maxStale)})`}
+                  </span>
+                </div>
+                <div className={`price-details-row ${issue === 'ORACLE_OUT_OF_BOUNDS' ? 'failing' : ''}`}>
+                  <span>Accepted range</span>
+                  <span>
+                    {formatFeedValue(details.minPrice, details.feedDecimals)} – {formatFeedValue(details.maxPrice, details.feedDecimals)}
+                  </span>
+                </div>
+              </>
+            )}
+
+            {issue === 'ORACLE_STALE' && (
+              <p className="price-details-note">
+                The feed has not updated within {formatDuration(details.maxStale)}, so the presale rejects {token.symbol} purchases until it does.
+              </p>
+            )}
+            {issue === 'ORACLE_OUT_OF_BOUNDS' && (
+              <p className="price-details-note">
+                The latest answer is outside the accepted range, so the presale rejects {token.symbol} purchases until it is back within bounds.
+              </p>
+            )}
+          </motion.div>
+        )}
+      </AnimatePresence>
+    </div>
+  );
+};
+
+export default PriceDetails;
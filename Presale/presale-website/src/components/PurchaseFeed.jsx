@@ -0,0 +1,134 @@
+// ══════════════════════════════════════════════════════════════════════════════════════
+// LIVE PURCHASE FEED COMPONENT
+// ══════════════════════════════════════════════════════════════════════════════════════
+
+import { useState, useEffect } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import { ethers } from 'ethers';
+import { usePurchaseFeed } from '../hooks/usePurchaseFeed';
+import './PurchaseFeed.css';
+
+/** Number of purchases shown */
+const FEED_SIZE = 8;
+
+/**
+ * Shorten an address for display
+ * @param {string} address - Checksummed address
+ * @returns {string} e.g. 0x1234...abcd
+ */
+const truncateAddress = (address) => `${address.slice(0, 6)}...${address.slice(-4)}`;
+
+/**
+ * Describe how long ago a timestamp was
+ * @param {number} timestamp - Unix seconds
+ * @param {number} now - Current unix seconds
+ * @returns {string} e.g. "just now", "5m ago", "3h ago", "2d ago"
+ */
+const formatRelativeTime = (timestamp, now) => {
+  const seconds = Math.max(0, now - timestamp);
+  if (seconds < 60) return 'just now';
+  if (seconds < 3600) return `${Math.floor(seconds / 60)}m ago`;
+  if (seconds < 86400) return `${Math.floor(seconds / 3600)}h ago`;
+  return `${Math.floor(seconds / 86400)}d ago`;
+};
+
+/**
+ * Format a token amount with at most 4 decimals
+ * @param {bigint} amount - Amount in base units
+ * @param {number} decimals - Token decimals
+ * @returns {string} Formatted amount
+ */
+const formatAmount = (amount, decimals) => {
+  return new Intl.NumberFormat('en-US', { maximumFractionDigits: 4 }).format(
+    parseFloat(ethers.formatUnits(amount, decimals))
+  );
+};
+
+/**
+ * Live Purchase Feed Component
+ *
+ * Social proof next to the presale widget: the most recent purchases from
+ * TokensPurchased events, with new ones sliding in at the top as they are
+ * mined. Visible to every visitor, connected or not.
+ *
+ * Each row shows the buyer (truncated), the QC7 received, the amount and token
+ * paid, how long ago it happened and a link to the transaction.
+ *
+ * @returns {JSX.Element|null} Feed card, or null before the first purchase
+ */
+const PurchaseFeed = () => {
+  const { purchases, qc7Decimals, loading, deployment } = usePurchaseFeed(FEED_SIZE);
+
+  /** Current time in seconds, ticking so relative times stay current */
+  const [now, setNow] = useState(() => Math.floor(Date.now() / 1000));
+
+  useEffect(() => {
+    const timer = setInterval(() => setNow(Math.floor(Date.now() / 1000)), 30000);
+    return () => clearInterval(timer);
+  }, []);
+
+  // Nothing to show until someone has bought
+  if (!loading && purchases.length === 0) {
+    return null;
+  }
+
+  return (
+    <motion.div
+      className="purchase-feed"
+      initial={{ opacity: 0, y: 20 }}
+      animate={{ opacity: 1, y: 0 }}
+      transition={{ duration: 0.6 }}
+    >
+      <div className="feed-header">
+        <span className="feed-live-dot" />
+        <h3>Recent Purchases</h3>
+      </div>
+
+      {loading ? (
+        <div className="feed-loading">Loading recent purchases...</div>
+      ) : (
+        <ul className="feed-list">
+          <AnimatePresence initial={false}>
+            {purchases.map((purchase) => (
+              <motion.li
+                key={`${purchase.txHash}-${purchase.logIndex}`}
+                className="feed-item"
+                layout
+                initial={{ opacity: 0, x: -20 }}
+                animate={{ opacity: 1, x: 0 }}
+                exit={{ opacity: 0 }}
+                transition={{ duration: 0.3 }}
+              >
+                <div className="feed-row">
+                  <span className="feed-buyer">{truncateAddress(purchase.buyer)}</span>
+                  <span className="feed-tokens">
+                    +{formatAmount(purchase.tokensOut, qc7Decimals)} QC7
+                  </span>
+                </div>
+                <div className="feed-row">
+                  <span className="feed-paid">
+                    {formatAmount(purchase.payAmount, purchase.payToken.decimals)} {purchase.payToken.symbol}
+                  </span>
+                  <span className="feed-meta">
+                    {purchase.timestamp ? formatRelativeTime(purchase.timestamp, now) : 'pending'}
+                    {' · '}
+                    <a
+                      href={`${deployment.explorerUrl}/tx/${purchase.txHash}`}
+                      target="_blank"
+                      rel="noopener noreferrer"
+                      className="feed-tx"
+                    >
+                      View tx →
+                    </a>
+                  </span>
+                </div>
+              </motion.li>
+            ))}
+          </AnimatePresence>
+        </ul>
+      )}
+    </motion.div>
+  );
+};
+
+export default PurchaseFeed;
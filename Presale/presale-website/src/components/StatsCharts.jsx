@@ -0,0 +1,134 @@
+// ══════════════════════════════════════════════════════════════════════════════════════
+// STATS CHART COMPONENTS
+// ══════════════════════════════════════════════════════════════════════════════════════
+
+import './StatsCharts.css';
+
+/**
+ * Stats Charts
+ *
+ * Minimal SVG charts for the /stats view, rendered entirely client-side
+ * without a charting library. Both charts scale to their container's width
+ * (fixed viewBox, width 100%) and show a native tooltip per data point.
+ */
+
+/** Drawing area of every chart (viewBox units) */
+const WIDTH = 600;
+const HEIGHT = 200;
+const PADDING = { top: 12, right: 12, bottom: 24, left: 12 };
+
+const PLOT_WIDTH = WIDTH - PADDING.left - PADDING.right;
+const PLOT_HEIGHT = HEIGHT - PADDING.top - PADDING.bottom;
+
+/**
+ * Map a value range onto plot coordinates
+ * @param {number} min - Lowest value
+ * @param {number} max - Highest value
+ * @param {number} size - Plot size along the axis
+ * @returns {Function} value → coordinate
+ */
+const scale = (min, max, size) => {
+  const span = max - min || 1;
+  return (value) => ((value - min) / span) * size;
+};
+
+/**
+ * Line Chart Component
+ *
+ * @param {Object} props
+ * @param {Array<{ x: number, y: number }>} props.points - Points in ascending x order
+ * @param {Function} props.formatX - Formats an x value for labels and tooltips
+ * @param {Function} props.formatY - Formats a y value for labels and tooltips
+ * @returns {JSX.Element} SVG line chart with area fill
+ */
+export const LineChart = ({ points, formatX, formatY }) => {
+  if (points.length === 0) {
+    return <div className="chart-empty">No data yet</div>;
+  }
+
+  // reduce() rather than Math.max(...), which takes one argument per point
+  const maxY = points.reduce((max, point) => Math.max(max, point.y), 0);
+  const toX = scale(points[0].x, points[points.length - 1].x, PLOT_WIDTH);
+  const toY = scale(0, maxY, PLOT_HEIGHT);
+
+  const coords = points.map((point) => [
+    PADDING.left + toX(point.x),
+    PADDING.top + PLOT_HEIGHT - toY(point.y)
+  ]);
+  const line = coords.map(([x, y], i) => `${i === 0 ? 'M' : 'L'}${x.toFixed(1)},${y.toFixed(1)}`).join(' ');
+  const baseline = PADDING.top + PLOT_HEIGHT;
+  const area = `${line} L${coords[coords.length - 1][0].toFixed(1)},${baseline} L${coords[0][0].toFixed(1)},${baseline} Z`;
+
+  return (
+    <div className="chart">
+      <div className="chart-max">{formatY(maxY)}</div>
+      <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} className="chart-svg" preserveAspectRatio="none">
+        <defs>
+          <linearGradient id="line-chart-fill" x1="0" y1="0" x2="0" y2="1">
+            <stop offset="0%" stopColor="#10b981" stopOpacity="0.4" />
+            <stop offset="100%" stopColor="#10b981" stopOpacity="0" />
+          </linearGradient>
+        </defs>
+        <path d={area} fill="url(#line-chart-fill)" />
+        <path d={line} className="chart-line" />
+        {coords.map(([x, y], i) => (
+          <circle key={i} cx={x} cy={y} r="3" className="chart-point">
+            <title>{`${formatX(points[i].x)}: ${formatY(points[i].y)}`}</title>
+          </circle>
+        ))}
+      </svg>
+      <div className="chart-axis">
+        <span>{formatX(points[0].x)}</span>
+        <span>{formatX(points[points.length - 1].x)}</span>
+      </div>
+    </div>
+  );
+};
+
+/**
+ * Bar Chart Component
+ *
+ * @param {Object} props
+ * @param {Array<{ key: string|number, label: string, value: number }>} props.bars - Bars
+ *   in display order, each with a unique key
+ * @param {Function} props.formatValue - Formats a value for labels and tooltips
+ * @returns {JSX.Element} SVG bar chart
+ */
+export const BarChart = ({ bars, formatValue }) => {
+  if (bars.length === 0) {
+    return <div className="chart-empty">No data yet</div>;
+  }
+
+  const maxValue = bars.reduce((max, bar) => Math.max(max, bar.value), 0);
+  const toHeight = scale(0, maxValue, PLOT_HEIGHT);
+  const slot = PLOT_WIDTH / bars.length;
+  const barWidth = Math.max(1, slot * 0.7);
+
+  return (
+    <div className="chart">
+      <div className="chart-max">{formatValue(maxValue)}</div>
+      <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} className="chart-svg" preserveAspectRatio="none">
+        {bars.map((bar, i) => {
+          const height = toHeight(bar.value);
+          return (
+            <rect
+              key={bar.key}
+              x={PADDING.left + i * slot + (slot - barWidth) / 2}
+              y={PADDING.top + PLOT_HEIGHT - height}
+              width={barWidth}
+              height={height}
+              rx="2"
+              className="chart-bar"
+            >
+              <title>{`${bar.label}: ${formatValue(bar.value)}`}</title>
+            </rect>
+          );
+        })}
+      </svg>
+      <div className="chart-axis">
+        <span>{bars[0].label}</span>
+        <span>{bars[bars.length - 1].label}</span>
+      </div>
+    </div>
+  );
+};
@@ -0,0 +1,215 @@
+// ══════════════════════════════════════════════════════════════════════════════════════
+// PRESALE STATS DASHBOARD COMPONENT
+// ══════════════════════════════════════════════════════════════════════════════════════
+
+import { motion } from 'framer-motion';
+import { ethers } from 'ethers';
+import { usePurchaseStats } from '../hooks/usePurchaseStats';
+import { LineChart, BarChart } from './StatsCharts';
+import './StatsDashboard.css';
+
+/**
+ * Format a USD(18) amount or plain number as dollars
+ * @param {bigint|number} value - USD(18) bigint or dollars
+ * @returns {string} e.g. $12,345.67
+ */
+const formatUsd = (value) => {
+  const dollars = typeof value === 'bigint' ? parseFloat(ethers.formatEther(value)) : value;
+  return new Intl.NumberFormat('en-US', {
+    style: 'currency',
+    currency: 'USD',
+    maximumFractionDigits: 2
+  }).format(dollars);
+};
+
+/**
+ * Format an 18-decimal token amount
+ * @param {bigint} amount - Amount in base units
+ * @param {number} [decimals=18] - Token decimals
+ * @returns {string} Formatted amount with at most 2 decimals
+ */
+const formatAmount = (amount, decimals = 18) => {
+  return new Intl.NumberFormat('en-US', { maximumFractionDigits: 2 }).format(
+    parseFloat(ethers.formatUnits(amount, decimals))
+  );
+};
+
+/**
+ * Format a unix timestamp as a short UTC date
+ * @param {number} timestamp - Unix seconds
+ * @returns {string} e.g. Mar 4
+ */
+const formatDay = (timestamp) => {
+  return new Date(timestamp * 1000).toLocaleDateString('en-US', {
+    month: 'short',
+    day: 'numeric',
+    timeZone: 'UTC'
+  });
+};
+
+/**
+ * Shorten an address for display
+ * @param {string} address - Checksummed address
+ * @returns {string} e.g. 0x1234...abcd
+ */
+const truncateAddress = (address) => `${address.slice(0, 6)}...${address.slice(-4)}`;
+
+/**
+ * Presale Stats Dashboard Component
+ *
+ * Public analytics for the /stats view, built in the browser from the
+ * presale's TokensPurchased history:
+ * - Summary: total raised, purchases, unique buyers, average and median ticket
+ * - Cumulative USD raised over time
+ * - Daily volume (UTC days)
+ * - Breakdown by payment token
+ * - Top buyers
+ *
+ * @param {Object} props
+ * @param {string} props.presaleHref - Link back to the presale page
+ * @returns {JSX.Element} The stats dashboard
+ */
+const StatsDashboard = ({ presaleHref }) => {
+  const { stats, loading, error, deployment } = usePurchaseStats();
+
+  // ────────────────────────────────────────────────────────────────────────────────────
+  // LOADING AND ERROR STATES
+  // ────────────────────────────────────────────────────────────────────────────────────
+
+  const header = (
+    <div className="stats-dashboard-header">
+      <h2>Presale Stats</h2>
+      <span className="stats-dashboard-network">{deployment.name}</span>
+      <a href={presaleHref} className="stats-dashboard-back">← Back to presale</a>
+    </div>
+  );
+
+  if (loading || error) {
+    return (
+      <motion.div className="stats-dashboard" initial={{ opacity: 0 }} animate={{ opacity: 1 }}>
+        {header}
+        <div className={error ? 'stats-dashboard-error' : 'stats-dashboard-loading'}>
+          {error ? `Could not load purchase history: ${error}` : 'Loading purchase history...'}
+        </div>
+      </motion.div>
+    );
+  }
+
+  // ────────────────────────────────────────────────────────────────────────────────────
+  // CHART DATA
+  // ────────────────────────────────────────────────────────────────────────────────────
+
+  const cumulativePoints = stats.cumulative.map((point) => ({
+    x: point.timestamp,
+    y: parseFloat(ethers.formatEther(point.totalUsd18))
+  }));
+
+  const dailyBars = stats.daily.map((entry) => ({
+    key: entry.day,
+    label: formatDay(entry.day),
+    value: parseFloat(ethers.formatEther(entry.usd18))
+  }));
+
+  const summary = [
+    { label: 'Total Raised', value: formatUsd(stats.totalUsd18) },
+    { label: 'Purchases', value: stats.purchaseCount.toLocaleString('en-US') },
+    { label: 'Unique Buyers', value: stats.uniqueBuyers.toLocaleString('en-US') },
+    { label: 'QC7 Sold', value: formatAmount(stats.totalTokensOut) },
+    { label: 'Average Ticket', value: formatUsd(stats.averageTicketUsd18) },
+    { label: 'Median Ticket', value: formatUsd(stats.medianTicketUsd18) }
+  ];
+
+  // ────────────────────────────────────────────────────────────────────────────────────
+  // COMPONENT RENDER
+  // ────────────────────────────────────────────────────────────────────────────────────
+
+  return (
+    <motion.div
+      className="stats-dashboard"
+      initial={{ opacity: 0, y: 20 }}
+      animate={{ opacity: 1, y: 0 }}
+      transition={{ duration: 0.6 }}
+    >
+      {header}
+
+      {/* Summary tiles */}
+      <div className="stats-summary">
+        {summary.map((item) => (
+          <div key={item.label} className="stats-tile">
+            <span className="stats-tile-label">{item.label}</span>
+            <span className="stats-tile-value">{item.value}</span>
+          </div>
+        ))}
+      </div>
+
+      {/* Cumulative USD raised */}
+      <section className="stats-section">
+        <h3>USD Raised Over Time</h3>
+        <LineChart points={cumulativePoints} formatX={formatDay} formatY={formatUsd} />
+      </section>
+
+      {/* Daily volume */}
+      <section className="stats-section">
+        <h3>Daily Volume (UTC)</h3>
+        <BarChart bars={dailyBars} formatValue={formatUsd} />
+      </section>
+
+      {/* Payment token breakdown */}
+      <section className="stats-section">
+        <h3>By Payment Token</h3>
+        {stats.byToken.length === 0 ? (
+          <div className="chart-empty">No data yet</div>
+        ) : (
+          <ul className="stats-token-list">
+            {stats.byToken.map((token) => {
+              const share = stats.totalUsd18 > 0n ? Number((token.usd18 * 10000n) / stats.totalUsd18) / 100 : 0;
+              return (
+                <li key={token.address} className="stats-token">
+                  <div className="stats-row">
+                    <span className="stats-token-symbol">{token.symbol}</span>
+                    <span>{formatUsd(token.usd18)} · {share.toFixed(1)}%</span>
+                  </div>
+                  <div className="stats-share-bar">
+                    <div className="stats-share-fill" style={{ width: `${share}%` }} />
+                  </div>
+                  <div className="stats-row stats-muted">
+                    <span>{formatAmount(token.payAmount, token.decimals)} {token.symbol}</span>
+                    <span>{token.count} purchase{token.count === 1 ? '' : 's'}</span>
+                  </div>
+                </li>
+              );
+            })}
+          </ul>
+        )}
+      </section>
+
+      {/* Top buyers */}
+      <section className="stats-section">
+        <h3>Top Buyers</h3>
+        {stats.topBuyers.length === 0 ? (
+          <div className="chart-empty">No data yet</div>
+        ) : (
+          <ol className="stats-buyer-list">
+            {stats.topBuyers.map((buyer, i) => (
+              <li key={buyer.buyer} className="stats-buyer">
+                <span className="stats-buyer-rank">#{i + 1}</span>
+                <a
+                  href={`${deployment.explorerUrl}/address/${buyer.buyer}`}
+                  target="_blank"
+                  rel="noopener noreferrer"
+                  className="stats-buyer-address"
+                >
+                  {truncateAddress(buyer.buyer)}
+                </a>
+                <span className="stats-buyer-usd">{formatUsd(buyer.usd18)}</span>
+                <span className="stats-muted">{formatAmount(buyer.tokensOut)} QC7</span>
+              </li>
+            ))}
+          </ol>
+        )}
+      </section>
+    </motion.div>
+  );
+};
+
+export default StatsDashboard;
@@ -3,97 +3,86 @@
 // ══════════════════════════════════════════════════════════════════════════════════════
 
 /**
- * Ethereum (ETH) Logo Component
+ * Payment Token Logo Component
  *
- * Displays the official Ethereum logo using CoinGecko's CDN for reliability.
- * Includes error handling to gracefully handle image loading failures.
+ * Displays a token's logo from the URL configured in the payment token registry.
+ * Tokens without a logo (e.g. discovered on-chain) and logos that fail to load
+ * show a circular badge with the token's first letter instead.
  *
  * @param {Object} props
+ * @param {Object} props.token - Payment token entry
  * @param {number} props.size - Size of the logo in pixels (default: 20)
- * @returns {JSX.Element} ETH logo image with fallback handling
+ * @returns {JSX.Element} Token logo image with fallback handling
  */
-export const EthLogo = ({ size = 20 }) => (
-  <img
-    src="https://assets.coingecko.com/coins/images/279/small/ethereum.png"
-    alt="Ethereum (ETH)"
-    width={size}
-    height={size}
-    style={{ borderRadius: '50%' }}    // Circular appearance
-    onError={(e) => {
-      // Graceful fallback if CoinGecko image fails to load
-      // In production, you might want to show a local fallback image
-      e.target.style.display = 'none';
-      e.target.nextSibling.style.display = 'inline-block';
-    }}
-  />
-);
+export const TokenLogo = ({ token, size = 20 }) => {
+  /** Letter badge used when no logo image is available */
+  const fallback = (visible) => (
+    <span
+      className="token-logo-fallback"
+      style={{ display: visible ? 'inline-flex' : 'none', width: size, height: size, fontSize: size / 2 }}
+    >
+      {token.symbol.charAt(0)}
+    </span>
+  );
 
-/**
- * USD Coin (USDC) Logo Component
- *
- * Displays the official USDC logo using CoinGecko's CDN for consistency.
- * Includes the same error handling pattern as ETH logo.
- *
- * @param {Object} props
- * @param {number} props.size - Size of the logo in pixels (default: 20)
- * @returns {JSX.Element} USDC logo image with fallback handling
- */
-export const UsdcLogo = ({ size = 20 }) => (
-  <img
-    src="https://assets.coingecko.com/coins/images/6319/small/USD_Coin_icon.png"
-    alt="USD Coin (USDC)"
-    width={size}
-    height={size}
-    style={{ borderRadius: '50%' }}    // Circular appearance
-    onError={(e) => {
-      // Graceful fallback if CoinGecko image fails to load
-      // In production, you might want to show a local fallback image
-      e.target.style.display = 'none';
-      e.target.nextSibling.style.display = 'inline-block';
-    }}
-  />
-);
+  if (!token.logo) {
+    return fallback(true);
+  }
+
+  return (
+    <>
+      <img
+        src={token.logo}
+        alt={`${token.name} (${token.symbol})`}
+        width={size}
+        height={size}
+        style={{ borderRadius: '50%' }}    // Circular appearance
+        onError={(e) => {
+          // Graceful fallback if the logo fails to load
+          e.target.style.display = 'none';
+          e.target.nextSibling.style.display = 'inline-flex';
+        }}
+      />
+      {fallback(false)}
+    </>
+  );
+};
 
 /**
  * Payment Method Selector Component
  *
  * Provides a toggle interface for users to select their preferred payment method.
- * Currently supports ETH and USDC with their respective logos and active states.
+ * Lists the accepted payment tokens (the registry by default) with logos and active state.
  *
  * Features:
  * - Visual indicators for active selection
  * - Token logos for easy recognition
  * - Accessible button design
- * - Extensible for additional payment methods
+ * - Driven by the payment token registry (no code change to add tokens)
  *
  * @param {Object} props
- * @param {string} props.paymentType - Currently selected payment type ('ETH' or 'USDC')
- * @param {Function} props.setPaymentType - Function to update selected payment type
+ * @param {string} props.paymentType - Key of the currently selected payment token
+ * @param {Function} props.setPaymentType - Function to update the selected token key
+ * @param {Array} props.tokens - Tokens to offer (accepted tokens on the active chain)
  * @returns {JSX.Element} Payment method selector with logo buttons
  */
-export const TokenSelector = ({ paymentType, setPaymentType }) => {
-  // Configuration for supported payment methods
-  const paymentMethods = [
-    { type: 'ETH', logo: EthLogo },     // Ethereum native coin
-    { type: 'USDC', logo: UsdcLogo }   // USD Coin stablecoin
-  ];
-
+export const TokenSelector = ({ paymentType, setPaymentType, tokens }) => {
   return (
     <div className="payment-toggle">
-      {paymentMethods.map(({ type, logo: Logo }) => (
+      {tokens.map((token) => (
         <button
-          key={type}
-          className={`toggle-btn ${paymentType === type ? 'active' : ''}`}
-          onClick={() => setPaymentType(type)}
-          aria-label={`Select ${type} as payment method`}
+          key={token.key}
+          className={`toggle-btn ${paymentType === token.key ? 'active' : ''}`}
+          onClick={() => setPaymentType(token.key)}
+          aria-label={`Select ${token.symbol} as payment method`}
         >
           {/* Token logo */}
-          <Logo size={18} />
+          <TokenLogo token={token} size={18} />
 
           {/* Token symbol */}
-          <span>{type}</span>
+          <span>{token.symbol}</span>
         </button>
       ))}
     </div>
   );
-};
\ No newline at end of file
+};
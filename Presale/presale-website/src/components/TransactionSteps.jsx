@@ -0,0 +1,108 @@
+// ══════════════════════════════════════════════════════════════════════════════════════
+// TRANSACTION STEP INDICATOR COMPONENT
+// ══════════════════════════════════════════════════════════════════════════════════════
+
+import { motion } from 'framer-motion';
+import { TX_STATUS, isFinalStatus } from '../utils/transactionManager';
+import './TransactionSteps.css';
+
+/**
+ * Title of a step
+ * @param {string} kind - Step kind
+ * @param {string|null} tokenSymbol - Payment token symbol of the flow
+ * @returns {string} e.g. "Approve USDC"
+ */
+const getStepTitle = (kind, tokenSymbol) => {
+  const symbol = tokenSymbol ? ` ${tokenSymbol}` : '';
+  if (kind === 'permit') return `Sign${symbol} permit`;
+  if (kind === 'approve') return `Approve${symbol}`;
+  if (kind === 'approveAndBuy') return `Approve${symbol} & buy QC7`;
+  if (kind === 'revoke') return `Revoke${symbol} allowance`;
+  if (kind === 'buy') return 'Buy QC7';
+  return kind;
+};
+
+/** Status text by step status */
+const STATUS_TEXT = {
+  [TX_STATUS.WAITING]: 'Waiting',
+  [TX_STATUS.SIGNING]: 'Confirm in wallet',
+  [TX_STATUS.PENDING]: 'Pending',
+  [TX_STATUS.CONFIRMED]: 'Confirmed',
+  [TX_STATUS.FAILED]: 'Failed',
+  [TX_STATUS.REPLACED]: 'Replaced'
+};
+
+/** Marker shown in each step's circle by status */
+const STATUS_MARKERS = {
+  [TX_STATUS.CONFIRMED]: '✓',
+  [TX_STATUS.FAILED]: '✕',
+  [TX_STATUS.REPLACED]: '↺'
+};
+
+/**
+ * Transaction Step Indicator Component
+ *
+ * Shows the wallet's latest flow from the transaction manager: one step per
+ * signature or transaction (permit, approve, batched approve & buy, buy,
+ * revoke) with its status and explorer link. The state survives reloads, so a
+ * pending approval or purchase is still tracked after the page is reopened.
+ *
+ * @param {Object} props
+ * @param {Object|null} props.flow - Flow from useTransactionFlow()
+ * @param {Function} props.onDismiss - Removes the flow
+ * @param {string} props.explorerUrl - Block explorer base URL of the flow's chain
+ * @returns {JSX.Element|null} Step indicator, or null without a flow
+ */
+const TransactionSteps = ({ flow, onDismiss, explorerUrl }) => {
+  if (!flow) return null;
+
+  const failedStep = flow.steps.find((step) => step.error);
+
+  // Nothing will change anymore: done, stopped at a failed step, or from an earlier session
+  const settled = flow.interrupted || Boolean(failedStep) || flow.steps.every((step) => isFinalStatus(step.status));
+
+  return (
+    <motion.div className="tx-steps" initial={{ opacity: 0, y: 10 }} animate={{ opacity: 1, y: 0 }}>
+      <div className="tx-steps-header">
+        <span className="tx-steps-label">{flow.label}</span>
+        {settled && (
+          <button type="button" className="tx-steps-dismiss" onClick={onDismiss} aria-label="Dismiss">
+            ×
+          </button>
+        )}
+      </div>
+
+      <ol className="tx-steps-list">
+        {flow.steps.map((step, i) => (
+          <li key={step.kind} className={`tx-step tx-step-${step.status}`}>
+            <span className="tx-step-marker">{STATUS_MARKERS[step.status] ?? i + 1}</span>
+            <span className="tx-step-title">{getStepTitle(step.kind, flow.tokenSymbol)}</span>
+            <span className="tx-step-status">
+              {step.kind === 'permit' && step.status === TX_STATUS.CONFIRMED ? 'Signed' : STATUS_TEXT[step.status]}
+              {step.replacedHash && step.status === TX_STATUS.CONFIRMED && ' (sped up)'}
+            </span>
+            {step.hash && (
+              <a
+                href={`${explorerUrl}/tx/${step.hash}`}
+                target="_blank"
+                rel="noopener noreferrer"
+                className="tx-step-link"
+              >
+                View tx →
+              </a>
+            )}
+          </li>
+        ))}
+      </ol>
+
+      {failedStep && <div className="tx-steps-note tx-steps-error">{failedStep.error}</div>}
+      {flow.interrupted && !failedStep && (
+        <div className="tx-steps-note">
+          This purchase was interrupted. Submit it again to finish the remaining steps.
+        </div>
+      )}
+    </motion.div>
+  );
+};
+
+export default TransactionSteps;
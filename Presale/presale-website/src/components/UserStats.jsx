@@ -4,8 +4,20 @@
 
 import { useState, useEffect } from 'react';
 import { motion } from 'framer-motion';
+import { ethers } from 'ethers';
+import {
+  buildReceiptRows,
+  receiptsToCsv,
+  receiptsToJson,
+  downloadFile,
+  getReceiptFileName
+} from '../utils/receipts';
+import { decodePresaleError } from '../utils/presaleErrors';
 import './UserStats.css';
 
+/** Allowances at or above this are shown as unlimited (wallets may lower MaxUint256 slightly) */
+const UNLIMITED_ALLOWANCE = ethers.MaxUint256 / 2n;
+
 /**
  * User Statistics Component
  *
@@ -15,20 +27,38 @@ import './UserStats.css';
  *
  * Features:
  * - Real-time spending tracking
- * - Token purchase calculations with bonus display
+ * - Purchase history built from TokensPurchased events
+ * - Exact purchased token total (sum of on-chain tokensOut)
+ * - Client-side CSV/JSON receipt export for accounting
+ * - Presale allowances per payment token, with one-click revocation
  * - One-click token addition to wallet
- * - Auto-updating data every 10 seconds
+ * - Auto-updating with the shared presale state snapshot (no polling of its own)
  * - Smooth entrance animations
  * - Loading states for better UX
  *
  * @param {Object} props
- * @param {Function} props.getUserSpent - Function to fetch user's total spending
+ * @param {Function} props.getUserSpent - Selector for the user's total spending (changes with each snapshot)
+ * @param {Function} props.getPurchaseHistory - Function to fetch user's TokensPurchased events
+ * @param {Array<Object>} props.allowances - Presale allowance per ERC20 payment token ({ token, allowance })
+ * @param {Function} props.revokeAllowance - Function to reset a token's allowance to zero
  * @param {Function} props.addTokenToWallet - Function to add QC7 token to wallet
  * @param {boolean} props.isConnected - Whether user has connected their wallet
+ * @param {string} props.address - Connected wallet address (used in receipts)
  * @param {Function} props.addNotification - Function to show notifications
+ * @param {Object} props.deployment - Active deployment (explorer links and receipt metadata)
  * @returns {JSX.Element|null} User stats component or null if not connected
  */
-const UserStats = ({ getUserSpent, addTokenToWallet, isConnected, addNotification }) => {
+const UserStats = ({
+  getUserSpent,
+  getPurchaseHistory,
+  allowances,
+  revokeAllowance,
+  addTokenToWallet,
+  isConnected,
+  address,
+  addNotification,
+  deployment
+}) => {
   // ────────────────────────────────────────────────────────────────────────────────────
   // COMPONENT STATE
   // ────────────────────────────────────────────────────────────────────────────────────
@@ -36,9 +66,15 @@ const UserStats = ({ getUserSpent, addTokenToWallet, isConnected, addNotificatio
   /** Total amount user has spent in USD */
   const [userSpent, setUserSpent] = useState(0);
 
+  /** Purchases made by the connected wallet, newest first */
+  const [purchases, setPurchases] = useState([]);
+
   /** Loading state for add token button */
   const [loading, setLoading] = useState(false);
 
+  /** Key of the token whose allowance is being revoked */
+  const [revoking, setRevoking] = useState(null);
+
   // ────────────────────────────────────────────────────────────────────────────────────
   // DATA FETCHING EFFECT
   // ────────────────────────────────────────────────────────────────────────────────────
@@ -46,17 +82,16 @@ const UserStats = ({ getUserSpent, addTokenToWallet, isConnected, addNotificatio
   /**
    * Update User Statistics Effect
    *
-   * Fetches and updates user spending data when wallet is connected.
-   * Sets up automatic refresh every 10 seconds to keep data current.
+   * Reads the user's spending whenever the presale state snapshot refreshes
+   * (getUserSpent changes with it), so no separate polling is needed.
    */
   useEffect(() => {
     /**
-     * Fetch latest user spending data from smart contract
+     * Read user spending from the snapshot
      */
     const updateUserStats = async () => {
       if (isConnected) {
         try {
-          // Get user's total spending from contract
           const spent = await getUserSpent();
           setUserSpent(parseFloat(spent));
         } catch (err) {
@@ -68,15 +103,76 @@ const UserStats = ({ getUserSpent, addTokenToWallet, isConnected, addNotificatio
       }
     };
 
-    // Initial data fetch
     updateUserStats();
+  }, [isConnected, getUserSpent]);
 
-    // Set up periodic updates when connected
-    if (isConnected) {
-      const interval = setInterval(updateUserStats, 10000); // Update every 10 seconds
-      return () => clearInterval(interval);
+  /**
+   * Purchase History Effect
+   *
+   * Reloads the TokensPurchased history on connect and whenever the on-chain
+   * spending total changes (i.e. after a new purchase is mined).
+   */
+  useEffect(() => {
+    if (!isConnected) {
+      setPurchases([]);
+      return;
     }
-  }, [isConnected, getUserSpent]);
+
+    let cancelled = false;
+
+    const loadHistory = async () => {
+      try {
+        const history = await getPurchaseHistory();
+        if (!cancelled) setPurchases(history);
+      } catch (err) {
+        console.error('Error loading purchase history:', err);
+      }
+    };
+
+    loadHistory();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [isConnected, userSpent, getPurchaseHistory]);
+
+  // ────────────────────────────────────────────────────────────────────────────────────
+  // ALLOWANCE REVOCATION HANDLER
+  // ────────────────────────────────────────────────────────────────────────────────────
+
+  /**
+   * Revoke the presale's allowance on a payment token
+   *
+   * Sends approve(presale, 0); the transaction shows up in the widget's step
+   * indicator like a purchase.
+   *
+   * @param {Object} token - Payment token entry
+   */
+  const handleRevoke = async (token) => {
+    setRevoking(token.key);
+    try {
+      await revokeAllowance(token.key);
+
+      addNotification({
+        type: 'success',
+        title: 'Allowance Revoked',
+        message: `The presale can no longer spend your ${token.symbol}.`,
+        duration: 4000
+      });
+    } catch (err) {
+      console.error('Revoke allowance error:', err);
+
+      const decoded = decodePresaleError(err, { action: 'approve' });
+      addNotification({
+        type: decoded.code === 'USER_REJECTED' ? 'info' : 'error',
+        title: decoded.code === 'USER_REJECTED' ? 'Revoke Cancelled' : 'Revoke Failed',
+        message: decoded.message,
+        duration: 4000
+      });
+    } finally {
+      setRevoking(null);
+    }
+  };
 
   // ────────────────────────────────────────────────────────────────────────────────────
   // TOKEN WALLET ADDITION HANDLER
@@ -105,7 +201,8 @@ const UserStats = ({ getUserSpent, addTokenToWallet, isConnected, addNotificatio
       console.error('Add token error:', err);
 
       // Handle different error scenarios
-      if (err.message.includes('User rejected')) {
+      const decoded = decodePresaleError(err, { action: 'addToken' });
+      if (decoded.code === 'USER_REJECTED') {
         // User cancelled the addition
         addNotification({
           type: 'info',
@@ -118,7 +215,7 @@ const UserStats = ({ getUserSpent, addTokenToWallet, isConnected, addNotificatio
         addNotification({
           type: 'error',
           title: 'Failed to Add Token',
-          message: err.message || 'Failed to add QC7 token to your wallet.',
+          message: decoded.message || 'Failed to add QC7 token to your wallet.',
           duration: 5000
         });
       }
@@ -127,6 +224,39 @@ const UserStats = ({ getUserSpent, addTokenToWallet, isConnected, addNotificatio
     }
   };
 
+  // ────────────────────────────────────────────────────────────────────────────────────
+  // RECEIPT EXPORT HANDLER
+  // ────────────────────────────────────────────────────────────────────────────────────
+
+  /**
+   * Download the wallet's purchase receipts
+   *
+   * Built entirely in the browser from the loaded TokensPurchased history.
+   *
+   * @param {'csv'|'json'} format - Export format
+   */
+  const handleExportReceipts = (format) => {
+    const rows = buildReceiptRows(purchases, {
+      buyer: address,
+      chainId: deployment.chainId,
+      presaleContract: deployment.presaleAddress
+    });
+    const baseName = getReceiptFileName(address);
+
+    if (format === 'csv') {
+      downloadFile(`${baseName}.csv`, receiptsToCsv(rows), 'text/csv');
+    } else {
+      downloadFile(`${baseName}.json`, receiptsToJson(rows), 'application/json');
+    }
+
+    addNotification({
+      type: 'success',
+      title: 'Receipts Exported',
+      message: `Downloaded ${rows.length} receipt${rows.length === 1 ? '' : 's'} as ${format.toUpperCase()}.`,
+      duration: 3000
+    });
+  };
+
   // ────────────────────────────────────────────────────────────────────────────────────
   // UTILITY FUNCTIONS
   // ────────────────────────────────────────────────────────────────────────────────────
@@ -143,6 +273,37 @@ const UserStats = ({ getUserSpent, addTokenToWallet, isConnected, addNotificatio
     }).format(num);
   };
 
+  /**
+   * Format a unix timestamp as a short local date and time
+   * @param {number} timestamp - Block timestamp in seconds
+   * @returns {string} Formatted date
+   */
+  const formatDate = (timestamp) => {
+    return new Date(timestamp * 1000).toLocaleString('en-US', {
+      month: 'short',
+      day: 'numeric',
+      year: 'numeric',
+      hour: '2-digit',
+      minute: '2-digit'
+    });
+  };
+
+  /**
+   * Format an allowance for display
+   * @param {Object} entry - { token, allowance }
+   * @returns {string} "Unlimited" or the amount with symbol
+   */
+  const formatAllowance = ({ token, allowance }) => {
+    if (allowance >= UNLIMITED_ALLOWANCE) return `Unlimited ${token.symbol}`;
+    return `${ethers.formatUnits(allowance, token.decimals)} ${token.symbol}`;
+  };
+
+  /** Allowances the presale can still spend */
+  const openAllowances = allowances.filter((entry) => entry.allowance > 0n);
+
+  /** Real total of QC7 received across all purchases (bonus included) */
+  const totalTokensOut = purchases.reduce((sum, purchase) => sum + purchase.tokensOut, 0n);
+
   // ────────────────────────────────────────────────────────────────────────────────────
   // CONDITIONAL RENDERING
   // ────────────────────────────────────────────────────────────────────────────────────
@@ -176,16 +337,82 @@ const UserStats = ({ getUserSpent, addTokenToWallet, isConnected, addNotificatio
           <span className="stat-value">${formatNumber(userSpent)}</span>
         </div>
 
-        {/* Token purchase calculation with bonus */}
+        {/* Total tokens received, summed from on-chain purchases */}
         <div className="stat-item">
           <span className="stat-label">Tokens Purchased:</span>
           <span className="stat-value">
-            {/* Calculate tokens: $1 = 1000 QC7, plus 10% bonus = 1100 QC7 per USD */}
-            {formatNumber(userSpent * 1100)} QC7
+            {formatNumber(parseFloat(ethers.formatEther(totalTokensOut)))} QC7
             <span className="bonus-indicator">includes 10% bonus</span>
           </span>
         </div>
 
+        {/* Purchase history from TokensPurchased events */}
+        {purchases.length > 0 && (
+          <div className="purchase-history">
+            <span className="stat-label">Purchase History</span>
+            <ul className="history-list">
+              {purchases.map((purchase) => (
+                <li key={`${purchase.txHash}-${purchase.logIndex}`} className="history-item">
+                  <div className="history-row">
+                    <span className="history-date">{formatDate(purchase.timestamp)}</span>
+                    <a
+                      href={`${deployment.explorerUrl}/tx/${purchase.txHash}`}
+                      target="_blank"
+                      rel="noopener noreferrer"
+                      className="history-tx"
+                    >
+                      View tx →
+                    </a>
+                  </div>
+                  <div className="history-row">
+                    <span>
+                      {ethers.formatUnits(purchase.payAmount, purchase.payToken.decimals)} {purchase.payToken.symbol}
+                    </span>
+                    <span className="history-usd">${formatNumber(parseFloat(ethers.formatEther(purchase.usdPaid)))}</span>
+                  </div>
+                  <div className="history-row">
+                    <span className="history-tokens">
+                      +{formatNumber(parseFloat(ethers.formatEther(purchase.tokensOut)))} QC7
+                    </span>
+                  </div>
+                </li>
+              ))}
+            </ul>
+
+            {/* Export receipts (generated client-side) */}
+            <div className="export-receipts">
+              <span className="stat-label">Export receipts:</span>
+              <button className="export-btn" onClick={() => handleExportReceipts('csv')}>
+                CSV
+              </button>
+              <button className="export-btn" onClick={() => handleExportReceipts('json')}>
+                JSON
+              </button>
+            </div>
+          </div>
+        )}
+
+        {/* Allowances the presale can still spend */}
+        {openAllowances.length > 0 && (
+          <div className="allowances">
+            <span className="stat-label">Presale Allowances</span>
+            <ul className="allowance-list">
+              {openAllowances.map((entry) => (
+                <li key={entry.token.key} className="allowance-item">
+                  <span>{formatAllowance(entry)}</span>
+                  <button
+                    className="revoke-btn"
+                    onClick={() => handleRevoke(entry.token)}
+                    disabled={revoking !== null}
+                  >
+                    {revoking === entry.token.key ? 'Revoking...' : 'Revoke'}
+                  </button>
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
+
         {/* Add token to wallet button */}
         <motion.button
           className="add-token-btn"
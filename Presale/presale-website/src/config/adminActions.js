@@ -0,0 +1,257 @@
+// ══════════════════════════════════════════════════════════════════════════════════════
+// OWNER ADMIN ACTIONS CONFIGURATION
+// ══════════════════════════════════════════════════════════════════════════════════════
+
+import { ethers } from 'ethers';
+import { ERC20_ABI } from './contracts';
+
+/**
+ * Owner-only Presale Administration Actions
+ *
+ * Describes every owner function exposed by PRESALE_ABI so the admin console can
+ * render a form, parse the inputs and run the same checks the contract runs
+ * before a transaction is ever signed.
+ *
+ * Each action has:
+ * - fn: Contract function name in PRESALE_ABI
+ * - label / description: Text shown in the admin console
+ * - fields: Ordered list of inputs matching the function arguments
+ * - event: Event the contract emits on success (used for confirmation)
+ * - validate: Mirrors the contract's require checks, returns the revert reason or null
+ *
+ * Field types:
+ * - 'usd18': Decimal USD amount, converted to 18 decimals (e.g. "0.01" => 1e16)
+ * - 'uint' / 'uint8' / 'int': Raw integers passed through unchanged
+ * - 'timestamp': Local date/time converted to unix seconds (empty = 0, disabled)
+ * - 'address': Checksummed or lowercase EVM address
+ * - 'bool': Checkbox
+ * - 'string': Free text
+ */
+
+// ──────────────────────────────────────────────────────────────────────────────────────
+// FIELD LIMITS
+// ──────────────────────────────────────────────────────────────────────────────────────
+
+/** Largest value accepted by uint8 parameters */
+const MAX_UINT8 = 255n;
+
+/** Largest value accepted by uint48 parameters (sale window timestamps) */
+const MAX_UINT48 = 2n ** 48n - 1n;
+
+// ──────────────────────────────────────────────────────────────────────────────────────
+// ACTION DEFINITIONS
+// ──────────────────────────────────────────────────────────────────────────────────────
+
+export const ADMIN_ACTIONS = [
+  {
+    fn: 'setTokenPriceUsd',
+    label: 'Token Price',
+    description: 'USD price per 1 QC7 (e.g. 0.01 = $0.01).',
+    fields: [
+      { name: 'newPriceUsd18', label: 'Price (USD)', type: 'usd18' }
+    ],
+    event: 'TokenPriceUpdated',
+    validate: ([newPriceUsd18]) => (newPriceUsd18 > 0n ? null : 'Price=0')
+  },
+  {
+    fn: 'setWindow',
+    label: 'Sale Window',
+    description: 'Start and end of the sale. Leave empty to disable a bound.',
+    fields: [
+      { name: '_start', label: 'Start', type: 'timestamp' },
+      { name: '_end', label: 'End', type: 'timestamp' }
+    ],
+    event: 'WindowUpdated',
+    validate: () => null
+  },
+  {
+    fn: 'setCaps',
+    label: 'Caps',
+    description: 'Per-wallet and global caps in USD. 0 disables a cap.',
+    fields: [
+      { name: '_walletCapUsd18', label: 'Wallet Cap (USD)', type: 'usd18' },
+      { name: '_hardCapUsd18', label: 'Hard Cap (USD)', type: 'usd18' }
+    ],
+    event: 'CapsUpdated',
+    validate: () => null
+  },
+  {
+    fn: 'configureToken',
+    label: 'Configure Token',
+    description: 'Static USD pricing for a payment token. Use 0x0 for the native coin.',
+    fields: [
+      { name: 'token', label: 'Token Address', type: 'address' },
+      { name: 'usdPrice', label: 'USD Price per Token', type: 'usd18' },
+      { name: 'decimals_', label: 'Decimals', type: 'uint8' },
+      { name: 'accepted_', label: 'Accepted', type: 'bool' }
+    ],
+    event: 'TokenConfigured',
+    validate: ([token, usdPrice, decimals]) => {
+      // Native coin configuration skips the ERC20 checks
+      if (token === ethers.ZeroAddress) return null;
+      if (decimals === 0n) return 'DEC=0';
+      if (usdPrice === 0n) return 'USD_RATE=0';
+      return null;
+    }
+  },
+  {
+    fn: 'setPriceFeed',
+    label: 'Price Feed',
+    description: 'Chainlink aggregator and safety bounds (bounds use the feed decimals).',
+    fields: [
+      { name: 'token', label: 'Token Address', type: 'address' },
+      { name: 'aggregator', label: 'Aggregator Address', type: 'address' },
+      { name: 'useOracle_', label: 'Use Oracle', type: 'bool' },
+      { name: 'maxStaleSeconds', label: 'Max Staleness (seconds)', type: 'uint' },
+      { name: 'minPriceMinBound', label: 'Min Price', type: 'int' },
+      { name: 'maxPriceMaxBound', label: 'Max Price', type: 'int' }
+    ],
+    event: 'PriceFeedSet',
+    validate: ([, aggregator, useOracle, , minPrice, maxPrice]) => {
+      if (useOracle && aggregator === ethers.ZeroAddress) return 'FEED=0';
+      if (minPrice > maxPrice) return 'BADS';
+      return null;
+    }
+  },
+  {
+    fn: 'setUsdRate',
+    label: 'USD Rate',
+    description: 'Static USD price for a token (18 decimals).',
+    fields: [
+      { name: 'token', label: 'Token Address', type: 'address' },
+      { name: 'usdPrice', label: 'USD Price per Token', type: 'usd18' }
+    ],
+    event: 'UsdRateSet',
+    validate: ([, usdPrice]) => (usdPrice > 0n ? null : 'USD_RATE=0')
+  },
+  {
+    fn: 'setAccepted',
+    label: 'Accept Token',
+    description: 'Enable or disable a payment token without touching its pricing.',
+    fields: [
+      { name: 'token', label: 'Token Address', type: 'address' },
+      { name: 'accepted_', label: 'Accepted', type: 'bool' }
+    ],
+    event: 'TokenConfigured',
+    validate: () => null
+  },
+  {
+    fn: 'setSubtitle',
+    label: 'Subtitle',
+    description: 'Subtitle text shown under the title.',
+    fields: [
+      { name: 'newSubtitle', label: 'Subtitle', type: 'string' }
+    ],
+    event: 'SubtitleUpdated',
+    validate: () => null
+  },
+  {
+    fn: 'withdrawNative',
+    label: 'Withdraw Native',
+    description: 'Send the full native coin balance to the treasury.',
+    fields: [],
+    event: 'Withdraw',
+    validate: async (args, { provider, presaleAddress }) => {
+      const balance = await provider.getBalance(presaleAddress);
+      return balance > 0n ? null : 'No native';
+    }
+  },
+  {
+    fn: 'withdrawToken',
+    label: 'Withdraw Token',
+    description: 'Send the full balance of an ERC20 token to the treasury.',
+    fields: [
+      { name: 'token', label: 'Token Address', type: 'address' }
+    ],
+    event: 'Withdraw',
+    validate: async ([token], { provider, presaleAddress }) => {
+      if (token === ethers.ZeroAddress) return 'TOKEN=0';
+      const erc20 = new ethers.Contract(token, ERC20_ABI, provider);
+      const balance = await erc20.balanceOf(presaleAddress);
+      return balance > 0n ? null : 'No tokens';
+    }
+  }
+];
+
+// ──────────────────────────────────────────────────────────────────────────────────────
+// INPUT PARSING
+// ──────────────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Build the initial (empty) form values for an action
+ * @param {Object} action - Entry from ADMIN_ACTIONS
+ * @returns {Object} Map of field name to default input value
+ */
+export const getDefaultAdminValues = (action) =>
+  Object.fromEntries(
+    action.fields.map((field) => [field.name, field.type === 'bool' ? false : ''])
+  );
+
+/**
+ * Convert a single raw form value into the contract argument for its field type
+ *
+ * @param {Object} field - Field definition
+ * @param {string|boolean} raw - Value from the form input
+ * @returns {bigint|string|boolean} Parsed argument
+ * @throws {Error} If the value is not valid for the field type
+ */
+const parseField = (field, raw) => {
+  const value = typeof raw === 'string' ? raw.trim() : raw;
+
+  switch (field.type) {
+    case 'usd18':
+      if (value === '') throw new Error(`${field.label} is required`);
+      try {
+        return ethers.parseUnits(value, 18);
+      } catch {
+        throw new Error(`${field.label} must be a decimal number`);
+      }
+
+    case 'uint':
+    case 'uint8': {
+      if (!/^\d+$/.test(value)) throw new Error(`${field.label} must be a whole number`);
+      const parsed = BigInt(value);
+      if (field.type === 'uint8' && parsed > MAX_UINT8) {
+        throw new Error(`${field.label} must be at most ${MAX_UINT8}`);
+      }
+      return parsed;
+    }
+
+    case 'int':
+      if (!/^-?\d+$/.test(value)) throw new Error(`${field.label} must be an integer`);
+      return BigInt(value);
+
+    case 'timestamp': {
+      if (value === '') return 0n;
+      const ms = new Date(value).getTime();
+      if (Number.isNaN(ms)) throw new Error(`${field.label} is not a valid date`);
+      const seconds = BigInt(Math.floor(ms / 1000));
+      if (seconds < 0n || seconds > MAX_UINT48) throw new Error(`${field.label} is out of range`);
+      return seconds;
+    }
+
+    case 'address':
+      if (!ethers.isAddress(value)) throw new Error(`${field.label} is not a valid address`);
+      return ethers.getAddress(value);
+
+    case 'bool':
+      return Boolean(value);
+
+    case 'string':
+      return value;
+
+    default:
+      throw new Error(`Unsupported field type: ${field.type}`);
+  }
+};
+
+/**
+ * Parse all form values for an action into an ordered contract argument list
+ *
+ * @param {Object} action - Entry from ADMIN_ACTIONS
+ * @param {Object} values - Map of field name to raw form value
+ * @returns {Array} Arguments in contract parameter order
+ * @throws {Error} On the first invalid field
+ */
+export const parseAdminArgs = (action, values) =>
+  action.fields.map((field) => parseField(field, values[field.name]));
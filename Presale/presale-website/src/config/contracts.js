@@ -3,18 +3,12 @@
 // ══════════════════════════════════════════════════════════════════════════════════════
 
 /**
- * Contract Addresses Configuration
+ * Contract ABIs
  *
- * IMPORTANT: Update these addresses when deploying to different networks
- * or when using different contract instances.
+ * Addresses are chain-specific and live in the deployment registry
+ * (config/deployments.js); the ABIs below are shared by every deployment.
  */
 
-/** Main QC7 Presale smart contract address */
-export const PRESALE_CONTRACT_ADDRESS = "0x1EEe32E32AC4538EA29eCEFf439c458b84c516ca";
-
-/** USDC token contract address for ERC20 payments */
-export const USDC_CONTRACT_ADDRESS = "0x1c7D4B196Cb0C7B01d743Fbc6116a902379C7238";
-
 // ══════════════════════════════════════════════════════════════════════════════════════
 // CONTRACT ABIS (Application Binary Interfaces)
 // ══════════════════════════════════════════════════════════════════════════════════════
@@ -999,6 +993,7 @@ export const PRESALE_ABI = [
  * - Checking approval amounts (allowance)
  * - Checking token balances (balanceOf)
  * - Getting token decimals (decimals)
+ * - Reading token metadata (symbol, name) for discovered payment tokens
  */
 export const ERC20_ABI = [
   {
@@ -1036,29 +1031,152 @@ export const ERC20_ABI = [
     "inputs": [],
     "outputs": [{"name": "", "type": "uint8"}],
     "stateMutability": "view"
+  },
+  {
+    "type": "function",
+    "name": "symbol",
+    "inputs": [],
+    "outputs": [{"name": "", "type": "string"}],
+    "stateMutability": "view"
+  },
+  {
+    "type": "function",
+    "name": "name",
+    "inputs": [],
+    "outputs": [{"name": "", "type": "string"}],
+    "stateMutability": "view"
   }
 ];
 
-// ══════════════════════════════════════════════════════════════════════════════════════
-// PRESALE CONFIGURATION CONSTANTS
-// ══════════════════════════════════════════════════════════════════════════════════════
-
-/** Sepolia testnet chain ID for network validation */
-export const SEPOLIA_CHAIN_ID = 11155111;
-
-/** Maximum amount that can be raised in the presale (USD) */
-export const HARDCAP_USD = 1000000; // $1,000,000 USD
-
-/** Price per QC7 token in USD */
-export const TOKEN_PRICE = 0.001; // $0.001 per token
+/**
+ * Multicall3 ABI (aggregate3 only)
+ *
+ * Multicall3 is deployed at the same address on every major EVM chain and
+ * executes a list of calls in one eth_call (see utils/multicall.js).
+ */
+export const MULTICALL3_ABI = [
+  {
+    "type": "function",
+    "name": "aggregate3",
+    "inputs": [
+      {
+        "name": "calls",
+        "type": "tuple[]",
+        "components": [
+          {"name": "target", "type": "address"},
+          {"name": "allowFailure", "type": "bool"},
+          {"name": "callData", "type": "bytes"}
+        ]
+      }
+    ],
+    "outputs": [
+      {
+        "name": "returnData",
+        "type": "tuple[]",
+        "components": [
+          {"name": "success", "type": "bool"},
+          {"name": "returnData", "type": "bytes"}
+        ]
+      }
+    ],
+    "stateMutability": "payable"
+  }
+];
 
 /**
- * Calculate presale end date
- * Set to 2 months from deployment for demonstration
- * In production, this should be set to a specific date
+ * EIP-2612 Permit ABI
+ *
+ * Functions used to detect and use gasless approvals (see utils/permit.js):
+ * - nonces / DOMAIN_SEPARATOR: present on every EIP-2612 token
+ * - eip712Domain (EIP-5267) or version: the signing domain's version
+ * - permit: sets the allowance from an owner's typed-data signature
  */
-const now = new Date();
-const endDate = new Date(now.getTime() + (2 * 30 * 24 * 60 * 60 * 1000)); // 2 months from now
+export const ERC20_PERMIT_ABI = [
+  {
+    "type": "function",
+    "name": "permit",
+    "inputs": [
+      {"name": "owner", "type": "address"},
+      {"name": "spender", "type": "address"},
+      {"name": "value", "type": "uint256"},
+      {"name": "deadline", "type": "uint256"},
+      {"name": "v", "type": "uint8"},
+      {"name": "r", "type": "bytes32"},
+      {"name": "s", "type": "bytes32"}
+    ],
+    "outputs": [],
+    "stateMutability": "nonpayable"
+  },
+  {
+    "type": "function",
+    "name": "nonces",
+    "inputs": [{"name": "owner", "type": "address"}],
+    "outputs": [{"name": "", "type": "uint256"}],
+    "stateMutability": "view"
+  },
+  {
+    "type": "function",
+    "name": "DOMAIN_SEPARATOR",
+    "inputs": [],
+    "outputs": [{"name": "", "type": "bytes32"}],
+    "stateMutability": "view"
+  },
+  {
+    "type": "function",
+    "name": "eip712Domain",
+    "inputs": [],
+    "outputs": [
+      {"name": "fields", "type": "bytes1"},
+      {"name": "name", "type": "string"},
+      {"name": "version", "type": "string"},
+      {"name": "chainId", "type": "uint256"},
+      {"name": "verifyingContract", "type": "address"},
+      {"name": "salt", "type": "bytes32"},
+      {"name": "extensions", "type": "uint256[]"}
+    ],
+    "stateMutability": "view"
+  },
+  {
+    "type": "function",
+    "name": "version",
+    "inputs": [],
+    "outputs": [{"name": "", "type": "string"}],
+    "stateMutability": "view"
+  },
+  {
+    "type": "function",
+    "name": "name",
+    "inputs": [],
+    "outputs": [{"name": "", "type": "string"}],
+    "stateMutability": "view"
+  }
+];
 
-/** Presale end date as Unix timestamp */
-export const PRESALE_END_DATE = Math.floor(endDate.getTime() / 1000);
\ No newline at end of file
+/**
+ * Chainlink AggregatorV3 ABI
+ *
+ * Price feed functions the presale reads for oracle-priced tokens (see
+ * _usdValue() in the contract and utils/priceQuote.js).
+ */
+export const AGGREGATOR_V3_ABI = [
+  {
+    "type": "function",
+    "name": "latestRoundData",
+    "inputs": [],
+    "outputs": [
+      {"name": "roundId", "type": "uint80"},
+      {"name": "answer", "type": "int256"},
+      {"name": "startedAt", "type": "uint256"},
+      {"name": "updatedAt", "type": "uint256"},
+      {"name": "answeredInRound", "type": "uint80"}
+    ],
+    "stateMutability": "view"
+  },
+  {
+    "type": "function",
+    "name": "decimals",
+    "inputs": [],
+    "outputs": [{"name": "", "type": "uint8"}],
+    "stateMutability": "view"
+  }
+];
@@ -0,0 +1,248 @@
+// ══════════════════════════════════════════════════════════════════════════════════════
+// MULTI-CHAIN DEPLOYMENT REGISTRY
+// ══════════════════════════════════════════════════════════════════════════════════════
+
+import { mainnet, bsc, polygon, sepolia } from '@reown/appkit/networks';
+import { ENV, ENV_ERRORS } from './env';
+
+/**
+ * Deployment Registry
+ *
+ * One entry per chain the presale contract is (or will be) deployed on, keyed by
+ * chain ID. AppKit's network list, the contract hook, explorer links and every
+ * native-coin label ("ETH" vs "BNB") are derived from the entry of the active
+ * chain, so going live on another chain only requires filling in its entry.
+ *
+ * The chain named by VITE_CHAIN_ID takes its presale (and QC7) address from
+ * VITE_CONTRACT_ADDRESS / VITE_QC7_ADDRESS and is the default chain. Its RPC
+ * endpoints can be replaced with VITE_RPC_URLS (e.g. private or local nodes)
+ * and its deployment block set with VITE_DEPLOYMENT_BLOCK.
+ *
+ * Entry fields:
+ * - chainId: EVM chain ID
+ * - name: Human-readable network name
+ * - network: AppKit network definition (from @reown/appkit/networks)
+ * - presaleAddress: Presale contract address (null = not deployed; chain is hidden)
+ * - qc7Address: QC7 token address (null = read QC7() from the presale)
+ * - deploymentBlock: Block the presale was deployed in; log scans start here
+ *   (null = unknown, which is a configuration error once presaleAddress is set,
+ *   so no visitor ever scans the chain from genesis)
+ * - nativeCurrency: The chain's coin as accepted by buyWithNative()
+ *   ({ symbol, name, decimals, logo })
+ * - rpcUrls: Public JSON-RPC endpoints for read-only access, in order of preference
+ *   (pooled with health checks and failover, see utils/rpcPool.js)
+ * - explorerUrl: Block explorer base URL for transaction and address links
+ * - explorerName: Block explorer name used in link labels
+ * - paymentTokens: ERC20 payment tokens on this chain (see config/paymentTokens.js)
+ */
+
+// ──────────────────────────────────────────────────────────────────────────────────────
+// SHARED TOKEN LOGOS
+// ──────────────────────────────────────────────────────────────────────────────────────
+
+const ETH_LOGO = 'https://assets.coingecko.com/coins/images/279/small/ethereum.png';
+const BNB_LOGO = 'https://assets.coingecko.com/coins/images/825/small/bnb-icon2_2x.png';
+const POL_LOGO = 'https://assets.coingecko.com/coins/images/4713/small/polygon.png';
+const USDC_LOGO = 'https://assets.coingecko.com/coins/images/6319/small/USD_Coin_icon.png';
+const USDT_LOGO = 'https://assets.coingecko.com/coins/images/325/small/Tether.png';
+
+// ──────────────────────────────────────────────────────────────────────────────────────
+// DEPLOYMENTS
+// ──────────────────────────────────────────────────────────────────────────────────────
+
+const REGISTRY = {
+  [sepolia.id]: {
+    chainId: sepolia.id,
+    name: 'Sepolia',
+    network: sepolia,
+    presaleAddress: null,
+    qc7Address: null,
+    // Lower bound for the .env.example presale: block 6,000,000 (mid-2024)
+    // predates solc 0.8.28, which the contract is pinned to, so no presale
+    // event precedes it. The creation transaction's block (here or in
+    // VITE_DEPLOYMENT_BLOCK) skips the empty range.
+    deploymentBlock: 6000000,
+    nativeCurrency: { symbol: 'ETH', name: 'Ethereum', decimals: 18, logo: ETH_LOGO },
+    rpcUrls: ['https://rpc.sepolia.org', 'https://ethereum-sepolia-rpc.publicnode.com', 'https://sepolia.drpc.org'],
+    explorerUrl: 'https://sepolia.etherscan.io',
+    explorerName: 'Etherscan',
+    paymentTokens: [
+      {
+        key: 'USDC',
+        symbol: 'USDC',
+        name: 'USD Coin',
+        address: '0x1c7D4B196Cb0C7B01d743Fbc6116a902379C7238',
+        decimals: 6,
+        logo: USDC_LOGO
+      }
+    ]
+  },
+
+  [mainnet.id]: {
+    chainId: mainnet.id,
+    name: 'Ethereum',
+    network: mainnet,
+    presaleAddress: null,
+    qc7Address: null,
+    deploymentBlock: null,
+    nativeCurrency: { symbol: 'ETH', name: 'Ethereum', decimals: 18, logo: ETH_LOGO },
+    rpcUrls: ['https://ethereum-rpc.publicnode.com', 'https://cloudflare-eth.com', 'https://eth.drpc.org'],
+    explorerUrl: 'https://etherscan.io',
+    explorerName: 'Etherscan',
+    paymentTokens: [
+      {
+        key: 'USDC',
+        symbol: 'USDC',
+        name: 'USD Coin',
+        address: '0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48',
+        decimals: 6,
+        logo: USDC_LOGO
+      },
+      {
+        key: 'USDT',
+        symbol: 'USDT',
+        name: 'Tether USD',
+        address: '0xdAC17F958D2ee523a2206206994597C13D831ec7',
+        decimals: 6,
+        logo: USDT_LOGO
+      }
+    ]
+  },
+
+  [bsc.id]: {
+    chainId: bsc.id,
+    name: 'BNB Smart Chain',
+    network: bsc,
+    presaleAddress: null,
+    qc7Address: null,
+    deploymentBlock: null,
+    nativeCurrency: { symbol: 'BNB', name: 'BNB', decimals: 18, logo: BNB_LOGO },
+    rpcUrls: ['https://bsc-dataseed.bnbchain.org', 'https://bsc-rpc.publicnode.com', 'https://bsc.drpc.org'],
+    explorerUrl: 'https://bscscan.com',
+    explorerName: 'BscScan',
+    paymentTokens: [
+      {
+        key: 'USDT',
+        symbol: 'USDT',
+        name: 'Tether USD',
+        address: '0x55d398326f99059fF775485246999027B3197955',
+        decimals: 18,
+        logo: USDT_LOGO
+      },
+      {
+        key: 'USDC',
+        symbol: 'USDC',
+        name: 'USD Coin',
+        address: '0x8AC76a51cc950d9822D68b83fE1Ad97B32Cd580d',
+        decimals: 18,
+        logo: USDC_LOGO
+      }
+    ]
+  },
+
+  [polygon.id]: {
+    chainId: polygon.id,
+    name: 'Polygon',
+    network: polygon,
+    presaleAddress: null,
+    qc7Address: null,
+    deploymentBlock: null,
+    nativeCurrency: { symbol: 'POL', name: 'Polygon', decimals: 18, logo: POL_LOGO },
+    rpcUrls: ['https://polygon-rpc.com', 'https://polygon-bor-rpc.publicnode.com', 'https://polygon.drpc.org'],
+    explorerUrl: 'https://polygonscan.com',
+    explorerName: 'PolygonScan',
+    paymentTokens: [
+      {
+        key: 'USDC',
+        symbol: 'USDC',
+        name: 'USD Coin',
+        address: '0x3c499c542cEF5E3811e1192ce70d8cC03d5c3359',
+        decimals: 6,
+        logo: USDC_LOGO
+      },
+      {
+        key: 'USDT',
+        symbol: 'USDT',
+        name: 'Tether USD',
+        address: '0xc2132D05D31c914a87C6611C10748AEb04B58e8F',
+        decimals: 6,
+        logo: USDT_LOGO
+      }
+    ]
+  }
+};
+
+// ──────────────────────────────────────────────────────────────────────────────────────
+// ENVIRONMENT OVERRIDES
+// ──────────────────────────────────────────────────────────────────────────────────────
+
+/** Registry with the VITE_CHAIN_ID entry bound to the addresses (and RPCs) from the environment */
+export const DEPLOYMENTS = { ...REGISTRY };
+
+if (ENV.chainId !== null && REGISTRY[ENV.chainId]) {
+  DEPLOYMENTS[ENV.chainId] = {
+    ...REGISTRY[ENV.chainId],
+    presaleAddress: ENV.presaleAddress,
+    qc7Address: ENV.qc7Address,
+    rpcUrls: ENV.rpcUrls || REGISTRY[ENV.chainId].rpcUrls,
+    deploymentBlock: ENV.deploymentBlock ?? REGISTRY[ENV.chainId].deploymentBlock
+  };
+}
+
+/**
+ * Deployments whose presale is set but whose deployment block is not
+ *
+ * Their event history would have to be scanned from genesis, so they are
+ * reported as configuration errors. An invalid VITE_DEPLOYMENT_BLOCK is
+ * already reported by the environment validation.
+ */
+const missingDeploymentBlocks = Object.values(DEPLOYMENTS)
+  .filter((deployment) => deployment.presaleAddress && deployment.deploymentBlock === null)
+  .filter((deployment) => deployment.chainId !== ENV.chainId || !ENV_ERRORS.some((error) => error.key === 'VITE_DEPLOYMENT_BLOCK'))
+  .map((deployment) => ({
+    key: deployment.chainId === ENV.chainId ? 'VITE_DEPLOYMENT_BLOCK' : 'deploymentBlock',
+    message: deployment.chainId === ENV.chainId
+      ? `Set the block the presale was deployed in on ${deployment.name}`
+      : `${deployment.name} has a presaleAddress but no deploymentBlock in config/deployments.js`
+  }));
+
+/**
+ * Every configuration problem found at startup
+ *
+ * Environment validation errors, a VITE_CHAIN_ID without a registry entry and
+ * deployments without a deployment block. The app shows a configuration error
+ * screen while this is non-empty.
+ */
+export const CONFIG_ERRORS = [
+  ...ENV_ERRORS,
+  ...(ENV.chainId !== null && !REGISTRY[ENV.chainId]
+    ? [{
+      key: 'VITE_CHAIN_ID',
+      message: `Chain ${ENV.chainId} has no entry in config/deployments.js (known: ${Object.keys(REGISTRY).join(', ')})`
+    }]
+    : []),
+  ...missingDeploymentBlocks
+];
+
+// ──────────────────────────────────────────────────────────────────────────────────────
+// LOOKUPS
+// ──────────────────────────────────────────────────────────────────────────────────────
+
+/** Chain used before a wallet picks one (VITE_CHAIN_ID) */
+export const DEFAULT_CHAIN_ID = ENV.chainId;
+
+/** Deployments with a presale contract (ordered by chain ID) */
+export const SUPPORTED_DEPLOYMENTS = Object.values(DEPLOYMENTS).filter((deployment) => deployment.presaleAddress);
+
+/** AppKit networks for every supported deployment */
+export const SUPPORTED_NETWORKS = SUPPORTED_DEPLOYMENTS.map((deployment) => deployment.network);
+
+/**
+ * Look up the deployment for a chain
+ * @param {number|string} chainId - EVM chain ID (AppKit may report it as a string)
+ * @returns {Object|null} Deployment entry, or null when the presale is not deployed there
+ */
+export const getDeployment = (chainId) => {
+  const deployment = DEPLOYMENTS[Number(chainId)];
+  return deployment && deployment.presaleAddress ? deployment : null;
+};
@@ -0,0 +1,165 @@
+// ══════════════════════════════════════════════════════════════════════════════════════
+// ENVIRONMENT CONFIGURATION
+// ══════════════════════════════════════════════════════════════════════════════════════
+
+import { ethers } from 'ethers';
+
+/**
+ * Environment Configuration
+ *
+ * Deployment-specific settings come from Vite environment variables
+ * (import.meta.env, e.g. from .env or the hosting provider) instead of being
+ * hard-coded. Every variable is validated once at startup; when anything is
+ * missing or malformed the app renders a configuration error screen instead
+ * of a half-working widget (see CONFIG_ERRORS in config/deployments.js).
+ *
+ * Copy .env.example to .env to get started.
+ */
+
+// ──────────────────────────────────────────────────────────────────────────────────────
+// SCHEMA
+// ──────────────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Supported environment variables
+ *
+ * Fields:
+ * - key: Variable name (must start with VITE_ to be exposed to the app)
+ * - name: Property name in ENV
+ * - type: Value type, see ENV_PARSERS
+ * - required: Whether startup fails when the variable is missing
+ * - description: Shown on the configuration error screen
+ */
+export const ENV_SCHEMA = [
+  {
+    key: 'VITE_WALLETCONNECT_PROJECT_ID',
+    name: 'projectId',
+    type: 'projectId',
+    required: true,
+    description: 'Reown Cloud project ID (https://cloud.reown.com)'
+  },
+  {
+    key: 'VITE_CHAIN_ID',
+    name: 'chainId',
+    type: 'chainId',
+    required: true,
+    description: 'Chain ID the presale contract is deployed on (e.g. 11155111 for Sepolia)'
+  },
+  {
+    key: 'VITE_CONTRACT_ADDRESS',
+    name: 'presaleAddress',
+    type: 'address',
+    required: true,
+    description: 'Checksummed presale contract address on VITE_CHAIN_ID'
+  },
+  {
+    key: 'VITE_QC7_ADDRESS',
+    name: 'qc7Address',
+    type: 'address',
+    required: false,
+    description: 'Checksummed QC7 token address (read from the presale contract when unset)'
+  },
+  {
+    key: 'VITE_RPC_URLS',
+    name: 'rpcUrls',
+    type: 'urlList',
+    required: false,
+    description: 'Comma-separated read-only RPC endpoints for VITE_CHAIN_ID (replaces the built-in list)'
+  },
+  {
+    key: 'VITE_DEPLOYMENT_BLOCK',
+    name: 'deploymentBlock',
+    type: 'blockNumber',
+    required: false,
+    description: 'Block the presale was deployed in on VITE_CHAIN_ID, where event scans start (defaults to the chain\'s deploymentBlock in config/deployments.js)'
+  }
+];
+
+/**
+ * Parsers per variable type
+ *
+ * Each parser receives the trimmed raw string and returns the parsed value,
+ * or throws an Error whose message explains what is wrong.
+ */
+const ENV_PARSERS = {
+  address: (raw) => {
+    if (!ethers.isAddress(raw)) throw new Error(`"${raw}" is not a valid address`);
+
+    const checksummed = ethers.getAddress(raw);
+    if (raw !== checksummed) throw new Error(`Address must be checksummed (expected ${checksummed})`);
+
+    return checksummed;
+  },
+
+  blockNumber: (raw) => {
+    if (!/^\d+$/.test(raw) || !Number.isSafeInteger(Number(raw))) {
+      throw new Error(`"${raw}" is not a block number`);
+    }
+    return Number(raw);
+  },
+
+  chainId: (raw) => {
+    if (!/^\d+$/.test(raw) || Number(raw) <= 0 || !Number.isSafeInteger(Number(raw))) {
+      throw new Error(`"${raw}" is not a numeric chain ID`);
+    }
+    return Number(raw);
+  },
+
+  projectId: (raw) => {
+    if (!/^[0-9a-f]{32}$/i.test(raw)) throw new Error('Project ID must be 32 hexadecimal characters');
+    return raw;
+  },
+
+  urlList: (raw) => {
+    const urls = raw.split(',').map((url) => url.trim()).filter(Boolean);
+    if (urls.length === 0) throw new Error('Expected at least one URL');
+
+    for (const url of urls) {
+      if (!/^https?:\/\/[^\s/]+/i.test(url)) throw new Error(`"${url}" is not an http(s) URL`);
+    }
+    return urls;
+  }
+};
+
+// ──────────────────────────────────────────────────────────────────────────────────────
+// LOADING
+// ──────────────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Parse and validate environment variables against ENV_SCHEMA
+ *
+ * @param {Object} env - Raw variables (import.meta.env)
+ * @returns {{ env: Object, errors: Array<{ key: string, message: string }> }}
+ *   Parsed values keyed by schema name (null when missing or invalid) and
+ *   every validation problem found
+ */
+export const loadEnv = (env) => {
+  const parsed = {};
+  const errors = [];
+
+  for (const { key, name, type, required } of ENV_SCHEMA) {
+    const raw = typeof env[key] === 'string' ? env[key].trim() : '';
+    parsed[name] = null;
+
+    if (!raw) {
+      if (required) errors.push({ key, message: 'Required variable is not set' });
+      continue;
+    }
+
+    try {
+      parsed[name] = ENV_PARSERS[type](raw);
+    } catch (err) {
+      errors.push({ key, message: err.message });
+    }
+  }
+
+  return { env: parsed, errors };
+};
+
+const loaded = loadEnv(import.meta.env);
+
+/** Validated environment values (see ENV_SCHEMA for names) */
+export const ENV = loaded.env;
+
+/** Problems found while validating the environment */
+export const ENV_ERRORS = loaded.errors;
@@ -0,0 +1,43 @@
+// ══════════════════════════════════════════════════════════════════════════════════════
+// PAYMENT TOKEN REGISTRY
+// ══════════════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Payment Token Registry
+ *
+ * Builds the list of currencies the presale widget can pay with on a given
+ * chain. The native coin comes from the deployment's nativeCurrency and the
+ * ERC20s from its paymentTokens (see config/deployments.js), so supporting
+ * another ERC20 (USDT, DAI, ...) only requires a new entry there and a
+ * matching configureToken() call on that chain's presale contract.
+ *
+ * At runtime the contract hook narrows this list to the tokens accepted on-chain
+ * and appends any accepted token that is missing here (with decimals read from
+ * tokenInfo), so the UI follows configureToken()/setAccepted() automatically.
+ *
+ * Entry fields:
+ * - key: Stable identifier used in UI state (usually the symbol)
+ * - symbol: Ticker shown to the user
+ * - name: Full token name (used for accessible labels)
+ * - address: Token contract address, or NATIVE_TOKEN_ADDRESS for the chain's coin
+ * - decimals: Token decimals used to parse and format amounts
+ * - isNative: True for the chain's native coin (paid via buyWithNative)
+ * - logo: Image URL for the token logo
+ */
+
+/** Sentinel address the presale contract uses for the native coin (NATIVE = address(0)) */
+export const NATIVE_TOKEN_ADDRESS = '0x0000000000000000000000000000000000000000';
+
+/**
+ * Build the payment token list for a deployment
+ * @param {Object} deployment - Entry from DEPLOYMENTS
+ * @returns {Array<Object>} Payment tokens in display order (native coin first)
+ */
+export const getPaymentTokenList = (deployment) => {
+  const { symbol, name, decimals, logo } = deployment.nativeCurrency;
+
+  return [
+    { key: symbol, symbol, name, address: NATIVE_TOKEN_ADDRESS, decimals, isNative: true, logo },
+    ...deployment.paymentTokens.map((token) => ({ ...token, isNative: false }))
+  ];
+};
@@ -4,7 +4,8 @@
 
 import { createAppKit } from '@reown/appkit/react'
 import { EthersAdapter } from '@reown/appkit-adapter-ethers'
-import { sepolia } from '@reown/appkit/networks'
+import { SUPPORTED_NETWORKS, DEFAULT_CHAIN_ID, CONFIG_ERRORS, getDeployment } from './deployments'
+import { ENV } from './env'
 
 /**
  * Wallet Connection Setup using Reown AppKit (formerly WalletConnect)
@@ -29,9 +30,9 @@ import { sepolia } from '@reown/appkit/networks'
  * Get this from https://cloud.reown.com by creating a new project.
  * This ID is required for wallet connection services and analytics.
  *
- * IMPORTANT: Replace this with your own project ID in production!
+ * Set it with VITE_WALLETCONNECT_PROJECT_ID (see config/env.js).
  */
-const projectId = '1015dcd54c9d06d7cccd1273d7cc8248' // Replace with your actual project ID
+const projectId = ENV.projectId
 
 // ──────────────────────────────────────────────────────────────────────────────────────
 // NETWORK CONFIGURATION
@@ -40,13 +41,13 @@ const projectId = '1015dcd54c9d06d7cccd1273d7cc8248' // Replace with your actual
 /**
  * Supported blockchain networks
  *
- * Currently configured for Sepolia testnet.
- * For production, replace with mainnet networks like:
- * - ethereum (Ethereum mainnet)
- * - bsc (Binance Smart Chain)
- * - polygon (Polygon mainnet)
+ * Every chain with a presale deployment in config/deployments.js.
+ * To go live on Ethereum, BSC or Polygon, set that entry's presaleAddress.
  */
-const networks = [sepolia]
+const networks = SUPPORTED_NETWORKS
+
+/** Network selected before the user picks one (VITE_CHAIN_ID) */
+const defaultNetwork = getDeployment(DEFAULT_CHAIN_ID)?.network
 
 // ──────────────────────────────────────────────────────────────────────────────────────
 // APPLICATION METADATA
@@ -87,16 +88,22 @@ const ethersAdapter = new EthersAdapter()
  * - Network switching
  * - Account management
  * - Transaction signing
+ *
+ * Skipped when the configuration is invalid; the app then only renders the
+ * configuration error screen, which does not use AppKit.
  */
-createAppKit({
-  adapters: [ethersAdapter],                              // Blockchain library adapters
-  networks,                                               // Supported networks
-  metadata,                                               // App identification
-  projectId,                                              // Reown Cloud project ID
-  features: {
-    analytics: true,                                      // Enable usage analytics
-  }
-})
+if (CONFIG_ERRORS.length === 0) {
+  createAppKit({
+    adapters: [ethersAdapter],                            // Blockchain library adapters
+    networks,                                             // Supported networks
+    defaultNetwork,                                       // Initially selected network
+    metadata,                                             // App identification
+    projectId,                                            // Reown Cloud project ID
+    features: {
+      analytics: true,                                    // Enable usage analytics
+    }
+  })
+}
 
 // Export adapter for use in hooks and components
 export { ethersAdapter }
\ No newline at end of file
@@ -0,0 +1,176 @@
+// ══════════════════════════════════════════════════════════════════════════════════════
+// PRESALE OWNER ADMIN HOOK
+// ══════════════════════════════════════════════════════════════════════════════════════
+
+import { useState, useEffect, useCallback } from 'react';
+import { ethers } from 'ethers';
+import { useAppKitProvider, useAppKitAccount } from '@reown/appkit/react';
+import { PRESALE_ABI } from '../config/contracts';
+import { useDeployment } from './useDeployment';
+
+/** Shared interface used to encode call previews and decode emitted events */
+const presaleInterface = new ethers.Interface(PRESALE_ABI);
+
+/**
+ * Custom Hook for Owner-only Presale Administration
+ *
+ * Detects whether the connected wallet is the presale owner and exposes the
+ * helpers the admin console needs:
+ * - Owner detection by comparing the connected address with owner()
+ * - Encoded calldata previews for any admin function
+ * - Pre-flight validation using the action's mirrored require checks
+ * - Transaction execution with decoded event confirmation once mined
+ *
+ * @returns {Object} Admin interface with owner state and call helpers
+ */
+export function useAdminContract() {
+  // ────────────────────────────────────────────────────────────────────────────────────
+  // WALLET CONNECTION STATE
+  // ────────────────────────────────────────────────────────────────────────────────────
+
+  /** Wallet provider from AppKit for contract interactions */
+  const { walletProvider } = useAppKitProvider('eip155');
+
+  /** User connection status and wallet address */
+  const { isConnected, address } = useAppKitAccount();
+
+  /** Deployment for the wallet's chain (admin access requires a supported chain) */
+  const { deployment, isSupportedChain } = useDeployment();
+
+  // ────────────────────────────────────────────────────────────────────────────────────
+  // ADMIN STATE
+  // ────────────────────────────────────────────────────────────────────────────────────
+
+  /** Current contract owner as returned by owner() */
+  const [owner, setOwner] = useState(null);
+
+  /** Name of the admin function currently being submitted, if any */
+  const [pendingAction, setPendingAction] = useState(null);
+
+  // ────────────────────────────────────────────────────────────────────────────────────
+  // OWNER DETECTION EFFECT
+  // ────────────────────────────────────────────────────────────────────────────────────
+
+  /**
+   * Read owner() whenever the wallet connection changes so the admin
+   * console only appears for the owner account.
+   */
+  useEffect(() => {
+    let cancelled = false;
+
+    const loadOwner = async () => {
+      if (!walletProvider || !isConnected || !isSupportedChain) {
+        setOwner(null);
+        return;
+      }
+
+      try {
+        const ethersProvider = new ethers.BrowserProvider(walletProvider);
+        const presaleContract = new ethers.Contract(
+          deployment.presaleAddress,
+          PRESALE_ABI,
+          ethersProvider
+        );
+        const currentOwner = await presaleContract.owner();
+        if (!cancelled) setOwner(currentOwner);
+      } catch (err) {
+        console.error('Error reading contract owner:', err);
+        if (!cancelled) setOwner(null);
+      }
+    };
+
+    loadOwner();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [walletProvider, isConnected, deployment, isSupportedChain]);
+
+  /** True when the connected wallet is the presale owner */
+  const isOwner = Boolean(
+    isConnected && owner && address && owner.toLowerCase() === address.toLowerCase()
+  );
+
+  // ────────────────────────────────────────────────────────────────────────────────────
+  // CALL HELPERS
+  // ────────────────────────────────────────────────────────────────────────────────────
+
+  /**
+   * Encode an admin call without sending it
+   *
+   * @param {string} fn - Function name in PRESALE_ABI
+   * @param {Array} args - Parsed arguments in parameter order
+   * @returns {{ signature: string, data: string }} Function signature and calldata
+   */
+  const encodeAdminCall = useCallback((fn, args) => {
+    const fragment = presaleInterface.getFunction(fn);
+    return {
+      signature: fragment.format('full'),
+      data: presaleInterface.encodeFunctionData(fragment, args)
+    };
+  }, []);
+
+  /**
+   * Run an action's mirrored require checks against live chain state
+   *
+   * @param {Object} action - Entry from ADMIN_ACTIONS
+   * @param {Array} args - Parsed arguments in parameter order
+   * @returns {Promise<string|null>} Revert reason the contract would give, or null
+   */
+  const validateAdminCall = useCallback(async (action, args) => {
+    if (!walletProvider) throw new Error('Wallet not connected');
+
+    const provider = new ethers.BrowserProvider(walletProvider);
+    return action.validate(args, { provider, presaleAddress: deployment.presaleAddress });
+  }, [walletProvider, deployment]);
+
+  /**
+   * Send an admin transaction and wait for the emitted event
+   *
+   * @param {Object} action - Entry from ADMIN_ACTIONS
+   * @param {Array} args - Parsed arguments in parameter order
+   * @returns {Promise<{ tx: Object, receipt: Object, events: Array }>} Mined result
+   *   with the presale events decoded from the receipt
+   */
+  const executeAdminCall = useCallback(async (action, args) => {
+    if (!walletProvider || !isConnected) throw new Error('Wallet not connected');
+    if (!isOwner) throw new Error('Only the contract owner can do this');
+
+    setPendingAction(action.fn);
+
+    try {
+      const reason = await validateAdminCall(action, args);
+      if (reason) throw new Error(`Contract would revert: ${reason}`);
+
+      const ethersProvider = new ethers.BrowserProvider(walletProvider);
+      const signer = await ethersProvider.getSigner();
+      const contractWithSigner = new ethers.Contract(
+        deployment.presaleAddress,
+        PRESALE_ABI,
+        signer
+      );
+
+      const tx = await contractWithSigner[action.fn](...args);
+      const receipt = await tx.wait();
+
+      // Decode only the logs emitted by the presale contract itself
+      const events = receipt.logs
+        .filter((log) => log.address.toLowerCase() === deployment.presaleAddress.toLowerCase())
+        .map((log) => presaleInterface.parseLog(log))
+        .filter(Boolean);
+
+      return { tx, receipt, events };
+    } finally {
+      setPendingAction(null);
+    }
+  }, [walletProvider, isConnected, isOwner, deployment, validateAdminCall]);
+
+  return {
+    owner,
+    isOwner,
+    pendingAction,
+    encodeAdminCall,
+    validateAdminCall,
+    executeAdminCall
+  };
+}
@@ -0,0 +1,143 @@
+// ══════════════════════════════════════════════════════════════════════════════════════
+// ACTIVE DEPLOYMENT HOOK
+// ══════════════════════════════════════════════════════════════════════════════════════
+
+import { useState, useEffect, useCallback } from 'react';
+import { useAppKitNetwork, useAppKitProvider, useAppKitAccount } from '@reown/appkit/react';
+import { DEFAULT_CHAIN_ID, getDeployment } from '../config/deployments';
+import { decodePresaleError } from '../utils/presaleErrors';
+
+/** EIP-1193 error code for a chain the wallet does not know yet */
+const UNRECOGNIZED_CHAIN_ERROR = 4902;
+
+/**
+ * Build wallet_addEthereumChain parameters from a deployment (EIP-3085)
+ * @param {Object} deployment - Entry from DEPLOYMENTS
+ * @returns {Object} Chain parameters for the wallet
+ */
+const getAddChainParams = (deployment) => ({
+  chainId: `0x${deployment.chainId.toString(16)}`,
+  chainName: deployment.name,
+  nativeCurrency: {
+    name: deployment.nativeCurrency.name,
+    symbol: deployment.nativeCurrency.symbol,
+    decimals: deployment.nativeCurrency.decimals
+  },
+  rpcUrls: deployment.rpcUrls,
+  blockExplorerUrls: [deployment.explorerUrl]
+});
+
+/**
+ * Active Deployment Hook
+ *
+ * Resolves the deployment registry entry for the chain the user is on. While a
+ * wallet is connected its own chainId (eth_chainId, kept current through
+ * chainChanged) is authoritative, so a wallet switched to an unsupported chain
+ * is detected even if AppKit still reports a supported one. Without a wallet,
+ * the network selected in AppKit is used.
+ *
+ * When the chain has no presale deployment, the default deployment is used for
+ * read-only data and isSupportedChain is false; writes must be blocked until
+ * switchNetwork() succeeds.
+ *
+ * @returns {Object} Active deployment
+ *   - chainId: Chain the wallet (or AppKit) is on (null before one is reported)
+ *   - deployment: Registry entry to read from and link to
+ *   - isSupportedChain: True when the presale is deployed on chainId
+ *   - switchNetwork: Function to move the wallet to a supported chain
+ */
+export function useDeployment() {
+  /** Network selected in AppKit */
+  const { chainId: appKitChainId } = useAppKitNetwork();
+
+  /** Wallet provider from AppKit for chain queries and switching */
+  const { walletProvider } = useAppKitProvider('eip155');
+
+  /** User connection status */
+  const { isConnected } = useAppKitAccount();
+
+  /** Chain ID reported by the connected wallet (null when not connected) */
+  const [walletChainId, setWalletChainId] = useState(null);
+
+  // ────────────────────────────────────────────────────────────────────────────────────
+  // WALLET CHAIN EFFECT
+  // ────────────────────────────────────────────────────────────────────────────────────
+
+  /**
+   * Track the wallet's chain directly so network changes made inside the
+   * wallet are picked up immediately
+   */
+  useEffect(() => {
+    if (!walletProvider || !isConnected) {
+      setWalletChainId(null);
+      return undefined;
+    }
+
+    let cancelled = false;
+
+    const handleChainChanged = (chainIdHex) => {
+      if (!cancelled) setWalletChainId(Number(chainIdHex));
+    };
+
+    walletProvider
+      .request({ method: 'eth_chainId' })
+      .then(handleChainChanged)
+      .catch((err) => console.error('Error reading wallet chain:', err));
+
+    walletProvider.on?.('chainChanged', handleChainChanged);
+
+    return () => {
+      cancelled = true;
+      walletProvider.removeListener?.('chainChanged', handleChainChanged);
+    };
+  }, [walletProvider, isConnected]);
+
+  // ────────────────────────────────────────────────────────────────────────────────────
+  // NETWORK SWITCHING
+  // ────────────────────────────────────────────────────────────────────────────────────
+
+  /**
+   * Ask the wallet to switch to a supported chain
+   *
+   * Tries wallet_switchEthereumChain first and falls back to
+   * wallet_addEthereumChain when the wallet does not know the chain yet.
+   *
+   * @param {number} [targetChainId=DEFAULT_CHAIN_ID] - Chain to switch to
+   * @throws {PresaleError} Decoded wallet error (e.g. USER_REJECTED)
+   */
+  const switchNetwork = useCallback(async (targetChainId = DEFAULT_CHAIN_ID) => {
+    const target = getDeployment(targetChainId);
+    if (!target) throw new Error(`The presale is not deployed on chain ${targetChainId}`);
+    if (!walletProvider) throw new Error('Wallet not connected');
+
+    const params = getAddChainParams(target);
+
+    try {
+      await walletProvider.request({
+        method: 'wallet_switchEthereumChain',
+        params: [{ chainId: params.chainId }]
+      });
+    } catch (err) {
+      const code = err?.code ?? err?.data?.originalError?.code;
+      if (code !== UNRECOGNIZED_CHAIN_ERROR) {
+        throw decodePresaleError(err, { action: 'switchNetwork' });
+      }
+
+      try {
+        await walletProvider.request({ method: 'wallet_addEthereumChain', params: [params] });
+      } catch (addErr) {
+        throw decodePresaleError(addErr, { action: 'switchNetwork' });
+      }
+    }
+  }, [walletProvider]);
+
+  const chainId = walletChainId ?? (appKitChainId ? Number(appKitChainId) : null);
+  const activeDeployment = getDeployment(chainId);
+
+  return {
+    chainId,
+    deployment: activeDeployment || getDeployment(DEFAULT_CHAIN_ID),
+    isSupportedChain: Boolean(activeDeployment),
+    switchNetwork
+  };
+}
@@ -25,7 +25,8 @@ import { useState, useCallback } from 'react';
  *   title: string,        // Notification title
  *   message: string,      // Notification content
  *   duration: number,     // Auto-dismiss time in milliseconds
- *   txHash?: string       // Optional transaction hash for blockchain operations
+ *   txHash?: string,      // Optional transaction hash for blockchain operations
+ *   chainId?: number      // Chain the transaction was sent on (defaults to the active chain)
  * }
  *
  * @returns {Object} Notification management interface
@@ -70,6 +71,7 @@ export const useNotifications = () => {
    * @param {string} notification.message - Notification content
    * @param {number} [notification.duration=5000] - Auto-dismiss time in ms
    * @param {string} [notification.txHash] - Optional transaction hash
+   * @param {number} [notification.chainId] - Chain the transaction was sent on
    * @returns {string} Generated notification ID
    */
   const addNotification = useCallback((notification) => {
@@ -2,25 +2,366 @@
 // PRESALE SMART CONTRACT HOOK
 // ══════════════════════════════════════════════════════════════════════════════════════
 
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useCallback, useMemo } from 'react';
 import { ethers } from 'ethers';
 import { useAppKitProvider, useAppKitAccount } from '@reown/appkit/react';
-import {
-  PRESALE_CONTRACT_ADDRESS,
-  USDC_CONTRACT_ADDRESS,
-  PRESALE_ABI,
-  ERC20_ABI,
-  SEPOLIA_CHAIN_ID
-} from '../config/contracts';
+import { PRESALE_ABI, ERC20_ABI, ERC20_PERMIT_ABI } from '../config/contracts';
+import { getPaymentTokenList, NATIVE_TOKEN_ADDRESS } from '../config/paymentTokens';
+import { useDeployment } from './useDeployment';
+import { PRESALE_PHASES, getPresalePhase } from '../utils/presalePhase';
+import { PresaleError, decodePresaleError } from '../utils/presaleErrors';
+import { getReadOnlyProvider } from '../utils/rpcPool';
+import { aggregateReads, readCall } from '../utils/multicall';
+import { subscribePresaleUpdates } from '../utils/presaleSubscription';
+import { getPresaleIndexer } from '../utils/eventIndexer';
+import { loadIndexedPurchases } from '../utils/purchaseLogs';
+import { transactionManager } from '../utils/transactionManager';
+import { getPermitData, markPermitUnsupported, signPermit, PERMIT_VALIDITY_SECONDS } from '../utils/permit';
+import { supportsAtomicBatch } from '../utils/walletCalls';
+import { getTokenPricing, readPriceDetails, solvePaymentAmount } from '../utils/priceQuote';
+
+/** Contract checks of a reverse quote before giving up on an exact match */
+const REVERSE_QUOTE_ATTEMPTS = 3;
+
+/**
+ * Safety resync of the presale state snapshot (ms)
+ *
+ * Presale changes arrive through subscribePresaleUpdates(); this only catches
+ * changes that emit no presale event (QC7 deposits into the presale, wallet
+ * QC7 transfers).
+ */
+const PRESALE_STATE_RESYNC_INTERVAL = 60000;
+
+/** Gas units reserved when computing the max native payment (covers buyWithNative) */
+const NATIVE_GAS_RESERVE_UNITS = 250000n;
+
+/** Gas units assumed for buyWithToken while it cannot be simulated (before approval) */
+const TOKEN_PURCHASE_GAS_FALLBACK = 200000n;
+
+/**
+ * Simulate a purchase against the latest block without sending anything
+ *
+ * Runs the exact purchase call through eth_call (staticCall) and estimateGas,
+ * so closed sales, stale oracles, exceeded caps and a short QC7 inventory are
+ * caught before the wallet opens. ERC20 purchases that still need approval
+ * cannot be simulated end-to-end (transferFrom would fail first), so the
+ * contract's own checks are replayed from on-chain state instead and the
+ * approve() call is estimated.
+ *
+ * @param {ethers.Contract} presale - Presale contract connected to a provider or signer
+ * @param {Object} token - Payment token registry entry
+ * @param {bigint} amountWei - Amount to pay in token base units
+ * @param {string} buyer - Address the purchase would be sent from
+ * @returns {Promise<Object>} Simulation result
+ *   - ok: True when the purchase is expected to succeed
+ *   - error: Decoded PresaleError when it would fail (null otherwise)
+ *   - needsApproval: True when an ERC20 approve() has to be sent first
+ *   - gasUnits / gasCostWei: Estimated gas (including approval) and its cost
+ *   - gasCostUsd18: Gas cost in USD(18) from the contract's native price (null if unpriced)
+ */
+const simulatePurchaseCall = async (presale, token, amountWei, buyer) => {
+  try {
+    const provider = presale.runner.provider;
+    const overrides = { from: buyer };
+    let gasUnits;
+    let needsApproval = false;
+
+    if (token.isNative) {
+      await presale.buyWithNative.staticCall({ ...overrides, value: amountWei });
+      gasUnits = await presale.buyWithNative.estimateGas({ ...overrides, value: amountWei });
+    } else {
+      const erc20 = new ethers.Contract(token.address, ERC20_ABI, presale.runner);
+      const allowance = await erc20.allowance(buyer, presale.target);
+
+      if (allowance >= amountWei) {
+        await presale.buyWithToken.staticCall(token.address, amountWei, overrides);
+        gasUnits = await presale.buyWithToken.estimateGas(token.address, amountWei, overrides);
+      } else {
+        needsApproval = true;
+
+        // Replay buyWithToken's checks in contract order
+        const [info, balance, block, startTime, endTime, hardCap, walletCap, totalRaised, spent, inventory] = await Promise.all([
+          presale.tokenInfo(token.address),
+          erc20.balanceOf(buyer),
+          provider.getBlock('latest'),
+          presale.startTime(),
+          presale.endTime(),
+          presale.hardCapUsd18(),
+          presale.walletCapUsd18(),
+          presale.totalRaisedUsd18(),
+          presale.spentUsd18(buyer),
+          getPresaleInventory(presale)
+        ]);
+        const now = BigInt(block.timestamp);
+
+        if ((startTime !== 0n && now < startTime) || (endTime !== 0n && now > endTime)) {
+          throw new PresaleError('SALE_CLOSED', { reason: 'SaleClosed' });
+        }
+        if (!info.accepted) throw new PresaleError('NOT_ACCEPTED', { reason: 'NotAccepted' });
+        if (balance < amountWei) throw new PresaleError('INSUFFICIENT_FUNDS');
+
+        // quoteToken reverts on stale / out-of-bounds oracles and unpriced tokens
+        const { tokensOut, usdPaid } = await presale.quoteToken(token.address, amountWei);
+        if (hardCap !== 0n && totalRaised + usdPaid > hardCap) {
+          throw new PresaleError('CAP_EXCEEDED', { reason: 'CapExceeded' });
+        }
+        if (walletCap !== 0n && spent + usdPaid > walletCap) {
+          throw new PresaleError('WALLET_CAP_EXCEEDED', { reason: 'WalletCapExceeded' });
+        }
+        if (tokensOut === 0n) throw new PresaleError('ZERO_OUTPUT', { reason: 'ZERO_OUT' });
+        if (tokensOut > inventory) throw new PresaleError('QC7_TRANSFER_FAILED', { reason: 'QC7 xfer' });
+
+        const approveGas = await erc20.approve.estimateGas(presale.target, amountWei, overrides);
+        gasUnits = approveGas + TOKEN_PURCHASE_GAS_FALLBACK;
+      }
+    }
+
+    const feeData = await provider.getFeeData();
+    const gasCostWei = gasUnits * (feeData.gasPrice ?? feeData.maxFeePerGas ?? 0n);
+
+    let gasCostUsd18 = null;
+    try {
+      ({ usdPaid: gasCostUsd18 } = await presale.quoteNative(gasCostWei));
+    } catch {
+      // Native coin not priced (or oracle stale); show the native cost only
+    }
+
+    return { ok: true, error: null, needsApproval, gasUnits, gasCostWei, gasCostUsd18 };
+  } catch (err) {
+    return {
+      ok: false,
+      error: decodePresaleError(err, { action: 'purchase' }),
+      needsApproval: false,
+      gasUnits: null,
+      gasCostWei: null,
+      gasCostUsd18: null
+    };
+  }
+};
+
+/**
+ * Decide how an ERC20 purchase that needs an allowance gets it
+ *
+ * - 'permit': an EIP-2612 token and a wallet that executes wallet_sendCalls
+ *   batches atomically; a gasless signature, then permit() and buyWithToken()
+ *   as one transaction
+ * - 'batch': other tokens with such a wallet; approve() and buyWithToken() as
+ *   one transaction
+ * - 'approve': a separate approve transaction before the purchase
+ *
+ * @param {Object} walletProvider - EIP-1193 provider of the connected wallet
+ * @param {Object} token - Payment token registry entry (ERC20)
+ * @param {ethers.ContractRunner} runner - Read runner on the token's chain
+ * @param {number} chainId - Chain ID
+ * @param {string} owner - Buyer address
+ * @returns {Promise<{ method: 'batch'|'permit'|'approve', permitData: Object|null }>}
+ *   Approval method and, for 'permit', the signing data (see getPermitData)
+ */
+const getApprovalPlan = async (walletProvider, token, runner, chainId, owner) => {
+  if (!(await supportsAtomicBatch(walletProvider, owner, chainId))) return { method: 'approve', permitData: null };
+
+  const permitData = await getPermitData(token, runner, chainId, owner).catch(() => null);
+  return permitData
+    ? { method: 'permit', permitData }
+    : { method: 'batch', permitData: null };
+};
+
+/**
+ * Read how much QC7 the presale holds
+ *
+ * Purchases are delivered instantly with QC7.transfer(), so any purchase whose
+ * tokensOut (bonus included) exceeds this balance reverts with "QC7 xfer".
+ *
+ * @param {ethers.Contract} presale - Presale contract connected to a provider or signer
+ * @returns {Promise<bigint>} QC7 balance of the presale contract (18 decimals)
+ */
+const getPresaleInventory = async (presale) => {
+  const qc7 = new ethers.Contract(await presale.QC7(), ERC20_ABI, presale.runner);
+  return qc7.balanceOf(presale.target);
+};
+
+/**
+ * Load everything the UI reads from the presale in one Multicall3 call
+ *
+ * The sale window, caps, price, progress, QC7 balances, the connected wallet's
+ * spending and the tokenInfo() of every payment token are aggregated into a
+ * single aggregate3() eth_call (see utils/multicall.js), so one refresh costs
+ * one RPC round-trip. The hook keeps the result as presaleState and its getters
+ * read from it instead of calling the contract.
+ *
+ * @param {ethers.Contract} presale - Presale contract connected to a provider or signer
+ * @param {Object} options
+ * @param {string} options.qc7Address - QC7 token address
+ * @param {string|null} options.account - Wallet to load spending and QC7 balance for
+ * @param {Array<Object>} options.tokens - Payment tokens to load tokenInfo() for
+ * @returns {Promise<Object>} Presale state snapshot
+ *   - startTime / endTime: Unix seconds (0 = bound disabled)
+ *   - hardCapUsd18 / walletCapUsd18: USD(18) caps (0n = no cap)
+ *   - tokenPriceUsd18: USD(18) price per 1 QC7
+ *   - totalRaisedUsd18: USD(18) raised so far
+ *   - qc7Decimals: QC7_DECIMALS(), the decimals of every QC7 amount
+ *   - inventoryQc7: QC7 held by the presale and available for delivery
+ *   - account: Wallet the account fields belong to (null when disconnected)
+ *   - spentUsd18: USD(18) the account has spent (0n without account)
+ *   - qc7Balance: QC7 held by the account (null without account or when unreadable)
+ *   - tokenInfo: tokenInfo() results keyed by lowercase token address
+ */
+const loadPresaleState = async (presale, { qc7Address, account, tokens }) => {
+  const qc7 = new ethers.Contract(qc7Address, ERC20_ABI, presale.runner);
+  const presaleAddress = await presale.getAddress();
+
+  const results = await aggregateReads(presale.runner, [
+    readCall(presale, 'startTime'),
+    readCall(presale, 'endTime'),
+    readCall(presale, 'hardCapUsd18'),
+    readCall(presale, 'walletCapUsd18'),
+    readCall(presale, 'tokenPriceUsd18'),
+    readCall(presale, 'totalRaisedUsd18'),
+    readCall(presale, 'QC7_DECIMALS'),
+    readCall(qc7, 'balanceOf', [presaleAddress]),
+    ...(account
+      ? [
+        readCall(presale, 'spentUsd18', [account]),
+        readCall(qc7, 'balanceOf', [account], { allowFailure: true })
+      ]
+      : []),
+    ...tokens.map((token) => readCall(presale, 'tokenInfo', [token.address], { allowFailure: true }))
+  ]);
+
+  const [
+    startTime,
+    endTime,
+    hardCapUsd18,
+    walletCapUsd18,
+    tokenPriceUsd18,
+    totalRaisedUsd18,
+    qc7Decimals,
+    inventoryQc7
+  ] = results;
+  const [spentUsd18, qc7Balance] = account ? results.slice(8, 10) : [0n, null];
+  const tokenInfos = results.slice(account ? 10 : 8);
+
+  const tokenInfo = {};
+  tokens.forEach((token, i) => {
+    if (tokenInfos[i]) tokenInfo[token.address.toLowerCase()] = tokenInfos[i];
+  });
+
+  return {
+    startTime: Number(startTime),
+    endTime: Number(endTime),
+    hardCapUsd18,
+    walletCapUsd18,
+    tokenPriceUsd18,
+    totalRaisedUsd18,
+    qc7Decimals: Number(qc7Decimals),
+    inventoryQc7,
+    account,
+    spentUsd18,
+    qc7Balance,
+    tokenInfo
+  };
+};
+
+/** Presale events that change a payment token's configuration */
+const TOKEN_CONFIG_EVENTS = new Set(['TokenConfigured', 'PriceFeedSet', 'UsdRateSet']);
+
+/**
+ * Rebuild the set of accepted payment tokens from on-chain configuration
+ *
+ * Collects every token named in the indexed TokenConfigured, PriceFeedSet and
+ * UsdRateSet events (see utils/eventIndexer.js), then reads tokenInfo(token)
+ * for all of them in one multicall. Only tokens that are currently accepted
+ * are returned. Registry entries keep their symbol and logo; tokens missing
+ * from the registry get their symbol and name from the ERC20 contract.
+ * Decimals always come from the chain.
+ *
+ * @param {PresaleEventIndexer} indexer - Indexer of the deployment's presale
+ * @param {Object} deployment - Deployment registry entry the indexer belongs to
+ * @returns {Promise<Array>} Accepted payment tokens in registry order, then discovery order
+ */
+const discoverPaymentTokens = async (indexer, deployment) => {
+  const registry = getPaymentTokenList(deployment);
+  const { presale } = indexer;
+  const records = await indexer.getEvents();
+
+  // The constructor configures the native coin without emitting TokenConfigured
+  const addresses = new Set([
+    NATIVE_TOKEN_ADDRESS,
+    ...registry.map((token) => ethers.getAddress(token.address))
+  ]);
+  for (const record of records) {
+    if (TOKEN_CONFIG_EVENTS.has(record.eventName)) addresses.add(ethers.getAddress(record.args.token));
+  }
+
+  const candidates = [...addresses];
+  const infos = await aggregateReads(
+    presale.runner,
+    candidates.map((tokenAddress) => readCall(presale, 'tokenInfo', [tokenAddress]))
+  );
+
+  const tokens = await Promise.all(candidates.map(async (tokenAddress, i) => {
+    const info = infos[i];
+    if (!info.accepted) return null;
+
+    const decimals = Number(info.decimals);
+    const known = registry.find(
+      (token) => token.address.toLowerCase() === tokenAddress.toLowerCase()
+    );
+    if (known) return { ...known, decimals };
+
+    // Token enabled on-chain but missing from the registry
+    const erc20 = new ethers.Contract(tokenAddress, ERC20_ABI, presale.runner);
+    const fallbackSymbol = `${tokenAddress.slice(0, 6)}...${tokenAddress.slice(-4)}`;
+    const [symbol, name] = await Promise.all([
+      erc20.symbol().catch(() => fallbackSymbol),
+      erc20.name().catch(() => fallbackSymbol)
+    ]);
+
+    return {
+      key: tokenAddress,
+      symbol,
+      name,
+      address: tokenAddress,
+      decimals,
+      isNative: false,
+      logo: null
+    };
+  }));
+
+  return tokens.filter(Boolean);
+};
+
+/**
+ * Whether two payment token lists describe the same tokens
+ * @param {Array<Object>} a - Payment token list
+ * @param {Array<Object>} b - Payment token list
+ * @returns {boolean} True when keys, addresses, symbols and decimals match in order
+ */
+const samePaymentTokens = (a, b) => {
+  return a.length === b.length && a.every((token, i) => (
+    token.key === b[i].key &&
+    token.address.toLowerCase() === b[i].address.toLowerCase() &&
+    token.symbol === b[i].symbol &&
+    token.decimals === b[i].decimals
+  ));
+};
 
 /**
  * Custom Hook for Presale Smart Contract Interactions
  *
  * This hook provides a complete interface for interacting with the QC7 presale
  * smart contract. It handles:
- * - Contract initialization with wallet connection
- * - Read-only contract access for quotes when wallet is disconnected
- * - Purchase functions for ETH and USDC payments
+ * - Contract initialization with wallet connection on the active chain's deployment
+ * - Read-only contract access for quotes when wallet is disconnected, through a
+ *   health-checked RPC pool with failover (status exposed as rpcStatus)
+ * - A single purchase path for every registered payment token
+ * - Discovery of the payment tokens currently accepted on-chain
+ * - Per-wallet purchase history from TokensPurchased events
+ * - A presale state snapshot read in one Multicall3 call (window, caps, price,
+ *   total raised, QC7 balances, wallet spending, payment token info)
+ * - Wallet-cap and hard-cap aware purchase limits per payment token
+ * - Exact or unlimited ERC20 approval (batched with the purchase or by EIP-2612
+ *   permit when possible), allowance reads and revocation
  * - Data fetching functions for UI updates
  * - Loading states and error handling
  * - Automatic contract switching based on connection status
@@ -38,6 +379,9 @@ export function usePresaleContract() {
   /** User connection status and wallet address */
   const { isConnected, address } = useAppKitAccount();
 
+  /** Deployment for the wallet's chain (default deployment when unsupported) */
+  const { chainId, deployment, isSupportedChain, switchNetwork } = useDeployment();
+
   // ────────────────────────────────────────────────────────────────────────────────────
   // CONTRACT STATE
   // ────────────────────────────────────────────────────────────────────────────────────
@@ -45,171 +389,614 @@ export function usePresaleContract() {
   /** Main presale contract instance (writable when connected, read-only when not) */
   const [contract, setContract] = useState(null);
 
-  /** USDC token contract for approvals and balance checks */
-  const [usdcContract, setUsdcContract] = useState(null);
-
   /** Loading state for contract operations */
   const [loading, setLoading] = useState(false);
 
   /** Error state for failed operations */
   const [error, setError] = useState(null);
 
+  /** Payment tokens accepted on-chain (starts with the static registry until discovered) */
+  const [paymentTokens, setPaymentTokens] = useState(() => getPaymentTokenList(deployment));
+
+  /** Latest presale state snapshot from loadPresaleState (null until first load) */
+  const [presaleState, setPresaleState] = useState(null);
+
+  /** Endpoint in use and endpoint health from the RPC pool (see RpcPoolProvider.getStatus) */
+  const [rpcStatus, setRpcStatus] = useState(null);
+
   // ────────────────────────────────────────────────────────────────────────────────────
   // CONTRACT INITIALIZATION EFFECT
   // ────────────────────────────────────────────────────────────────────────────────────
 
+  /**
+   * Drop everything read from the previous chain when the active deployment
+   * changes, so its tokens and state are never shown against another chain
+   */
+  useEffect(() => {
+    setContract(null);
+    setPaymentTokens(getPaymentTokenList(deployment));
+    setPresaleState(null);
+  }, [deployment]);
+
+  /** Presale contract on the shared RPC pool (reads and live updates for every visitor) */
+  const readContract = useMemo(
+    () => new ethers.Contract(deployment.presaleAddress, PRESALE_ABI, getReadOnlyProvider(deployment)),
+    [deployment]
+  );
+
+  /**
+   * Mirror the pool's failovers and health check results into rpcStatus
+   */
+  useEffect(() => {
+    const pool = readContract.runner;
+    setRpcStatus(pool.getStatus());
+    return pool.onStatusChange(setRpcStatus);
+  }, [readContract]);
+
   /**
    * Initialize smart contracts based on wallet connection status
    * - When connected: Creates writable contracts with signer for transactions
-   * - When disconnected: Creates read-only contracts for quotes and data fetching
+   * - When disconnected: Creates read-only contracts on the RPC pool for quotes and data fetching
    */
   useEffect(() => {
     const initContracts = async () => {
-      if (walletProvider && isConnected) {
+      // A wallet on a chain without a deployment only gets read-only access
+      if (walletProvider && isConnected && isSupportedChain) {
         try {
           const ethersProvider = new ethers.BrowserProvider(walletProvider);
           const signer = await ethersProvider.getSigner();
           
           const presaleContract = new ethers.Contract(
-            PRESALE_CONTRACT_ADDRESS,
+            deployment.presaleAddress,
             PRESALE_ABI,
             signer
           );
           
-          const usdcContract = new ethers.Contract(
-            USDC_CONTRACT_ADDRESS,
-            ERC20_ABI,
-            signer
-          );
-          
           setContract(presaleContract);
-          setUsdcContract(usdcContract);
         } catch (err) {
           console.error('Contract initialization error:', err);
           setError(err.message);
         }
       } else {
-        // Create read-only contracts for quote functions even when wallet is not connected
-        try {
-          const provider = new ethers.JsonRpcProvider('https://rpc.sepolia.org');
-          const readOnlyContract = new ethers.Contract(
-            PRESALE_CONTRACT_ADDRESS,
-            PRESALE_ABI,
-            provider
-          );
-          setContract(readOnlyContract);
-          setUsdcContract(null);
-        } catch (err) {
-          console.error('Read-only contract initialization error:', err);
-          setContract(null);
-          setUsdcContract(null);
-        }
+        // Use the read-only pool contract for quote functions when no wallet can sign
+        setContract(readContract);
       }
     };
 
     initContracts();
-  }, [walletProvider, isConnected]);
+  }, [walletProvider, isConnected, deployment, isSupportedChain, readContract]);
+
+  // ────────────────────────────────────────────────────────────────────────────────────
+  // PAYMENT TOKEN DISCOVERY EFFECT
+  // ────────────────────────────────────────────────────────────────────────────────────
+
+  /**
+   * Keep the accepted payment token list in sync with the contract so tokens
+   * the owner disables disappear and newly enabled ones show up.
+   *
+   * Re-discovered whenever the event index changes. The list is only replaced
+   * when it actually differs, so consumers keyed on it (the presale state
+   * subscription) are not torn down for nothing.
+   */
+  useEffect(() => {
+    const indexer = getPresaleIndexer(deployment);
+    let cancelled = false;
+
+    const refreshTokens = async () => {
+      try {
+        const tokens = await discoverPaymentTokens(indexer, deployment);
+        if (!cancelled) {
+          setPaymentTokens((current) => (samePaymentTokens(current, tokens) ? current : tokens));
+        }
+      } catch (err) {
+        console.error('Error discovering payment tokens:', err);
+      }
+    };
+
+    const start = async () => {
+      if (await indexer.getSyncedBlock() !== null) await refreshTokens();
+
+      try {
+        await indexer.sync();
+      } catch (err) {
+        console.error('Error syncing payment token configuration:', err);
+      }
+    };
+
+    const unsubscribe = indexer.onChange(refreshTokens);
+    start();
+
+    return () => {
+      cancelled = true;
+      unsubscribe();
+    };
+  }, [deployment]);
 
-  const buyWithETH = async (ethAmount) => {
+  // ────────────────────────────────────────────────────────────────────────────────────
+  // PRESALE STATE EFFECT
+  // ────────────────────────────────────────────────────────────────────────────────────
+
+  /**
+   * Keep the presale state snapshot live for every visitor, connected or not
+   * - Reads through the read-only pool, independent of the wallet's provider
+   * - Reloads within one block of a purchase or a window, cap or price change
+   *   (see subscribePresaleUpdates), with a slow resync for everything else
+   * - Reloads when the wallet or the accepted payment tokens change
+   */
+  useEffect(() => {
+    let cancelled = false;
+    let qc7Address = deployment.qc7Address;
+
+    const refreshState = async () => {
+      try {
+        // QC7() is immutable, so it is read at most once per contract
+        if (!qc7Address) qc7Address = await readContract.QC7();
+
+        const state = await loadPresaleState(readContract, {
+          qc7Address,
+          account: address || null,
+          tokens: paymentTokens
+        });
+        if (!cancelled) setPresaleState(state);
+      } catch (err) {
+        console.error('Error loading presale state:', err);
+      }
+    };
+
+    refreshState();
+    const unsubscribe = subscribePresaleUpdates(readContract, refreshState);
+    const interval = setInterval(refreshState, PRESALE_STATE_RESYNC_INTERVAL);
+
+    return () => {
+      cancelled = true;
+      unsubscribe();
+      clearInterval(interval);
+    };
+  }, [readContract, deployment, address, paymentTokens]);
+
+  /**
+   * Look up an accepted payment token by key
+   *
+   * @param {string} tokenKey - Payment token key
+   * @returns {Object} Payment token entry
+   * @throws {Error} If the token is not currently accepted
+   */
+  const getPaymentToken = (tokenKey) => {
+    const token = paymentTokens.find((t) => t.key === tokenKey);
+    if (!token) throw new Error(`Unsupported payment token: ${tokenKey}`);
+    return token;
+  };
+
+  /**
+   * Purchase QC7 with any registered payment token
+   *
+   * Native coins are sent with buyWithNative(); ERC20 tokens are approved
+   * (when the current allowance is too low) and then spent via buyWithToken().
+   * When approval is needed and the wallet supports atomic batches, the
+   * approval and the purchase are confirmed as one wallet_sendCalls batch:
+   * EIP-2612 tokens are approved by a permit signature, other tokens by
+   * approve(). Other wallets use a separate approve transaction (see
+   * getApprovalPlan).
+   * Throws before the wallet opens if the wallet is on an unsupported network,
+   * the sale is not live or the purchase fails simulation (see simulatePurchase).
+   *
+   * Every transaction is recorded in the transaction manager, so its status
+   * (see TX_STATUS) is kept across reloads and shown as the purchase steps.
+   *
+   * @param {string} tokenKey - Key of an accepted payment token
+   * @param {string|number} amount - Human-readable amount to pay
+   * @param {Object} [options]
+   * @param {boolean} [options.unlimitedApproval=false] - Approve the maximum
+   *   allowance instead of exactly this amount, so later purchases skip approval
+   * @returns {Promise<ethers.TransactionReceipt>} Receipt of the mined purchase
+   *   (of the replacement when the wallet sped it up)
+   */
+  const buyWithToken = async (tokenKey, amount, { unlimitedApproval = false } = {}) => {
     if (!contract) throw new Error('Contract not initialized');
     if (!isConnected) throw new Error('Wallet not connected');
-    
+    if (!isSupportedChain) throw new PresaleError('WRONG_NETWORK', { action: 'purchase' });
+
+    const token = getPaymentToken(tokenKey);
+
+    // Refuse before any wallet prompt when the sale is not live
+    const phase = getPresalePhase(presaleState, Math.floor(Date.now() / 1000));
+    if (phase === PRESALE_PHASES.SOLD_OUT) throw new PresaleError('CAP_EXCEEDED', { action: 'purchase' });
+    if (phase !== PRESALE_PHASES.LIVE) throw new PresaleError('SALE_CLOSED', { action: 'purchase' });
+
     setLoading(true);
     setError(null);
-    
+
     try {
       // Ensure we have a signer for transactions
       const ethersProvider = new ethers.BrowserProvider(walletProvider);
       const signer = await ethersProvider.getSigner();
-      const contractWithSigner = new ethers.Contract(
-        PRESALE_CONTRACT_ADDRESS,
+
+      const presaleContractWithSigner = new ethers.Contract(
+        deployment.presaleAddress,
         PRESALE_ABI,
         signer
       );
-      
-      const tx = await contractWithSigner.buyWithNative({
-        value: ethers.parseEther(ethAmount.toString())
-      });
-      
-      await tx.wait();
-      return tx;
-    } catch (err) {
-      setError(err.message);
-      throw err;
-    } finally {
-      setLoading(false);
-    }
-  };
 
-  const buyWithUSDC = async (usdcAmount) => {
-    if (!contract) throw new Error('Contract not initialized');
-    if (!isConnected) throw new Error('Wallet not connected');
-    
-    setLoading(true);
-    setError(null);
-    
-    try {
-      // Ensure we have a signer for transactions
-      const ethersProvider = new ethers.BrowserProvider(walletProvider);
-      const signer = await ethersProvider.getSigner();
-      
-      const usdcContractWithSigner = new ethers.Contract(
-        USDC_CONTRACT_ADDRESS,
+      const amountWei = ethers.parseUnits(amount.toString(), token.decimals);
+
+      // Simulate first so a doomed purchase never reaches the wallet
+      const simulation = await simulatePurchaseCall(presaleContractWithSigner, token, amountWei, address);
+      if (!simulation.ok) throw simulation.error;
+
+      // Each transaction goes through the transaction manager so its status survives reloads
+      const decodeBuyError = (err) => decodePresaleError(err, { action: 'purchase' });
+      const label = `${amount} ${token.symbol} → QC7`;
+
+      if (token.isNative) {
+        const flowId = transactionManager.startFlow({
+          chainId: deployment.chainId,
+          account: address,
+          label,
+          tokenSymbol: token.symbol,
+          steps: ['buy']
+        });
+        return await transactionManager.send(
+          flowId,
+          'buy',
+          () => presaleContractWithSigner.buyWithNative({ value: amountWei }),
+          { decodeError: decodeBuyError }
+        );
+      }
+
+      const tokenContractWithSigner = new ethers.Contract(
+        token.address,
         ERC20_ABI,
         signer
       );
-      
-      const presaleContractWithSigner = new ethers.Contract(
-        PRESALE_CONTRACT_ADDRESS,
-        PRESALE_ABI,
-        signer
-      );
-      
+
       // First check allowance
-      const allowance = await usdcContractWithSigner.allowance(address, PRESALE_CONTRACT_ADDRESS);
-      const amountWei = ethers.parseUnits(usdcAmount.toString(), 6); // USDC has 6 decimals
-      
+      const allowance = await tokenContractWithSigner.allowance(address, deployment.presaleAddress);
+      const needsApproval = allowance < amountWei;
+
+      // How a missing allowance is granted
+      const plan = needsApproval
+        ? await getApprovalPlan(walletProvider, token, readContract.runner, deployment.chainId, address)
+        : null;
+      const approvalValue = unlimitedApproval ? ethers.MaxUint256 : amountWei;
+
+      const flowId = transactionManager.startFlow({
+        chainId: deployment.chainId,
+        account: address,
+        label,
+        tokenSymbol: token.symbol,
+        steps: !plan ? ['buy'] : plan.method === 'batch' ? ['approveAndBuy'] : [plan.method, 'buy']
+      });
+
+      // Batch: approve() and the purchase confirmed together as one atomic transaction
+      if (plan?.method === 'batch') {
+        return await transactionManager.sendBatch(
+          flowId,
+          'approveAndBuy',
+          walletProvider,
+          {
+            from: address,
+            chainId: deployment.chainId,
+            calls: [
+              {
+                to: token.address,
+                data: tokenContractWithSigner.interface.encodeFunctionData('approve', [deployment.presaleAddress, approvalValue])
+              },
+              {
+                to: deployment.presaleAddress,
+                data: presaleContractWithSigner.interface.encodeFunctionData('buyWithToken', [token.address, amountWei])
+              }
+            ]
+          },
+          { decodeError: decodeBuyError }
+        );
+      }
+
+      // Permit: one gasless signature, then permit() and the purchase as one atomic batch
+      if (plan?.method === 'permit') {
+        const permitToken = new ethers.Contract(token.address, ERC20_PERMIT_ABI, signer);
+        const permitArgs = await transactionManager.sign(
+          flowId,
+          'permit',
+          () => signPermit(signer, {
+            ...plan.permitData,
+            spender: deployment.presaleAddress,
+            value: approvalValue,
+            deadline: Math.floor(Date.now() / 1000) + PERMIT_VALIDITY_SECONDS
+          }),
+          { decodeError: (err) => decodePresaleError(err, { action: 'approve' }) }
+        );
+
+        // A non-standard permit() (e.g. DAI's) would revert the whole batch
+        try {
+          await permitToken.permit.staticCall(...permitArgs);
+        } catch {
+          markPermitUnsupported(deployment.chainId, token.address);
+          const rejected = new PresaleError('PERMIT_REJECTED', { action: 'approve' });
+          transactionManager.failStep(flowId, 'buy', rejected.message);
+          throw rejected;
+        }
+
+        return await transactionManager.sendBatch(
+          flowId,
+          'buy',
+          walletProvider,
+          {
+            from: address,
+            chainId: deployment.chainId,
+            calls: [
+              { to: token.address, data: permitToken.interface.encodeFunctionData('permit', permitArgs) },
+              {
+                to: deployment.presaleAddress,
+                data: presaleContractWithSigner.interface.encodeFunctionData('buyWithToken', [token.address, amountWei])
+              }
+            ]
+          },
+          { decodeError: decodeBuyError }
+        );
+      }
+
       // If allowance is insufficient, approve first
-      if (allowance < amountWei) {
-        const approveTx = await usdcContractWithSigner.approve(PRESALE_CONTRACT_ADDRESS, amountWei);
-        await approveTx.wait();
+      if (needsApproval) {
+        await transactionManager.send(
+          flowId,
+          'approve',
+          () => tokenContractWithSigner.approve(deployment.presaleAddress, approvalValue),
+          { decodeError: (err) => decodePresaleError(err, { action: 'approve' }) }
+        );
+
+        // The purchase itself can only be simulated once the allowance is in place
+        try {
+          await presaleContractWithSigner.buyWithToken.staticCall(token.address, amountWei);
+        } catch (err) {
+          const decoded = decodeBuyError(err);
+          transactionManager.failStep(flowId, 'buy', decoded.message);
+          throw decoded;
+        }
       }
-      
+
       // Then buy tokens
-      const tx = await presaleContractWithSigner.buyWithToken(USDC_CONTRACT_ADDRESS, amountWei);
-      await tx.wait();
-      return tx;
+      return await transactionManager.send(
+        flowId,
+        'buy',
+        () => presaleContractWithSigner.buyWithToken(token.address, amountWei),
+        { decodeError: decodeBuyError }
+      );
     } catch (err) {
-      setError(err.message);
-      throw err;
+      const decoded = decodePresaleError(err, { action: 'purchase' });
+      setError(decoded.message);
+      throw decoded;
     } finally {
       setLoading(false);
     }
   };
 
-  const getTotalRaised = async () => {
-    if (!contract) return '0';
-    
+  // ────────────────────────────────────────────────────────────────────────────────────
+  // ALLOWANCES
+  // ────────────────────────────────────────────────────────────────────────────────────
+
+  /**
+   * Read the presale's allowance on every ERC20 payment token for the connected wallet
+   *
+   * One Multicall3 batch through the read-only RPC pool.
+   *
+   * @returns {Promise<Array<{ token: Object, allowance: bigint }>>} One entry per
+   *   ERC20 payment token (empty when no wallet is connected)
+   */
+  const getAllowances = useCallback(async () => {
+    if (!address) return [];
+
+    const erc20Tokens = paymentTokens.filter((token) => !token.isNative);
+    const results = await aggregateReads(readContract.runner, erc20Tokens.map((token) => readCall(
+      new ethers.Contract(token.address, ERC20_ABI, readContract.runner),
+      'allowance',
+      [address, deployment.presaleAddress],
+      { allowFailure: true }
+    )));
+
+    return erc20Tokens.map((token, i) => ({ token, allowance: results[i] ?? 0n }));
+  }, [readContract, address, paymentTokens, deployment]);
+
+  /**
+   * How an ERC20 purchase that needs approval would be approved
+   *
+   * @param {string} tokenKey - Key of a payment token
+   * @returns {Promise<'batch'|'permit'|'approve'|null>} See getApprovalPlan; null
+   *   for native coins or without a wallet
+   */
+  const getApprovalMethod = useCallback(async (tokenKey) => {
+    const token = paymentTokens.find((t) => t.key === tokenKey);
+    if (!token || token.isNative || !walletProvider || !address) return null;
+
+    const plan = await getApprovalPlan(walletProvider, token, readContract.runner, deployment.chainId, address);
+    return plan.method;
+  }, [paymentTokens, walletProvider, address, readContract, deployment]);
+
+  /**
+   * Set the presale's allowance on a payment token back to zero
+   *
+   * Sent through the transaction manager as a one-step 'revoke' flow.
+   *
+   * @param {string} tokenKey - Key of an ERC20 payment token
+   * @returns {Promise<ethers.TransactionReceipt>} Receipt of the mined approve(presale, 0)
+   */
+  const revokeAllowance = async (tokenKey) => {
+    if (!isConnected) throw new Error('Wallet not connected');
+    if (!isSupportedChain) throw new PresaleError('WRONG_NETWORK', { action: 'approve' });
+
+    const token = getPaymentToken(tokenKey);
+    if (token.isNative) throw new Error(`${token.symbol} has no allowance`);
+
+    const signer = await new ethers.BrowserProvider(walletProvider).getSigner();
+    const erc20 = new ethers.Contract(token.address, ERC20_ABI, signer);
+
+    const flowId = transactionManager.startFlow({
+      chainId: deployment.chainId,
+      account: address,
+      label: `Revoke ${token.symbol} allowance`,
+      tokenSymbol: token.symbol,
+      steps: ['revoke']
+    });
+
+    return transactionManager.send(
+      flowId,
+      'revoke',
+      () => erc20.approve(deployment.presaleAddress, 0n),
+      { decodeError: (err) => decodePresaleError(err, { action: 'approve' }) }
+    );
+  };
+
+  // ────────────────────────────────────────────────────────────────────────────────────
+  // SNAPSHOT SELECTORS
+  // ────────────────────────────────────────────────────────────────────────────────────
+
+  /**
+   * Total USD raised (from the presale state snapshot)
+   * @returns {Promise<string>} Formatted USD amount
+   */
+  const getTotalRaised = useCallback(async () => {
+    return presaleState ? ethers.formatEther(presaleState.totalRaisedUsd18) : '0';
+  }, [presaleState]);
+
+  /**
+   * USD spent by the connected wallet (from the presale state snapshot)
+   * @returns {Promise<string>} Formatted USD amount
+   */
+  const getUserSpent = useCallback(async () => {
+    if (!presaleState || !address || presaleState.account !== address) return '0';
+    return ethers.formatEther(presaleState.spentUsd18);
+  }, [presaleState, address]);
+
+  /**
+   * Compute how much of a payment token the connected wallet can still spend
+   *
+   * The remaining USD allowance is the smaller of (walletCapUsd18 - spentUsd18)
+   * and (hardCapUsd18 - totalRaisedUsd18); a cap of 0 means no limit. It is
+   * converted into the payment token with the contract's own price for one
+   * whole token and rounded down, so the result never exceeds the cap. The max
+   * purchasable amount is additionally limited by the QC7 inventory and by the
+   * wallet balance, keeping a gas reserve for native payments.
+   *
+   * @param {string} tokenKey - Key of an accepted payment token
+   * @returns {Promise<Object|null>} Limits in token base units, or null when unknown
+   *   - remainingUsd18: USD(18) still allowed by the caps (null = no cap)
+   *   - remainingAmount: remainingUsd18 in the payment token (null = no cap)
+   *   - inventoryAmount: Payment the presale's QC7 inventory can still cover
+   *   - balance: Wallet balance (null when disconnected)
+   *   - gasReserve: Native amount held back for gas (0n for ERC20)
+   *   - maxAmount: Largest amount that should succeed
+   */
+  const getPurchaseLimits = useCallback(async (tokenKey) => {
+    if (!contract || !presaleState) return null;
+
+    const token = paymentTokens.find((t) => t.key === tokenKey);
+    if (!token) return null;
+
+    // Wait for a snapshot that includes the connected wallet's spending
+    if (address && presaleState.account !== address) return null;
+    const spentUsd18 = presaleState.spentUsd18;
+
     try {
-      const totalRaised = await contract.totalRaisedUsd18();
-      return ethers.formatEther(totalRaised);
+      const provider = contract.runner.provider;
+      const { walletCapUsd18, hardCapUsd18, totalRaisedUsd18, tokenPriceUsd18, qc7Decimals, inventoryQc7 } = presaleState;
+
+      // Smaller of the wallet and global headroom (0 caps are unlimited)
+      const caps = [];
+      if (walletCapUsd18 !== 0n) caps.push(walletCapUsd18 > spentUsd18 ? walletCapUsd18 - spentUsd18 : 0n);
+      if (hardCapUsd18 !== 0n) caps.push(hardCapUsd18 > totalRaisedUsd18 ? hardCapUsd18 - totalRaisedUsd18 : 0n);
+
+      const remainingUsd18 = caps.length ? caps.reduce((a, b) => (a < b ? a : b)) : null;
+
+      // USD that the QC7 inventory can still cover (tokensOut = base + 10% bonus)
+      const inventoryUsd18 = (((inventoryQc7 * 10n) / 11n) * tokenPriceUsd18) / 10n ** BigInt(qc7Decimals);
+
+      // Convert USD headroom into the payment token using the contract's price
+      const unit = 10n ** BigInt(token.decimals);
+      const { usdPaid: usdPerToken } = token.isNative
+        ? await contract.quoteNative(unit)
+        : await contract.quoteToken(token.address, unit);
+      const toTokenAmount = (usd18) => (usdPerToken > 0n ? (usd18 * unit) / usdPerToken : 0n);
+
+      const remainingAmount = remainingUsd18 === null ? null : toTokenAmount(remainingUsd18);
+      const inventoryAmount = toTokenAmount(inventoryUsd18);
+
+      // Wallet balance, minus a gas reserve for native payments
+      let balance = null;
+      let gasReserve = 0n;
+      if (address) {
+        if (token.isNative) {
+          const [nativeBalance, feeData] = await Promise.all([
+            provider.getBalance(address),
+            provider.getFeeData()
+          ]);
+          balance = nativeBalance;
+          gasReserve = (feeData.maxFeePerGas ?? feeData.gasPrice ?? 0n) * NATIVE_GAS_RESERVE_UNITS;
+        } else {
+          const erc20 = new ethers.Contract(token.address, ERC20_ABI, contract.runner);
+          balance = await erc20.balanceOf(address);
+        }
+      }
+      const spendable = balance === null ? null : (balance > gasReserve ? balance - gasReserve : 0n);
+
+      const limits = [remainingAmount, inventoryAmount, spendable].filter((value) => value !== null);
+      const maxAmount = limits.reduce((a, b) => (a < b ? a : b));
+
+      return { remainingUsd18, remainingAmount, inventoryAmount, balance, gasReserve, maxAmount };
     } catch (err) {
-      console.error('Error getting total raised:', err);
-      return '0';
+      console.error('Error getting purchase limits:', err);
+      return null;
     }
-  };
+  }, [contract, presaleState, paymentTokens, address]);
+
+  /**
+   * Pre-flight check for a purchase, run before any wallet prompt
+   *
+   * @param {string} tokenKey - Key of an accepted payment token
+   * @param {string|number} amount - Human-readable amount to pay
+   * @returns {Promise<Object|null>} Result of simulatePurchaseCall(), or null when
+   *   there is nothing to simulate (no wallet, no contract or no valid amount)
+   */
+  const simulatePurchase = useCallback(async (tokenKey, amount) => {
+    if (!contract || !address) return null;
+    if (!amount || isNaN(amount) || parseFloat(amount) <= 0) return null;
+
+    const token = paymentTokens.find((t) => t.key === tokenKey);
+    if (!token) return null;
+
+    let amountWei;
+    try {
+      amountWei = ethers.parseUnits(amount.toString(), token.decimals);
+    } catch {
+      return null;
+    }
+
+    return simulatePurchaseCall(contract, token, amountWei, address);
+  }, [contract, address, paymentTokens]);
+
+  /**
+   * Load the connected wallet's purchases from TokensPurchased events
+   *
+   * Reads the shared event indexer after syncing it; when the sync fails the
+   * already indexed purchases are returned.
+   *
+   * Each entry has the block timestamp, the payment token used, the amount paid
+   * and the QC7/USD values the contract actually recorded.
+   *
+   * @returns {Promise<Array>} Purchases, newest first
+   */
+  const getPurchaseHistory = useCallback(async () => {
+    if (!address) return [];
 
-  const getUserSpent = async () => {
-    if (!contract || !address) return '0';
-    
     try {
-      const spent = await contract.spentUsd18(address);
-      return ethers.formatEther(spent);
+      const indexer = getPresaleIndexer(deployment);
+      await indexer.sync().catch((err) => {
+        console.warn('Purchase history may be out of date:', err.shortMessage || err.message);
+      });
+      return await loadIndexedPurchases(indexer, paymentTokens, { buyer: address });
     } catch (err) {
-      console.error('Error getting user spent:', err);
-      return '0';
+      console.error('Error getting purchase history:', err);
+      return [];
     }
-  };
+  }, [address, paymentTokens, deployment]);
 
   const addTokenToWallet = async () => {
     if (!walletProvider || !isConnected) {
@@ -218,11 +1005,12 @@ export function usePresaleContract() {
 
     try {
       const tokenSymbol = 'QC7';
-      const tokenDecimals = 18;
+      // QC7_DECIMALS() from the snapshot, or from the contract before it has loaded
+      const tokenDecimals = presaleState ? presaleState.qc7Decimals : Number(await contract.QC7_DECIMALS());
       const tokenImage = 'https://via.placeholder.com/64x64/627EEA/FFFFFF?text=QC7'; // You can replace with actual QC7 logo
 
-      // Get QC7 token address from contract
-      const qc7Address = await contract.QC7();
+      // QC7 token address from the environment, or from the contract
+      const qc7Address = deployment.qc7Address || await contract.QC7();
 
       await walletProvider.request({
         method: 'wallet_watchAsset',
@@ -238,52 +1026,50 @@ export function usePresaleContract() {
       });
     } catch (err) {
       console.error('Error adding token to wallet:', err);
-      throw err;
+      throw decodePresaleError(err, { action: 'addToken' });
     }
   };
 
-  const getHardCap = async () => {
-    if (!contract) return '0';
-    
-    try {
-      const hardCap = await contract.hardCapUsd18();
-      return ethers.formatEther(hardCap);
-    } catch (err) {
-      console.error('Error getting hard cap:', err);
-      return '1000000'; // fallback to 1M
-    }
-  };
+  /**
+   * Global hard cap (from the presale state snapshot)
+   * @returns {Promise<string>} Formatted USD amount ('0' = no cap)
+   */
+  const getHardCap = useCallback(async () => {
+    return presaleState ? ethers.formatEther(presaleState.hardCapUsd18) : '0';
+  }, [presaleState]);
 
-  const getTokenPrice = async () => {
-    if (!contract) return '0';
-    
-    try {
-      const price = await contract.tokenPriceUsd18();
-      return ethers.formatEther(price);
-    } catch (err) {
-      console.error('Error getting token price:', err);
-      return '0.001'; // fallback
-    }
-  };
+  /**
+   * QC7 price (from the presale state snapshot)
+   * @returns {Promise<string>} Formatted USD price per QC7
+   */
+  const getTokenPrice = useCallback(async () => {
+    return presaleState ? ethers.formatEther(presaleState.tokenPriceUsd18) : '0';
+  }, [presaleState]);
 
-  const getQuote = async (isETH, amount) => {
-    if (!contract) return { tokensOut: '0', usdPaid: '0' };
+  /**
+   * Quote a purchase for any registered payment token
+   *
+   * @param {string} tokenKey - Key of an accepted payment token
+   * @param {string|number} amount - Human-readable amount to pay
+   * @returns {Promise<{ tokensOut: string, usdPaid: string }>} Formatted quote
+   */
+  const getQuote = async (tokenKey, amount) => {
+    // QC7 amounts are formatted with the snapshot's QC7 decimals
+    if (!contract || !presaleState) return { tokensOut: '0', usdPaid: '0' };
     if (!amount || isNaN(amount) || parseFloat(amount) <= 0) {
       return { tokensOut: '0', usdPaid: '0' };
     }
     
     try {
-      let quote;
-      if (isETH) {
-        const valueWei = ethers.parseEther(amount.toString());
-        quote = await contract.quoteNative(valueWei);
-      } else {
-        const amountWei = ethers.parseUnits(amount.toString(), 6);
-        quote = await contract.quoteToken(USDC_CONTRACT_ADDRESS, amountWei);
-      }
+      const token = getPaymentToken(tokenKey);
+      const amountWei = ethers.parseUnits(amount.toString(), token.decimals);
+
+      const quote = token.isNative
+        ? await contract.quoteNative(amountWei)
+        : await contract.quoteToken(token.address, amountWei);
       
       return {
-        tokensOut: ethers.formatEther(quote.tokensOut),
+        tokensOut: ethers.formatUnits(quote.tokensOut, presaleState.qc7Decimals),
         usdPaid: ethers.formatEther(quote.usdPaid)
       };
     } catch (err) {
@@ -292,20 +1078,104 @@ export function usePresaleContract() {
     }
   };
 
+  /**
+   * Quote a purchase backwards: the payment needed to receive a QC7 amount
+   *
+   * Solves the contract's quote math (see utils/priceQuote.js) with the
+   * snapshot's tokenPriceUsd18 and the token's static price or latest oracle
+   * answer, then checks the result against quoteNative/quoteToken. If the
+   * contract quotes less than asked (e.g. the oracle moved in between), the
+   * amount is raised until it does.
+   *
+   * @param {string} tokenKey - Key of an accepted payment token
+   * @param {string|number} qc7Amount - Human-readable QC7 wanted, 10% bonus included
+   * @returns {Promise<{ amount: string, tokensOut: string, usdPaid: string }>}
+   *   Formatted payment amount and the contract's quote for it ('' / '0' when
+   *   it cannot be quoted)
+   */
+  const getReverseQuote = useCallback(async (tokenKey, qc7Amount) => {
+    const empty = { amount: '', tokensOut: '0', usdPaid: '0' };
+    if (!presaleState || !qc7Amount || isNaN(qc7Amount) || parseFloat(qc7Amount) <= 0) return empty;
+
+    try {
+      const token = paymentTokens.find((t) => t.key === tokenKey);
+      const info = token && presaleState.tokenInfo[token.address.toLowerCase()];
+      if (!info?.accepted) return empty;
+
+      const target = ethers.parseUnits(qc7Amount.toString(), presaleState.qc7Decimals);
+      const pricing = await getTokenPricing(info, readContract.runner);
+      if (!pricing) return empty;
+
+      const quoteOnChain = (wei) => (token.isNative
+        ? readContract.quoteNative(wei)
+        : readContract.quoteToken(token.address, wei));
+
+      let amountWei = solvePaymentAmount(target, pricing, presaleState.tokenPriceUsd18, presaleState.qc7Decimals);
+      let quote = await quoteOnChain(amountWei);
+
+      for (let attempt = 1; attempt < REVERSE_QUOTE_ATTEMPTS && quote.tokensOut > 0n && quote.tokensOut < target; attempt++) {
+        // Scale up by the shortfall; the extra unit covers truncation
+        amountWei += (amountWei * (target - quote.tokensOut)) / quote.tokensOut + 1n;
+        quote = await quoteOnChain(amountWei);
+      }
+
+      return {
+        amount: ethers.formatUnits(amountWei, token.decimals),
+        tokensOut: ethers.formatUnits(quote.tokensOut, presaleState.qc7Decimals),
+        usdPaid: ethers.formatEther(quote.usdPaid)
+      };
+    } catch (err) {
+      console.error('Error getting reverse quote:', err);
+      return empty;
+    }
+  }, [presaleState, paymentTokens, readContract]);
+
+  /**
+   * How the presale prices a payment token right now
+   *
+   * Uses the snapshot's tokenInfo() and reads the latest round of the token's
+   * Chainlink feed when it is oracle-priced (see utils/priceQuote.js).
+   *
+   * @param {string} tokenKey - Key of a payment token
+   * @returns {Promise<Object|null>} Price details, or null when the token has
+   *   no tokenInfo() yet
+   */
+  const getPriceDetails = useCallback(async (tokenKey) => {
+    const token = paymentTokens.find((t) => t.key === tokenKey);
+    const info = token && presaleState?.tokenInfo[token.address.toLowerCase()];
+    if (!info) return null;
+
+    return readPriceDetails(info, readContract.runner);
+  }, [presaleState, paymentTokens, readContract]);
+
   return {
     contract,
-    usdcContract,
+    chainId,
+    deployment,
+    isSupportedChain,
+    switchNetwork,
     loading,
     error,
     isConnected,
     address,
-    buyWithETH,
-    buyWithUSDC,
+    paymentTokens,
+    getPaymentToken,
+    presaleState,
+    rpcStatus,
+    buyWithToken,
     getTotalRaised,
     getUserSpent,
+    getPurchaseHistory,
+    getPurchaseLimits,
+    getAllowances,
+    getApprovalMethod,
+    revokeAllowance,
+    simulatePurchase,
     getHardCap,
     getTokenPrice,
     getQuote,
+    getReverseQuote,
+    getPriceDetails,
     addTokenToWallet
   };
 }
\ No newline at end of file
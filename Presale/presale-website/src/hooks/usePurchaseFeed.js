@@ -0,0 +1,109 @@
+// ══════════════════════════════════════════════════════════════════════════════════════
+// LIVE PURCHASE FEED HOOK
+// ══════════════════════════════════════════════════════════════════════════════════════
+
+import { useState, useEffect, useMemo } from 'react';
+import { ethers } from 'ethers';
+import { PRESALE_ABI } from '../config/contracts';
+import { getPaymentTokenList } from '../config/paymentTokens';
+import { useDeployment } from './useDeployment';
+import { getReadOnlyProvider } from '../utils/rpcPool';
+import { getPresaleIndexer } from '../utils/eventIndexer';
+import { loadIndexedPurchases } from '../utils/purchaseLogs';
+
+/**
+ * Live Purchase Feed Hook
+ *
+ * Shows the most recent TokensPurchased events of the active deployment from
+ * the event indexer and updates as new ones are mined. Reads go through the
+ * shared read-only RPC pool, so the feed works for every visitor, connected or
+ * not.
+ *
+ * @param {number} [limit=10] - Number of purchases to keep
+ * @returns {Object} Feed state
+ *   - purchases: Purchase entries, newest first (see utils/purchaseLogs.js)
+ *   - qc7Decimals: QC7_DECIMALS() of the presale, the decimals of tokensOut
+ *     (null until the first purchases are loaded)
+ *   - loading: True until the initial purchases are loaded
+ *   - deployment: Deployment the purchases belong to (explorer links)
+ */
+export function usePurchaseFeed(limit = 10) {
+  /** Deployment for the wallet's chain (default deployment when unsupported) */
+  const { deployment } = useDeployment();
+
+  /** Recent purchases, newest first */
+  const [purchases, setPurchases] = useState([]);
+
+  /** Decimals of the QC7 amounts (read with the purchases) */
+  const [qc7Decimals, setQc7Decimals] = useState(null);
+
+  /** True until the initial purchases are loaded */
+  const [loading, setLoading] = useState(true);
+
+  /** Shared event indexer of the presale */
+  const indexer = useMemo(() => getPresaleIndexer(deployment), [deployment]);
+
+  // ────────────────────────────────────────────────────────────────────────────────────
+  // FEED EFFECT
+  // ────────────────────────────────────────────────────────────────────────────────────
+
+  /**
+   * Show indexed purchases right away, then sync and reload on every change
+   */
+  useEffect(() => {
+    let cancelled = false;
+    const knownTokens = getPaymentTokenList(deployment);
+    const presale = new ethers.Contract(deployment.presaleAddress, PRESALE_ABI, getReadOnlyProvider(deployment));
+
+    // QC7_DECIMALS() is read once per deployment; a failed read is retried on the next load
+    let decimalsLookup = null;
+    const getQc7Decimals = () => {
+      decimalsLookup ??= presale.QC7_DECIMALS().then(Number).catch((err) => {
+        decimalsLookup = null;
+        throw err;
+      });
+      return decimalsLookup;
+    };
+
+    const load = async () => {
+      try {
+        const [latest, decimals] = await Promise.all([
+          loadIndexedPurchases(indexer, knownTokens, { limit }),
+          getQc7Decimals()
+        ]);
+        if (!cancelled) {
+          setPurchases(latest);
+          setQc7Decimals(decimals);
+          setLoading(false);
+        }
+      } catch (err) {
+        console.error('Error loading recent purchases:', err);
+      }
+    };
+
+    const start = async () => {
+      // IndexedDB failures (private mode, quota, blocked upgrade) end up here too
+      try {
+        if (await indexer.getSyncedBlock() !== null) await load();
+
+        await indexer.sync();
+      } catch (err) {
+        console.error('Error syncing recent purchases:', err);
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    };
+
+    setPurchases([]);
+    setLoading(true);
+    const unsubscribe = indexer.onChange(load);
+    start();
+
+    return () => {
+      cancelled = true;
+      unsubscribe();
+    };
+  }, [indexer, deployment, limit]);
+
+  return { purchases, qc7Decimals, loading, deployment };
+}
@@ -0,0 +1,94 @@
+// ══════════════════════════════════════════════════════════════════════════════════════
+// PRESALE ANALYTICS HOOK
+// ══════════════════════════════════════════════════════════════════════════════════════
+
+import { useState, useEffect, useMemo } from 'react';
+import { getPaymentTokenList } from '../config/paymentTokens';
+import { useDeployment } from './useDeployment';
+import { getPresaleIndexer } from '../utils/eventIndexer';
+import { loadIndexedPurchases } from '../utils/purchaseLogs';
+import { computePurchaseStats } from '../utils/purchaseStats';
+
+/**
+ * Presale Analytics Hook
+ *
+ * Builds sale statistics for the active deployment from its TokensPurchased
+ * history (via the event indexer) and keeps them current as new purchases are
+ * mined. Everything is computed in the browser from chain data; no analytics
+ * service is involved.
+ *
+ * @returns {Object} Analytics state
+ *   - stats: Result of computePurchaseStats() (null until the history is loaded)
+ *   - loading: True while the initial history is loading
+ *   - error: Message when the history could not be loaded
+ *   - deployment: Deployment the statistics belong to (explorer links)
+ */
+export function usePurchaseStats() {
+  /** Deployment for the wallet's chain (default deployment when unsupported) */
+  const { deployment } = useDeployment();
+
+  /** All purchases, newest first */
+  const [purchases, setPurchases] = useState(null);
+
+  /** Load error message */
+  const [error, setError] = useState(null);
+
+  /** Shared event indexer of the presale */
+  const indexer = useMemo(() => getPresaleIndexer(deployment), [deployment]);
+
+  /**
+   * Show the indexed history right away, then sync it and reload on every change
+   */
+  useEffect(() => {
+    let cancelled = false;
+    const knownTokens = getPaymentTokenList(deployment);
+
+    const load = async () => {
+      try {
+        const all = await loadIndexedPurchases(indexer, knownTokens);
+        if (!cancelled) {
+          setPurchases(all);
+          setError(null);
+        }
+      } catch (err) {
+        console.error('Error loading purchase history:', err);
+        if (!cancelled) setError(err.shortMessage || err.message);
+      }
+    };
+
+    const start = async () => {
+      let indexed = false;
+
+      // IndexedDB failures (private mode, quota, blocked upgrade) end up here too
+      try {
+        // A previous visit's index is shown while the new blocks are fetched
+        indexed = await indexer.getSyncedBlock() !== null;
+        if (indexed) await load();
+
+        await indexer.sync();
+      } catch (err) {
+        console.error('Error syncing purchase history:', err);
+        // Keep showing the indexed history; only fail when there is none
+        if (!cancelled && !indexed) setError(err.shortMessage || err.message);
+      }
+    };
+
+    setPurchases(null);
+    const unsubscribe = indexer.onChange(load);
+    start();
+
+    return () => {
+      cancelled = true;
+      unsubscribe();
+    };
+  }, [indexer, deployment]);
+
+  const stats = useMemo(() => (purchases ? computePurchaseStats(purchases) : null), [purchases]);
+
+  return {
+    stats,
+    loading: purchases === null && !error,
+    error,
+    deployment
+  };
+}
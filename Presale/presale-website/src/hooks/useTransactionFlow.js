@@ -0,0 +1,58 @@
+// ══════════════════════════════════════════════════════════════════════════════════════
+// TRANSACTION FLOW HOOK
+// ══════════════════════════════════════════════════════════════════════════════════════
+
+import { useState, useEffect, useCallback } from 'react';
+import { useAppKitAccount, useAppKitProvider } from '@reown/appkit/react';
+import { useDeployment } from './useDeployment';
+import { transactionManager } from '../utils/transactionManager';
+
+/**
+ * Transaction Flow Hook
+ *
+ * Exposes the connected wallet's latest purchase flow from the transaction
+ * manager (see utils/transactionManager.js) and resumes watching transactions
+ * that were still pending when the page was last closed (batched ones once the
+ * wallet is connected).
+ *
+ * @returns {Object} Flow state
+ *   - flow: Latest flow on the active chain with its steps (null when none)
+ *   - dismiss: Removes the flow from the list
+ */
+export function useTransactionFlow() {
+  /** Connected wallet address */
+  const { address } = useAppKitAccount();
+
+  /** Wallet provider (needed to follow wallet_sendCalls batches) */
+  const { walletProvider } = useAppKitProvider('eip155');
+
+  /** Deployment for the wallet's chain */
+  const { deployment } = useDeployment();
+
+  /** Latest flow of the wallet on this chain */
+  const [flow, setFlow] = useState(null);
+
+  /**
+   * Resume pending transactions once, then follow manager changes
+   */
+  useEffect(() => {
+    const update = () => setFlow(transactionManager.getFlows(deployment.chainId, address)[0] ?? null);
+
+    transactionManager.resume();
+    update();
+    return transactionManager.subscribe(update);
+  }, [deployment, address]);
+
+  /**
+   * Follow pending batches of the connected wallet
+   */
+  useEffect(() => {
+    if (walletProvider && address) transactionManager.resumeBatches(walletProvider, address);
+  }, [walletProvider, address]);
+
+  const dismiss = useCallback(() => {
+    if (flow) transactionManager.dismiss(flow.id);
+  }, [flow]);
+
+  return { flow, dismiss };
+}
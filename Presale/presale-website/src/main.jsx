@@ -2,9 +2,12 @@ import { StrictMode } from 'react'
 import { createRoot } from 'react-dom/client'
 import './index.css'
 import App from './App.jsx'
+import ConfigError from './components/ConfigError.jsx'
+import { CONFIG_ERRORS } from './config/deployments'
 
+// Refuse to start the app on an invalid configuration (see config/env.js)
 createRoot(document.getElementById('root')).render(
   <StrictMode>
-    <App />
+    {CONFIG_ERRORS.length > 0 ? <ConfigError errors={CONFIG_ERRORS} /> : <App />}
   </StrictMode>,
 )
@@ -0,0 +1,447 @@
+// ══════════════════════════════════════════════════════════════════════════════════════
+// PRESALE EVENT INDEXER
+// ══════════════════════════════════════════════════════════════════════════════════════
+
+import { ethers } from 'ethers';
+import { PRESALE_ABI } from '../config/contracts';
+import { getReadOnlyProvider, LOG_RANGE_LIMIT_PATTERN } from './rpcPool';
+
+/**
+ * Presale Event Indexer
+ *
+ * Browser-side index of every event the presale contract has emitted, so
+ * purchase history, the activity feed and the stats view never re-scan the
+ * chain from the deployment block on every visit.
+ *
+ * - Logs are fetched in adaptive block ranges: the range doubles after each
+ *   successful request and halves when the RPC rejects it as too large
+ * - Decoded events (with block timestamps) are persisted in IndexedDB per chain
+ *   and contract; without IndexedDB (e.g. private browsing) they live in memory
+ * - Every sync resumes from the last synced block and re-fetches the most
+ *   recent `confirmations` blocks, replacing what was stored for them, so
+ *   small reorgs are corrected. Deeper reorgs are not detected.
+ *
+ * Stored event record:
+ * {
+ *   id, contractKey, eventName,
+ *   blockNumber, blockHash, transactionHash, index, timestamp,
+ *   args: { [inputName]: value }   // bigint values are kept as bigint
+ * }
+ */
+
+// ──────────────────────────────────────────────────────────────────────────────────────
+// DEFAULTS
+// ──────────────────────────────────────────────────────────────────────────────────────
+
+const DEFAULT_INDEXER_OPTIONS = {
+  /** Recent blocks re-fetched on every sync to correct reorgs */
+  confirmations: 12,
+  /** First eth_getLogs range (blocks) */
+  initialRange: 50000,
+  /** Smallest range before a range-limit error is given up on */
+  minRange: 100,
+  /** Largest range the adaptive sizing grows to */
+  maxRange: 500000
+};
+
+/** IndexedDB database holding every chain's and contract's events */
+const DB_NAME = 'qc7-presale-index';
+const DB_VERSION = 2;
+
+/**
+ * Whether an eth_getLogs failure means "ask for fewer blocks"
+ *
+ * Rate limits and timeouts are not range errors: the pool already retries
+ * them with backoff, and shrinking the range for them would lower the ceiling
+ * for the rest of the session.
+ *
+ * @param {Error} err - Provider error
+ * @returns {boolean} True for block-range and result-size limit errors
+ */
+const isRangeLimitError = (err) => {
+  const message = [err?.error?.message, err?.shortMessage, err?.message].filter(Boolean).join(' ');
+  return LOG_RANGE_LIMIT_PATTERN.test(message);
+};
+
+// ──────────────────────────────────────────────────────────────────────────────────────
+// STORAGE
+// ──────────────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Wrap an IndexedDB request in a promise
+ * @param {IDBRequest} request - Request to wait for
+ * @returns {Promise<*>} Request result
+ */
+const promisify = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+/**
+ * Open the index database, creating its stores on first use
+ * @returns {Promise<IDBDatabase|null>} Database, or null when IndexedDB is unavailable
+ */
+const openDatabase = async () => {
+  if (typeof indexedDB === 'undefined') return null;
+
+  try {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = (event) => {
+      const db = request.result;
+      if (event.oldVersion < 1) {
+        const events = db.createObjectStore('events', { keyPath: 'id' });
+        events.createIndex('byBlock', ['contractKey', 'blockNumber']);
+        db.createObjectStore('cursors', { keyPath: 'contractKey' });
+      }
+      if (event.oldVersion < 2) {
+        // Newest events of one kind without loading the whole history
+        request.transaction.objectStore('events')
+          .createIndex('byEvent', ['contractKey', 'eventName', 'blockNumber', 'index']);
+      }
+    };
+    return await promisify(request);
+  } catch (err) {
+    console.warn('[indexer] IndexedDB unavailable, keeping events in memory:', err?.message);
+    return null;
+  }
+};
+
+/**
+ * Event storage backed by IndexedDB
+ * @param {IDBDatabase} db - Open index database
+ * @returns {Object} Storage interface (see createMemoryStore)
+ */
+const createIndexedDbStore = (db) => ({
+  getCursor: (contractKey) => promisify(
+    db.transaction('cursors').objectStore('cursors').get(contractKey)
+  ),
+
+  getEvents: (contractKey) => promisify(
+    db.transaction('events').objectStore('events').index('byBlock')
+      .getAll(IDBKeyRange.bound([contractKey, -Infinity], [contractKey, Infinity]))
+  ),
+
+  getLatestEvents: (contractKey, eventName, limit) => new Promise((resolve, reject) => {
+    const records = [];
+    const range = IDBKeyRange.bound([contractKey, eventName, -Infinity, -Infinity], [contractKey, eventName, Infinity, Infinity]);
+    const request = db.transaction('events').objectStore('events').index('byEvent').openCursor(range, 'prev');
+
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (cursor && records.length < limit) {
+        records.push(cursor.value);
+        cursor.continue();
+        return;
+      }
+      resolve(records);
+    };
+    request.onerror = () => reject(request.error);
+  }),
+
+  replaceFrom: (contractKey, fromBlock, records, cursor) => new Promise((resolve, reject) => {
+    // One transaction, so a crash never leaves a half-replaced range behind
+    const tx = db.transaction(['events', 'cursors'], 'readwrite');
+    const events = tx.objectStore('events');
+    let removed = 0;
+
+    const range = IDBKeyRange.bound([contractKey, fromBlock], [contractKey, Infinity]);
+    events.index('byBlock').openCursor(range).onsuccess = (event) => {
+      const stale = event.target.result;
+      if (stale) {
+        stale.delete();
+        removed += 1;
+        stale.continue();
+        return;
+      }
+      records.forEach((record) => events.put(record));
+      tx.objectStore('cursors').put(cursor);
+    };
+
+    tx.oncomplete = () => resolve(removed);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  })
+});
+
+/**
+ * Event storage kept in memory (same interface as the IndexedDB store)
+ * @returns {Object} Storage interface
+ *   - getCursor(contractKey): Stored { contractKey, syncedBlock } or undefined
+ *   - getEvents(contractKey): Stored records in block order
+ *   - getLatestEvents(contractKey, eventName, limit): The newest `limit` records
+ *     of one event, newest first
+ *   - replaceFrom(contractKey, fromBlock, records, cursor): Replace every record
+ *     from fromBlock on and save the cursor; resolves to the number removed
+ */
+const createMemoryStore = () => {
+  const cursors = new Map();
+  const events = new Map();
+
+  return {
+    getCursor: async (contractKey) => cursors.get(contractKey),
+
+    getEvents: async (contractKey) => events.get(contractKey) ?? [],
+
+    getLatestEvents: async (contractKey, eventName, limit) => (events.get(contractKey) ?? [])
+      .filter((record) => record.eventName === eventName)
+      .sort((a, b) => b.blockNumber - a.blockNumber || b.index - a.index)
+      .slice(0, limit),
+
+    replaceFrom: async (contractKey, fromBlock, records, cursor) => {
+      const existing = events.get(contractKey) ?? [];
+      const kept = existing.filter((record) => record.blockNumber < fromBlock);
+      events.set(contractKey, [...kept, ...records]);
+      cursors.set(contractKey, cursor);
+      return existing.length - kept.length;
+    }
+  };
+};
+
+/** Shared storage, opened on first use */
+let storePromise = null;
+
+/**
+ * Get the event storage (IndexedDB when available, memory otherwise)
+ * @returns {Promise<Object>} Storage interface
+ */
+const getStore = () => {
+  if (!storePromise) {
+    storePromise = openDatabase().then((db) => (db ? createIndexedDbStore(db) : createMemoryStore()));
+  }
+  return storePromise;
+};
+
+// ──────────────────────────────────────────────────────────────────────────────────────
+// INDEXER
+// ──────────────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Incremental, persistent index of one presale contract's events
+ */
+export class PresaleEventIndexer {
+  #presale;
+  #deployment;
+  #contractKey;
+  #options;
+  #range;
+  #rangeCeiling;
+  #syncedBlock = null;
+  #pendingSync = null;
+  #listeners = new Set();
+  #handleContractEvent = () => {
+    this.sync().catch((err) => console.warn('[indexer] Sync after contract event failed:', err.message));
+  };
+
+  /**
+   * @param {ethers.Contract} presale - Presale contract connected to a provider
+   * @param {Object} deployment - Deployment registry entry the contract belongs to
+   * @param {Object} [options] - Overrides for DEFAULT_INDEXER_OPTIONS
+   */
+  constructor(presale, deployment, options = {}) {
+    this.#presale = presale;
+    this.#deployment = deployment;
+    this.#contractKey = `${deployment.chainId}:${deployment.presaleAddress.toLowerCase()}`;
+    this.#options = { ...DEFAULT_INDEXER_OPTIONS, ...options };
+    this.#range = this.#options.initialRange;
+    this.#rangeCeiling = this.#options.maxRange;
+  }
+
+  /** Presale contract the indexer reads from */
+  get presale() {
+    return this.#presale;
+  }
+
+  /**
+   * Last block included in the index
+   * @returns {Promise<number|null>} Block number, or null before the first sync
+   */
+  async getSyncedBlock() {
+    if (this.#syncedBlock === null) {
+      const cursor = await (await getStore()).getCursor(this.#contractKey);
+      if (cursor) this.#syncedBlock = cursor.syncedBlock;
+    }
+    return this.#syncedBlock;
+  }
+
+  /**
+   * Stored events, oldest first
+   * @param {string} [eventName] - Only return events with this name
+   * @returns {Promise<Array<Object>>} Event records
+   */
+  async getEvents(eventName) {
+    const records = await (await getStore()).getEvents(this.#contractKey);
+    return records
+      .filter((record) => !eventName || record.eventName === eventName)
+      .sort((a, b) => a.blockNumber - b.blockNumber || a.index - b.index);
+  }
+
+  /**
+   * The newest stored events of one kind, read without loading the rest
+   * @param {string} eventName - Event name
+   * @param {number} limit - Maximum number of events
+   * @returns {Promise<Array<Object>>} Event records, newest first
+   */
+  async getLatestEvents(eventName, limit) {
+    return (await getStore()).getLatestEvents(this.#contractKey, eventName, limit);
+  }
+
+  // ────────────────────────────────────────────────────────────────────────────────────
+  // CHANGE NOTIFICATION
+  // ────────────────────────────────────────────────────────────────────────────────────
+
+  /**
+   * Subscribe to index changes
+   *
+   * While anyone is subscribed, every presale event mined triggers a sync, so
+   * subscribers see new events within one block.
+   *
+   * @param {Function} listener - Called after a sync that changed the index
+   * @returns {Function} Unsubscribe function
+   */
+  onChange(listener) {
+    if (this.#listeners.size === 0) this.#presale.on('*', this.#handleContractEvent);
+    this.#listeners.add(listener);
+
+    return () => {
+      this.#listeners.delete(listener);
+      if (this.#listeners.size === 0) this.#presale.off('*', this.#handleContractEvent);
+    };
+  }
+
+  // ────────────────────────────────────────────────────────────────────────────────────
+  // SYNCING
+  // ────────────────────────────────────────────────────────────────────────────────────
+
+  /**
+   * Bring the index up to the latest block
+   *
+   * Concurrent calls share one sync.
+   *
+   * @returns {Promise<number>} Last synced block
+   */
+  sync() {
+    if (!this.#pendingSync) {
+      this.#pendingSync = this.#runSync().finally(() => {
+        this.#pendingSync = null;
+      });
+    }
+    return this.#pendingSync;
+  }
+
+  /**
+   * Fetch, decode and store everything after the last synced block, re-checking
+   * the most recent confirmations
+   * @returns {Promise<number>} Last synced block
+   */
+  async #runSync() {
+    const store = await getStore();
+    const { deploymentBlock } = this.#deployment;
+    const provider = this.#presale.runner.provider ?? this.#presale.runner;
+
+    const cursor = await store.getCursor(this.#contractKey);
+    const syncedBlock = cursor ? cursor.syncedBlock : deploymentBlock - 1;
+    const latest = await provider.getBlockNumber();
+
+    const fromBlock = Math.max(deploymentBlock, syncedBlock - this.#options.confirmations + 1);
+    if (cursor && fromBlock > latest) return syncedBlock;
+
+    const logs = await this.#fetchLogs(provider, fromBlock, latest);
+    const records = await this.#decodeLogs(provider, logs);
+
+    const removed = await store.replaceFrom(this.#contractKey, fromBlock, records, {
+      contractKey: this.#contractKey,
+      syncedBlock: latest
+    });
+    this.#syncedBlock = latest;
+
+    if (!cursor || removed > 0 || records.length > 0) {
+      this.#listeners.forEach((listener) => listener());
+    }
+    return latest;
+  }
+
+  /**
+   * Fetch the presale's logs in adaptive block ranges
+   *
+   * @param {ethers.Provider} provider - Provider to query
+   * @param {number} fromBlock - First block (inclusive)
+   * @param {number} toBlock - Last block (inclusive)
+   * @returns {Promise<Array<ethers.Log>>} Logs in block order
+   * @throws {Error} When a range of minRange blocks is still rejected, or on other errors
+   */
+  async #fetchLogs(provider, fromBlock, toBlock) {
+    const address = await this.#presale.getAddress();
+    const logs = [];
+    let start = fromBlock;
+
+    while (start <= toBlock) {
+      const end = Math.min(start + this.#range - 1, toBlock);
+      try {
+        logs.push(...await provider.getLogs({ address, fromBlock: start, toBlock: end }));
+        start = end + 1;
+        this.#range = Math.min(this.#range * 2, this.#rangeCeiling);
+      } catch (err) {
+        if (!isRangeLimitError(err) || this.#range <= this.#options.minRange) throw err;
+        // Never grow back to a range this RPC has already rejected
+        this.#range = Math.max(this.#options.minRange, Math.floor(this.#range / 2));
+        this.#rangeCeiling = this.#range;
+      }
+    }
+
+    return logs;
+  }
+
+  /**
+   * Decode logs into storable records with block timestamps
+   *
+   * @param {ethers.Provider} provider - Provider to read block timestamps from
+   * @param {Array<ethers.Log>} logs - Raw presale logs
+   * @returns {Promise<Array<Object>>} Event records (unknown events are skipped)
+   */
+  async #decodeLogs(provider, logs) {
+    const blockNumbers = [...new Set(logs.map((log) => log.blockNumber))];
+    const blocks = await Promise.all(blockNumbers.map((n) => provider.getBlock(n)));
+    const timestamps = new Map(blocks.map((block) => [block.number, block.timestamp]));
+
+    return logs.flatMap((log) => {
+      const parsed = this.#presale.interface.parseLog(log);
+      if (!parsed) return [];
+
+      const args = Object.fromEntries(
+        parsed.fragment.inputs.map((input, i) => [input.name, parsed.args[i]])
+      );
+      return [{
+        id: `${this.#contractKey}:${log.blockNumber}:${log.index}`,
+        contractKey: this.#contractKey,
+        eventName: parsed.name,
+        blockNumber: log.blockNumber,
+        blockHash: log.blockHash,
+        transactionHash: log.transactionHash,
+        index: log.index,
+        timestamp: timestamps.get(log.blockNumber),
+        args
+      }];
+    });
+  }
+}
+
+// ──────────────────────────────────────────────────────────────────────────────────────
+// SHARED INDEXERS
+// ──────────────────────────────────────────────────────────────────────────────────────
+
+/** One indexer per chain and contract, shared by every hook on the page */
+const sharedIndexers = new Map();
+
+/**
+ * Get the event indexer for a deployment (reads through the shared RPC pool)
+ * @param {Object} deployment - Deployment registry entry
+ * @returns {PresaleEventIndexer} Shared indexer
+ */
+export const getPresaleIndexer = (deployment) => {
+  const key = `${deployment.chainId}:${deployment.presaleAddress.toLowerCase()}`;
+  if (!sharedIndexers.has(key)) {
+    const presale = new ethers.Contract(deployment.presaleAddress, PRESALE_ABI, getReadOnlyProvider(deployment));
+    sharedIndexers.set(key, new PresaleEventIndexer(presale, deployment));
+  }
+  return sharedIndexers.get(key);
+};
@@ -0,0 +1,106 @@
+// ══════════════════════════════════════════════════════════════════════════════════════
+// MULTICALL3 READ AGGREGATION
+// ══════════════════════════════════════════════════════════════════════════════════════
+
+import { ethers } from 'ethers';
+import { MULTICALL3_ABI } from '../config/contracts.js';
+
+/**
+ * Multicall3 Read Aggregation
+ *
+ * Collects view calls on any number of contracts into a single Multicall3
+ * aggregate3() eth_call, so a full refresh costs one RPC round-trip instead of
+ * one per getter. Results are decoded with each contract's own interface and
+ * returned in call order, exactly as contract[method](...args) would return them.
+ *
+ * Chains (or local nodes) without Multicall3 fall back to issuing the calls
+ * individually, with the same result shape.
+ */
+
+/** Multicall3 address (identical on every chain it is deployed on) */
+export const MULTICALL3_ADDRESS = '0xcA11bde05977b3631167028862bE2a173976CA11';
+
+/** Whether Multicall3 has code on a provider's chain (provider → Promise<boolean>) */
+const multicallSupport = new WeakMap();
+
+/**
+ * Check once per provider whether Multicall3 is deployed
+ * @param {ethers.Provider} provider - Provider to check
+ * @returns {Promise<boolean>} True when aggregate3 can be used
+ */
+const hasMulticall3 = (provider) => {
+  if (!multicallSupport.has(provider)) {
+    const check = provider
+      .getCode(MULTICALL3_ADDRESS)
+      .then((code) => code !== '0x')
+      .catch(() => {
+        // Do not remember transient failures
+        multicallSupport.delete(provider);
+        return false;
+      });
+    multicallSupport.set(provider, check);
+  }
+  return multicallSupport.get(provider);
+};
+
+/**
+ * Describe a view call for aggregateReads()
+ *
+ * @param {ethers.Contract} contract - Contract to call
+ * @param {string} method - View function name
+ * @param {Array} [args=[]] - Function arguments
+ * @param {Object} [options]
+ * @param {boolean} [options.allowFailure=false] - Resolve to null instead of failing the whole batch
+ * @returns {Object} Call description
+ */
+export const readCall = (contract, method, args = [], { allowFailure = false } = {}) => ({
+  contract,
+  method,
+  args,
+  allowFailure
+});
+
+/**
+ * Execute view calls in one Multicall3 aggregate3() call
+ *
+ * @param {ethers.ContractRunner} runner - Runner with a provider (signer or provider)
+ * @param {Array<Object>} calls - Calls built with readCall()
+ * @returns {Promise<Array>} Decoded results in call order (null for failed optional calls)
+ * @throws {Error} If a call without allowFailure fails
+ */
+export const aggregateReads = async (runner, calls) => {
+  if (calls.length === 0) return [];
+
+  const provider = runner.provider ?? runner;
+
+  if (!(await hasMulticall3(provider))) {
+    return Promise.all(calls.map(({ contract, method, args, allowFailure }) => {
+      const result = contract[method](...args);
+      return allowFailure ? result.catch(() => null) : result;
+    }));
+  }
+
+  const targets = await Promise.all(calls.map(({ contract }) => contract.getAddress()));
+  const multicall = new ethers.Contract(MULTICALL3_ADDRESS, MULTICALL3_ABI, provider);
+
+  const responses = await multicall.aggregate3.staticCall(calls.map(({ contract, method, args, allowFailure }, i) => ({
+    target: targets[i],
+    allowFailure,
+    callData: contract.interface.encodeFunctionData(method, args)
+  })));
+
+  return responses.map(({ success, returnData }, i) => {
+    if (!success) return null;
+
+    // Unwrap single return values like contract[method]() does
+    const { contract, method, allowFailure } = calls[i];
+    try {
+      const decoded = contract.interface.decodeFunctionResult(method, returnData);
+      return decoded.length === 1 ? decoded[0] : decoded;
+    } catch (err) {
+      // Calls to addresses without code "succeed" with empty return data
+      if (allowFailure) return null;
+      throw err;
+    }
+  });
+};
@@ -0,0 +1,133 @@
+// ══════════════════════════════════════════════════════════════════════════════════════
+// EIP-2612 PERMIT
+// ══════════════════════════════════════════════════════════════════════════════════════
+
+import { ethers } from 'ethers';
+import { ERC20_PERMIT_ABI } from '../config/contracts';
+import { aggregateReads, readCall } from './multicall';
+
+/**
+ * EIP-2612 Permit
+ *
+ * Lets payment tokens that implement permit() be approved with an off-chain
+ * typed-data signature instead of an approve() transaction. Support is
+ * detected by probing nonces() and DOMAIN_SEPARATOR(); the signing domain is
+ * taken from eip712Domain() (EIP-5267) when available, otherwise rebuilt from
+ * name() and version() and only accepted when it hashes to the token's own
+ * DOMAIN_SEPARATOR, so a signature is never requested for a domain the token
+ * would reject.
+ */
+
+/** EIP-2612 Permit typed-data types */
+const PERMIT_TYPES = {
+  Permit: [
+    { name: 'owner', type: 'address' },
+    { name: 'spender', type: 'address' },
+    { name: 'value', type: 'uint256' },
+    { name: 'nonce', type: 'uint256' },
+    { name: 'deadline', type: 'uint256' }
+  ]
+};
+
+/** Seconds a permit signature stays valid */
+export const PERMIT_VALIDITY_SECONDS = 30 * 60;
+
+/** Detected signing domain per `${chainId}:${token}` (null = no usable permit) */
+const domainCache = new Map();
+
+/**
+ * Cache key of a token on a chain
+ * @param {number} chainId - Chain ID
+ * @param {string} tokenAddress - Token address
+ * @returns {string} Cache key
+ */
+const getCacheKey = (chainId, tokenAddress) => `${chainId}:${tokenAddress.toLowerCase()}`;
+
+/**
+ * Find the token's EIP-712 domain
+ *
+ * @param {Object} reads - Probe results { domainSeparator, name, version, eip712 }
+ * @param {number} chainId - Chain ID
+ * @param {string} tokenAddress - Token address
+ * @returns {Object|null} Domain matching DOMAIN_SEPARATOR, or null
+ */
+const resolveDomain = ({ domainSeparator, name, version, eip712 }, chainId, tokenAddress) => {
+  const candidates = [];
+
+  if (eip712) {
+    candidates.push({ name: eip712.name, version: eip712.version, chainId, verifyingContract: tokenAddress });
+  }
+  if (name !== null) {
+    // Tokens without version() almost always sign with "1"; USDC uses "2"
+    [...new Set([version, '1', '2'].filter((v) => v !== null))].forEach((v) => {
+      candidates.push({ name, version: v, chainId, verifyingContract: tokenAddress });
+    });
+  }
+
+  return candidates.find((domain) => ethers.TypedDataEncoder.hashDomain(domain) === domainSeparator) ?? null;
+};
+
+/**
+ * Detect EIP-2612 support and read the owner's current permit nonce
+ *
+ * @param {Object} token - Payment token registry entry (ERC20)
+ * @param {ethers.ContractRunner} runner - Runner with a provider on the token's chain
+ * @param {number} chainId - Chain ID
+ * @param {string} owner - Address that would sign the permit
+ * @returns {Promise<{ domain: Object, nonce: bigint }|null>} Signing data, or null
+ *   when the token has no usable permit
+ */
+export const getPermitData = async (token, runner, chainId, owner) => {
+  const key = getCacheKey(chainId, token.address);
+  if (domainCache.get(key) === null) return null;
+
+  const permitToken = new ethers.Contract(token.address, ERC20_PERMIT_ABI, runner);
+  const [nonce, domainSeparator, name, version, eip712] = await aggregateReads(runner, [
+    readCall(permitToken, 'nonces', [owner], { allowFailure: true }),
+    readCall(permitToken, 'DOMAIN_SEPARATOR', [], { allowFailure: true }),
+    readCall(permitToken, 'name', [], { allowFailure: true }),
+    readCall(permitToken, 'version', [], { allowFailure: true }),
+    readCall(permitToken, 'eip712Domain', [], { allowFailure: true })
+  ]);
+
+  if (nonce === null || domainSeparator === null) {
+    domainCache.set(key, null);
+    return null;
+  }
+
+  if (!domainCache.has(key)) {
+    domainCache.set(key, resolveDomain({ domainSeparator, name, version, eip712 }, chainId, token.address));
+  }
+
+  const domain = domainCache.get(key);
+  return domain ? { domain, nonce } : null;
+};
+
+/**
+ * Remember that a token's permit did not work (e.g. a non-standard permit())
+ * @param {number} chainId - Chain ID
+ * @param {string} tokenAddress - Token address
+ */
+export const markPermitUnsupported = (chainId, tokenAddress) => {
+  domainCache.set(getCacheKey(chainId, tokenAddress), null);
+};
+
+/**
+ * Ask the wallet for a permit signature
+ *
+ * @param {ethers.Signer} signer - Owner's signer
+ * @param {Object} params
+ * @param {Object} params.domain - Domain from getPermitData()
+ * @param {bigint} params.nonce - Nonce from getPermitData()
+ * @param {string} params.spender - Address allowed to spend
+ * @param {bigint} params.value - Allowance to grant
+ * @param {number} params.deadline - Unix seconds after which the signature expires
+ * @returns {Promise<Array>} permit() arguments: [owner, spender, value, deadline, v, r, s]
+ */
+export const signPermit = async (signer, { domain, nonce, spender, value, deadline }) => {
+  const owner = await signer.getAddress();
+  const message = { owner, spender, value, nonce, deadline };
+
+  const signature = ethers.Signature.from(await signer.signTypedData(domain, PERMIT_TYPES, message));
+  return [owner, spender, value, deadline, signature.v, signature.r, signature.s];
+};
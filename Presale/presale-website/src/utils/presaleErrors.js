@@ -0,0 +1,248 @@
+// ══════════════════════════════════════════════════════════════════════════════════════
+// PRESALE ERROR DECODING
+// ══════════════════════════════════════════════════════════════════════════════════════
+
+import { ethers } from 'ethers';
+import { PRESALE_ABI } from '../config/contracts.js';
+
+/**
+ * Presale Error Decoder
+ *
+ * Turns anything thrown by ethers, the wallet or the presale contract into a
+ * single PresaleError with a stable code and a user-facing title and message.
+ * Decoding uses the ABI's custom errors and the contract's require reason
+ * strings rather than substring matching on error messages, so for example
+ * WalletCapExceeded is never reported as CapExceeded.
+ */
+
+/** Interface used to decode custom errors and Error(string) revert data */
+const presaleInterface = new ethers.Interface(PRESALE_ABI);
+
+// ──────────────────────────────────────────────────────────────────────────────────────
+// ERROR CATALOG
+// ──────────────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Known error codes with their category and user-facing text
+ *
+ * kind:
+ * - 'contract': The presale (or a token) reverted
+ * - 'wallet': The wallet refused or could not handle the request
+ * - 'funds': The account cannot pay for the transaction
+ * - 'unknown': Anything else
+ */
+export const PRESALE_ERRORS = {
+  // Custom errors declared by the presale contract
+  AMOUNT_ZERO: { kind: 'contract', title: 'Invalid Amount', message: 'Please enter an amount greater than 0.' },
+  NOT_ACCEPTED: { kind: 'contract', title: 'Token Not Accepted', message: 'This payment token is not currently accepted.' },
+  ORACLE_STALE: { kind: 'contract', title: 'Price Feed Stale', message: 'The price oracle has not updated recently. Please try again later.' },
+  ORACLE_OUT_OF_BOUNDS: { kind: 'contract', title: 'Price Out of Range', message: 'The oracle price is outside the allowed range. Purchases are paused for this token.' },
+  SALE_CLOSED: { kind: 'contract', title: 'Sale Closed', message: 'The presale is currently closed.' },
+  CAP_EXCEEDED: { kind: 'contract', title: 'Hard Cap Reached', message: 'Purchase would exceed the hard cap limit.' },
+  WALLET_CAP_EXCEEDED: { kind: 'contract', title: 'Wallet Limit Reached', message: 'Purchase would exceed your personal wallet limit.' },
+
+  // require() reason strings on the purchase path
+  QC7_TRANSFER_FAILED: { kind: 'contract', title: 'Insufficient Inventory', message: 'The presale contract does not hold enough QC7 for this purchase.' },
+  PAY_TRANSFER_FAILED: { kind: 'contract', title: 'Payment Transfer Failed', message: 'The payment token could not be transferred. Check your balance and approval.' },
+  ZERO_OUTPUT: { kind: 'contract', title: 'Amount Too Small', message: 'This amount is too small to receive any QC7.' },
+  USD_RATE_ZERO: { kind: 'contract', title: 'Token Not Priced', message: 'This payment token has no USD price configured.' },
+  REVERTED: { kind: 'contract', title: 'Transaction Reverted', message: 'The contract rejected this transaction.' },
+
+  // Payment token approvals
+  PERMIT_REJECTED: { kind: 'contract', title: 'Permit Not Accepted', message: 'This token rejected the permit signature. Please try again; a regular approval will be used instead.' },
+
+  // Wallet (EIP-1193) and account errors
+  USER_REJECTED: { kind: 'wallet', title: 'Request Cancelled', message: 'The request was cancelled in your wallet.' },
+  UNAUTHORIZED: { kind: 'wallet', title: 'Wallet Not Authorized', message: 'Please connect and unlock your wallet, then try again.' },
+  UNSUPPORTED_METHOD: { kind: 'wallet', title: 'Not Supported', message: 'Your wallet does not support this request.' },
+  DISCONNECTED: { kind: 'wallet', title: 'Wallet Disconnected', message: 'Your wallet is disconnected from the network.' },
+  BATCH_TIMEOUT: { kind: 'wallet', title: 'Confirmation Timed Out', message: 'Your wallet did not report the transaction as mined in time. Check your wallet activity before trying again.' },
+  REQUEST_PENDING: { kind: 'wallet', title: 'Request Pending', message: 'Please finish the pending request in your wallet first.' },
+  WRONG_NETWORK: { kind: 'wallet', title: 'Wrong Network', message: 'Your wallet is on a network where the presale is not deployed. Please switch networks.' },
+  INSUFFICIENT_FUNDS: { kind: 'funds', title: 'Insufficient Funds', message: 'Insufficient funds in your wallet.' },
+
+  UNKNOWN: { kind: 'unknown', title: 'Unexpected Error', message: 'An unexpected error occurred. Please try again.' }
+};
+
+/** Contract custom error name => error code */
+const CUSTOM_ERROR_CODES = {
+  AmountZero: 'AMOUNT_ZERO',
+  NotAccepted: 'NOT_ACCEPTED',
+  OracleStale: 'ORACLE_STALE',
+  OracleOutOfBounds: 'ORACLE_OUT_OF_BOUNDS',
+  SaleClosed: 'SALE_CLOSED',
+  CapExceeded: 'CAP_EXCEEDED',
+  WalletCapExceeded: 'WALLET_CAP_EXCEEDED'
+};
+
+/** require() reason string => error code */
+const REASON_CODES = {
+  'QC7 xfer': 'QC7_TRANSFER_FAILED',
+  'pay xferFrom': 'PAY_TRANSFER_FAILED',
+  'ZERO_OUT': 'ZERO_OUTPUT',
+  'USD_RATE=0': 'USD_RATE_ZERO'
+};
+
+/** EIP-1193 provider error code => error code */
+const PROVIDER_CODES = {
+  4001: 'USER_REJECTED',
+  4100: 'UNAUTHORIZED',
+  4200: 'UNSUPPORTED_METHOD',
+  4900: 'DISCONNECTED',
+  4901: 'DISCONNECTED',
+  [-32002]: 'REQUEST_PENDING'
+};
+
+// ──────────────────────────────────────────────────────────────────────────────────────
+// ERROR CLASS
+// ──────────────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Decoded presale error
+ *
+ * @property {string} code - Key of PRESALE_ERRORS
+ * @property {string} kind - 'contract' | 'wallet' | 'funds' | 'unknown'
+ * @property {string} title - Short user-facing title
+ * @property {string|null} reason - Raw custom error name or revert reason, if any
+ * @property {string|null} action - What was being attempted (e.g. 'purchase', 'approve')
+ * @property {*} cause - The original error
+ */
+export class PresaleError extends Error {
+  constructor(code, { reason = null, action = null, cause = null, message } = {}) {
+    const entry = PRESALE_ERRORS[code] || PRESALE_ERRORS.UNKNOWN;
+    const fallback = code === 'REVERTED' && reason ? `${entry.message} Reason: ${reason}` : entry.message;
+    super(message || fallback);
+
+    this.name = 'PresaleError';
+    this.code = code;
+    this.kind = entry.kind;
+    this.title = entry.title;
+    this.reason = reason;
+    this.action = action;
+    this.cause = cause;
+  }
+}
+
+// ──────────────────────────────────────────────────────────────────────────────────────
+// DECODING
+// ──────────────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Walk the nested error chain that ethers and wallets produce
+ * @param {*} err - Thrown value
+ * @returns {Array<Object>} The error and every nested error/info object
+ */
+const flattenErrorChain = (err) => {
+  const chain = [];
+  const queue = [err];
+
+  while (queue.length && chain.length < 10) {
+    const current = queue.shift();
+    if (!current || typeof current !== 'object' || chain.includes(current)) continue;
+    chain.push(current);
+    queue.push(current.error, current.info, current.info?.error, current.cause, current.data);
+  }
+
+  return chain;
+};
+
+/**
+ * Find hex revert data anywhere in the error chain
+ * @param {Array<Object>} chain - Flattened error chain
+ * @returns {string|null} Revert data, if present
+ */
+const findRevertData = (chain) => {
+  for (const entry of chain) {
+    for (const candidate of [entry.data, entry.data?.data]) {
+      if (typeof candidate === 'string' && /^0x[0-9a-fA-F]{8,}$/.test(candidate)) {
+        return candidate;
+      }
+    }
+  }
+  return null;
+};
+
+/**
+ * Map a revert reason (custom error name or require string) to a code
+ * @param {string} reason - Decoded reason
+ * @returns {string} Error code
+ */
+const codeForReason = (reason) => CUSTOM_ERROR_CODES[reason] || REASON_CODES[reason] || 'REVERTED';
+
+/**
+ * Decode any error from a presale interaction into a PresaleError
+ *
+ * Resolution order:
+ * 1. Already decoded PresaleError (returned as is)
+ * 2. Wallet rejections and EIP-1193 provider codes (e.g. 4001)
+ * 3. Insufficient funds for value + gas
+ * 4. Revert data decoded with the presale ABI (custom errors and Error(string))
+ * 5. ethers' decoded revert / reason fields
+ * 6. Whole-word custom error names or reason strings in the message
+ *
+ * @param {*} err - Thrown value
+ * @param {Object} [context]
+ * @param {string} [context.action] - What was being attempted (e.g. 'purchase', 'approve')
+ * @returns {PresaleError} Decoded error
+ */
+export const decodePresaleError = (err, { action = null } = {}) => {
+  if (err instanceof PresaleError) {
+    if (action && !err.action) err.action = action;
+    return err;
+  }
+
+  const chain = flattenErrorChain(err);
+  const base = { action, cause: err };
+
+  // Wallet rejections (ethers wraps 4001 as ACTION_REJECTED)
+  for (const entry of chain) {
+    if (entry.code === 'ACTION_REJECTED') return new PresaleError('USER_REJECTED', base);
+    if (entry.code === 'CALLS_TIMEOUT') return new PresaleError('BATCH_TIMEOUT', base);
+    if (PROVIDER_CODES[entry.code]) return new PresaleError(PROVIDER_CODES[entry.code], base);
+  }
+
+  if (chain.some((entry) => entry.code === 'INSUFFICIENT_FUNDS')) {
+    return new PresaleError('INSUFFICIENT_FUNDS', base);
+  }
+
+  // Revert data decoded against the presale ABI
+  const data = findRevertData(chain);
+  if (data) {
+    try {
+      const parsed = presaleInterface.parseError(data);
+      if (parsed) {
+        const reason = parsed.name === 'Error' ? parsed.args[0] : parsed.name;
+        return new PresaleError(codeForReason(reason), { ...base, reason });
+      }
+    } catch {
+      // Not a presale error selector; fall through
+    }
+  }
+
+  // ethers v6 CALL_EXCEPTION fields
+  for (const entry of chain) {
+    if (entry.revert?.name) {
+      const reason = entry.revert.name === 'Error' ? entry.revert.args[0] : entry.revert.name;
+      return new PresaleError(codeForReason(reason), { ...base, reason });
+    }
+    if (typeof entry.reason === 'string' && entry.reason) {
+      return new PresaleError(codeForReason(entry.reason), { ...base, reason: entry.reason });
+    }
+  }
+
+  // Last resort: whole-word match so "WalletCapExceeded" never matches "CapExceeded"
+  const text = chain.map((entry) => entry.shortMessage || entry.message || '').join(' ');
+  for (const reason of [...Object.keys(CUSTOM_ERROR_CODES), ...Object.keys(REASON_CODES)]) {
+    const escaped = reason.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    if (new RegExp(`(^|[^A-Za-z0-9_])${escaped}([^A-Za-z0-9_]|$)`).test(text)) {
+      return new PresaleError(codeForReason(reason), { ...base, reason });
+    }
+  }
+  if (/user (denied|rejected)/i.test(text)) return new PresaleError('USER_REJECTED', base);
+  if (/insufficient funds/i.test(text)) return new PresaleError('INSUFFICIENT_FUNDS', base);
+
+  return new PresaleError('UNKNOWN', {
+    ...base,
+    message: err?.shortMessage || err?.message || PRESALE_ERRORS.UNKNOWN.message
+  });
+};
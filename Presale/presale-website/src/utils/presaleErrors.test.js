@@ -0,0 +1,104 @@
+// ══════════════════════════════════════════════════════════════════════════════════════
+// PRESALE ERROR DECODING TESTS
+// ══════════════════════════════════════════════════════════════════════════════════════
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ethers } from 'ethers';
+import { PRESALE_ABI } from '../config/contracts.js';
+import { decodePresaleError, PresaleError } from './presaleErrors.js';
+
+/**
+ * Feeds decodePresaleError() the shapes ethers, wallets and the presale
+ * actually produce (revert data nested in provider errors, EIP-1193 codes,
+ * bare messages) and checks the code each one is reported as.
+ */
+
+/** Encodes revert data the way the presale returns it */
+const presaleInterface = new ethers.Interface(PRESALE_ABI);
+
+/**
+ * Provider error carrying revert data a few levels deep, like an RPC error wrapped by ethers
+ * @param {string} data - Revert data
+ * @returns {Error} Wrapped error
+ */
+const wrappedRevert = (data) => Object.assign(new Error('could not coalesce error'), {
+  info: { error: { code: 3, message: 'execution reverted', data } }
+});
+
+// ──────────────────────────────────────────────────────────────────────────────────────
+// CONTRACT REVERTS
+// ──────────────────────────────────────────────────────────────────────────────────────
+
+test('decodes custom errors from nested revert data', () => {
+  const error = decodePresaleError(wrappedRevert(presaleInterface.encodeErrorResult('WalletCapExceeded')), { action: 'purchase' });
+
+  assert.ok(error instanceof PresaleError);
+  assert.equal(error.code, 'WALLET_CAP_EXCEEDED');
+  assert.equal(error.kind, 'contract');
+  assert.equal(error.reason, 'WalletCapExceeded');
+  assert.equal(error.action, 'purchase');
+});
+
+test('maps require() reasons and keeps unknown ones in the message', () => {
+  const known = decodePresaleError(wrappedRevert(presaleInterface.encodeErrorResult('Error', ['QC7 xfer'])));
+  assert.equal(known.code, 'QC7_TRANSFER_FAILED');
+
+  const unknown = decodePresaleError(wrappedRevert(presaleInterface.encodeErrorResult('Error', ['Ownable: caller'])));
+  assert.equal(unknown.code, 'REVERTED');
+  assert.equal(unknown.reason, 'Ownable: caller');
+  assert.match(unknown.message, /Reason: Ownable: caller$/);
+});
+
+test('uses the revert ethers already decoded', () => {
+  const error = decodePresaleError({ code: 'CALL_EXCEPTION', revert: { name: 'SaleClosed', args: [] } });
+  assert.equal(error.code, 'SALE_CLOSED');
+});
+
+test('matches error names in messages as whole words only', () => {
+  assert.equal(decodePresaleError(new Error('execution reverted: WalletCapExceeded()')).code, 'WALLET_CAP_EXCEEDED');
+  assert.equal(decodePresaleError(new Error('execution reverted: CapExceeded()')).code, 'CAP_EXCEEDED');
+  assert.equal(decodePresaleError(new Error('execution reverted: OracleStaleness')).code, 'UNKNOWN');
+});
+
+// ──────────────────────────────────────────────────────────────────────────────────────
+// WALLET AND ACCOUNT ERRORS
+// ──────────────────────────────────────────────────────────────────────────────────────
+
+test('reports wallet rejections and EIP-1193 codes before revert data', () => {
+  assert.equal(decodePresaleError({ code: 'ACTION_REJECTED' }).code, 'USER_REJECTED');
+  assert.equal(decodePresaleError({ error: { code: 4001, message: 'User rejected the request.' } }).code, 'USER_REJECTED');
+  assert.equal(decodePresaleError({ info: { error: { code: -32002 } } }).code, 'REQUEST_PENDING');
+  assert.equal(decodePresaleError({ code: 4900 }).kind, 'wallet');
+});
+
+test('reports wallet call batches that timed out', () => {
+  const error = decodePresaleError(Object.assign(new Error('Calls not confirmed'), { code: 'CALLS_TIMEOUT' }));
+  assert.equal(error.code, 'BATCH_TIMEOUT');
+});
+
+test('reports insufficient funds', () => {
+  assert.equal(decodePresaleError({ code: 'INSUFFICIENT_FUNDS' }).code, 'INSUFFICIENT_FUNDS');
+  assert.equal(decodePresaleError(new Error('insufficient funds for gas * price + value')).kind, 'funds');
+});
+
+// ──────────────────────────────────────────────────────────────────────────────────────
+// FALLBACKS
+// ──────────────────────────────────────────────────────────────────────────────────────
+
+test('returns already decoded errors as they are, adding a missing action', () => {
+  const original = new PresaleError('SALE_CLOSED');
+  const decoded = decodePresaleError(original, { action: 'approve' });
+
+  assert.equal(decoded, original);
+  assert.equal(decoded.action, 'approve');
+});
+
+test('keeps the original message of unknown errors', () => {
+  const cause = new Error('socket hang up');
+  const error = decodePresaleError(cause);
+
+  assert.equal(error.code, 'UNKNOWN');
+  assert.equal(error.message, 'socket hang up');
+  assert.equal(error.cause, cause);
+});
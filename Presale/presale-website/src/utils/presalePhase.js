@@ -0,0 +1,64 @@
+// ══════════════════════════════════════════════════════════════════════════════════════
+// PRESALE PHASE STATE MACHINE
+// ══════════════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Presale Phases
+ *
+ * The widget shows a different layout for each phase. Phases are derived from
+ * the on-chain presale state with the same rules the contract uses, so the UI
+ * never offers a purchase that would revert with SaleClosed or CapExceeded.
+ *
+ * - LOADING: Presale state has not been read yet
+ * - UPCOMING: startTime is set and has not been reached
+ * - LIVE: Purchases are accepted
+ * - ENDED: endTime is set and has passed
+ * - SOLD_OUT: totalRaisedUsd18 has reached hardCapUsd18
+ */
+export const PRESALE_PHASES = {
+  LOADING: 'loading',
+  UPCOMING: 'upcoming',
+  LIVE: 'live',
+  ENDED: 'ended',
+  SOLD_OUT: 'soldout'
+};
+
+/**
+ * Derive the current presale phase
+ *
+ * Mirrors the contract's _isClosed() (start is exclusive, end is inclusive)
+ * and _precheckAndAccount() (a hard cap of 0 means no cap).
+ *
+ * @param {Object|null} state - Presale state snapshot from the contract hook
+ * @param {number} nowSeconds - Current unix time in seconds
+ * @returns {string} One of PRESALE_PHASES
+ */
+export const getPresalePhase = (state, nowSeconds) => {
+  if (!state) return PRESALE_PHASES.LOADING;
+
+  const { startTime, endTime, hardCapUsd18, totalRaisedUsd18 } = state;
+
+  if (startTime !== 0 && nowSeconds < startTime) return PRESALE_PHASES.UPCOMING;
+  if (hardCapUsd18 !== 0n && totalRaisedUsd18 >= hardCapUsd18) return PRESALE_PHASES.SOLD_OUT;
+  if (endTime !== 0 && nowSeconds > endTime) return PRESALE_PHASES.ENDED;
+
+  return PRESALE_PHASES.LIVE;
+};
+
+/**
+ * Split the time until a target into countdown units
+ *
+ * @param {number} targetSeconds - Target unix time in seconds
+ * @param {number} nowSeconds - Current unix time in seconds
+ * @returns {{ days: number, hours: number, minutes: number, seconds: number }} Time left (zeros once passed)
+ */
+export const getTimeLeft = (targetSeconds, nowSeconds) => {
+  const distance = Math.max(targetSeconds - nowSeconds, 0);
+
+  return {
+    days: Math.floor(distance / (60 * 60 * 24)),
+    hours: Math.floor((distance % (60 * 60 * 24)) / (60 * 60)),
+    minutes: Math.floor((distance % (60 * 60)) / 60),
+    seconds: distance % 60
+  };
+};
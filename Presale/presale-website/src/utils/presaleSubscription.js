@@ -0,0 +1,119 @@
+// ══════════════════════════════════════════════════════════════════════════════════════
+// PRESALE LIVE UPDATE SUBSCRIPTION
+// ══════════════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Presale Live Update Subscription
+ *
+ * Tells the UI when the presale's on-chain state may have changed, so totals,
+ * price and phase are re-read within one block instead of on a fixed timer.
+ *
+ * Two modes:
+ * - events: Listens for the contract events that change presale state. Logs
+ *   are fetched with eth_getLogs for every new block (the read-only pool runs
+ *   ethers in polling mode), so it works on plain HTTP RPCs without filters.
+ * - block: Providers that refuse eth_getLogs for the presale get an update on
+ *   every new block instead.
+ *
+ * Updates are coalesced: while the callback is still running, further updates
+ * collapse into a single follow-up call with the latest one.
+ */
+
+/** Contract events after which the presale state must be reloaded */
+export const PRESALE_LIVE_EVENTS = ['TokensPurchased', 'CapsUpdated', 'WindowUpdated', 'TokenPriceUpdated'];
+
+/**
+ * Subscribe to presale state changes
+ *
+ * @param {ethers.Contract} presale - Presale contract connected to a provider
+ * @param {Function} onUpdate - Called with { type, blockNumber, log } where type is
+ *   the event name or 'block'; may return a promise (further updates wait for it)
+ * @returns {Function} Unsubscribe function
+ */
+export const subscribePresaleUpdates = (presale, onUpdate) => {
+  const provider = presale.runner.provider ?? presale.runner;
+
+  let stopped = false;
+  let detach = () => {};
+
+  // ────────────────────────────────────────────────────────────────────────────────────
+  // COALESCING
+  // ────────────────────────────────────────────────────────────────────────────────────
+
+  let running = false;
+  let queued = null;
+
+  const trigger = async (update) => {
+    if (stopped) return;
+    if (running) {
+      queued = update;
+      return;
+    }
+
+    running = true;
+    try {
+      await onUpdate(update);
+    } catch (err) {
+      console.error('Error handling presale update:', err);
+    } finally {
+      running = false;
+    }
+
+    if (queued) {
+      const next = queued;
+      queued = null;
+      trigger(next);
+    }
+  };
+
+  // ────────────────────────────────────────────────────────────────────────────────────
+  // LISTENERS
+  // ────────────────────────────────────────────────────────────────────────────────────
+
+  const listenToEvents = async () => {
+    const handlers = PRESALE_LIVE_EVENTS.map((eventName) => [
+      eventName,
+      (...args) => {
+        // ethers passes the event payload last
+        const { log } = args[args.length - 1];
+        trigger({ type: eventName, blockNumber: log.blockNumber, log });
+      }
+    ]);
+
+    detach = () => handlers.forEach(([eventName, handler]) => presale.off(eventName, handler));
+    await Promise.all(handlers.map(([eventName, handler]) => presale.on(eventName, handler)));
+  };
+
+  const listenToBlocks = async () => {
+    const handler = (blockNumber) => trigger({ type: 'block', blockNumber, log: null });
+
+    detach = () => provider.off('block', handler);
+    await provider.on('block', handler);
+  };
+
+  (async () => {
+    try {
+      // Probe log access once; some public RPCs reject eth_getLogs entirely
+      await provider.getLogs({
+        address: await presale.getAddress(),
+        fromBlock: 'latest',
+        toBlock: 'latest'
+      });
+      if (stopped) return;
+      await listenToEvents();
+    } catch (err) {
+      if (stopped) return;
+      console.warn('[presale] Event subscription unavailable, updating on every block:', err.error?.message || err.shortMessage || err.message);
+      await listenToBlocks();
+    }
+
+    // Unsubscribed while the listeners were being attached
+    if (stopped) detach();
+  })().catch((err) => console.error('Error subscribing to presale updates:', err));
+
+  return () => {
+    stopped = true;
+    queued = null;
+    detach();
+  };
+};
@@ -0,0 +1,178 @@
+// ══════════════════════════════════════════════════════════════════════════════════════
+// PRICE QUOTES
+// ══════════════════════════════════════════════════════════════════════════════════════
+
+import { ethers } from 'ethers';
+import { AGGREGATOR_V3_ABI } from '../config/contracts.js';
+import { aggregateReads, readCall } from './multicall.js';
+
+/**
+ * Price Quotes
+ *
+ * Mirrors the presale's quote math (quoteNative/quoteToken, _usdValue and
+ * _QC7ForUsd) with bigint integer division, so quotes can be computed in both
+ * directions:
+ *
+ *   usdPaid   = amount * usdPrice / 10^decimals                        (static)
+ *             = amount * answer * 1e18 / 10^(decimals + feedDecimals)  (oracle)
+ *   base      = usdPaid * 10^qc7Decimals / tokenPriceUsd18
+ *   tokensOut = base + base / 10                                       (+10% bonus)
+ *
+ * Every step truncates, so the reverse direction (QC7 wanted => amount to pay)
+ * solves each step for the smallest input whose truncated output still reaches
+ * the target.
+ *
+ * readPriceDetails() exposes the same inputs for display, together with the
+ * staleness and bounds checks that make the contract revert with OracleStale
+ * or OracleOutOfBounds.
+ */
+
+/**
+ * Integer division rounded up
+ * @param {bigint} a - Dividend
+ * @param {bigint} b - Divisor (> 0)
+ * @returns {bigint} ceil(a / b)
+ */
+const divCeil = (a, b) => (a + b - 1n) / b;
+
+// ──────────────────────────────────────────────────────────────────────────────────────
+// TOKEN PRICING
+// ──────────────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Read a Chainlink feed's latest round
+ * @param {string} feedAddress - AggregatorV3 address
+ * @param {ethers.ContractRunner} runner - Read runner on the feed's chain
+ * @returns {Promise<{ answer: bigint, feedDecimals: number, updatedAt: number }>} Latest round
+ */
+const readOracleRound = async (feedAddress, runner) => {
+  const feed = new ethers.Contract(feedAddress, AGGREGATOR_V3_ABI, runner);
+  const [round, feedDecimals] = await aggregateReads(runner, [
+    readCall(feed, 'latestRoundData'),
+    readCall(feed, 'decimals')
+  ]);
+  return { answer: round.answer, feedDecimals: Number(feedDecimals), updatedAt: Number(round.updatedAt) };
+};
+
+/**
+ * USD pricing of a payment token as the contract applies it
+ *
+ * usdPaid = amount * numerator / denominator
+ *
+ * @param {Object} info - tokenInfo() result (accepted, decimals, usdPrice, useOracle, feed, ...)
+ * @param {ethers.ContractRunner} runner - Read runner on the presale's chain
+ * @returns {Promise<Object|null>} Pricing, or null when the token cannot be priced
+ *   - numerator / denominator: bigint factors of the USD conversion
+ *   - source: 'static' | 'oracle'
+ *   - answer / feedDecimals / updatedAt: latest oracle round (oracle only)
+ */
+export const getTokenPricing = async (info, runner) => {
+  const decimals = BigInt(info.decimals);
+
+  if (!info.useOracle) {
+    if (info.usdPrice === 0n) return null;
+    return { numerator: info.usdPrice, denominator: 10n ** decimals, source: 'static' };
+  }
+
+  const round = await readOracleRound(info.feed, runner);
+  if (round.answer <= 0n) return null;
+
+  return {
+    numerator: round.answer * ethers.WeiPerEther,
+    denominator: 10n ** (decimals + BigInt(round.feedDecimals)),
+    source: 'oracle',
+    ...round
+  };
+};
+
+/**
+ * Everything the contract uses to price a payment token
+ *
+ * @param {Object} info - tokenInfo() result
+ * @param {ethers.ContractRunner} runner - Read runner on the presale's chain
+ * @returns {Promise<Object>} Price details
+ *   - source: 'static' | 'oracle'
+ *   - usdPerToken: USD(18) for one whole token as _usdValue() computes it (null when unpriced)
+ *   - feed / answer / feedDecimals / updatedAt: Feed and its latest round (oracle only)
+ *   - maxStale: Seconds a round stays usable (0 = no limit)
+ *   - minPrice / maxPrice: Accepted answer range, in feed decimals
+ *   - staleAt: Unix seconds after which OracleStale is thrown (null without a limit)
+ */
+export const readPriceDetails = async (info, runner) => {
+  if (!info.useOracle) {
+    return { source: 'static', usdPerToken: info.usdPrice > 0n ? info.usdPrice : null };
+  }
+
+  const round = await readOracleRound(info.feed, runner);
+  const maxStale = Number(info.maxStale);
+
+  return {
+    source: 'oracle',
+    // The token's own decimals cancel out for exactly one whole token
+    usdPerToken: round.answer > 0n ? (round.answer * ethers.WeiPerEther) / 10n ** BigInt(round.feedDecimals) : null,
+    feed: info.feed,
+    ...round,
+    maxStale,
+    minPrice: info.minPrice,
+    maxPrice: info.maxPrice,
+    staleAt: maxStale > 0 ? round.updatedAt + maxStale : null
+  };
+};
+
+/**
+ * Oracle check the contract would currently fail
+ *
+ * Mirrors _usdValue(): the round is stale once block.timestamp passes
+ * updatedAt + maxStale, and the answer must lie within [minPrice, maxPrice].
+ *
+ * @param {Object} details - From readPriceDetails()
+ * @param {number} now - Unix seconds
+ * @returns {'ORACLE_STALE'|'ORACLE_OUT_OF_BOUNDS'|null} PRESALE_ERRORS code, or null
+ */
+export const getOracleIssue = (details, now) => {
+  if (details.source !== 'oracle') return null;
+  if (details.staleAt !== null && now > details.staleAt) return 'ORACLE_STALE';
+  if (details.answer < details.minPrice || details.answer > details.maxPrice) return 'ORACLE_OUT_OF_BOUNDS';
+  return null;
+};
+
+// ──────────────────────────────────────────────────────────────────────────────────────
+// QUOTES
+// ──────────────────────────────────────────────────────────────────────────────────────
+
+/**
+ * QC7 received for a payment, exactly as quoteNative/quoteToken compute it
+ *
+ * @param {bigint} amount - Payment in token base units
+ * @param {Object} pricing - From getTokenPricing()
+ * @param {bigint} tokenPriceUsd18 - USD(18) price per 1 QC7
+ * @param {number} qc7Decimals - QC7_DECIMALS() of the presale
+ * @returns {{ tokensOut: bigint, usdPaid: bigint }} QC7 including the bonus, and USD(18) value
+ */
+export const quoteTokensOut = (amount, pricing, tokenPriceUsd18, qc7Decimals) => {
+  const usdPaid = (amount * pricing.numerator) / pricing.denominator;
+  const base = (usdPaid * 10n ** BigInt(qc7Decimals)) / tokenPriceUsd18;
+  return { tokensOut: base + base / 10n, usdPaid };
+};
+
+/**
+ * Smallest payment whose quote reaches a QC7 target
+ *
+ * @param {bigint} tokensOut - QC7 wanted, bonus included (base units)
+ * @param {Object} pricing - From getTokenPricing()
+ * @param {bigint} tokenPriceUsd18 - USD(18) price per 1 QC7
+ * @param {number} qc7Decimals - QC7_DECIMALS() of the presale
+ * @returns {bigint} Payment in token base units
+ */
+export const solvePaymentAmount = (tokensOut, pricing, tokenPriceUsd18, qc7Decimals) => {
+  if (tokensOut <= 0n) return 0n;
+
+  // base + base / 10 is non-decreasing, so start near the real-valued answer and settle
+  let base = divCeil(tokensOut * 10n, 11n);
+  while (base > 0n && (base - 1n) + (base - 1n) / 10n >= tokensOut) base -= 1n;
+  while (base + base / 10n < tokensOut) base += 1n;
+
+  // floor(x * a / b) >= k  <=>  x >= ceil(k * b / a)
+  const usdPaid = divCeil(base * tokenPriceUsd18, 10n ** BigInt(qc7Decimals));
+  return divCeil(usdPaid * pricing.denominator, pricing.numerator);
+};
@@ -0,0 +1,139 @@
+// ══════════════════════════════════════════════════════════════════════════════════════
+// PRICE QUOTE TESTS
+// ══════════════════════════════════════════════════════════════════════════════════════
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getOracleIssue, quoteTokensOut, solvePaymentAmount } from './priceQuote.js';
+
+/**
+ * Checks the quote math against the contract's formulas. Reverse quotes must
+ * return the smallest payment that still delivers the requested QC7: one base
+ * unit less has to fall short, for static and oracle pricing and for QC7 with
+ * any number of decimals. Oracle checks must flag exactly the rounds that
+ * _usdValue() rejects.
+ */
+
+/** Static $1.00 stablecoin with 6 decimals (tokenInfo usdPrice = 1e18) */
+const USDC_PRICING = { numerator: 10n ** 18n, denominator: 10n ** 6n, source: 'static' };
+
+/** ETH priced by an 8-decimal feed at $3,012.34567891 */
+const ETH_PRICING = {
+  numerator: 301_234_567_891n * 10n ** 18n,
+  denominator: 10n ** (18n + 8n),
+  source: 'oracle'
+};
+
+/** Uneven QC7 price of $0.0123456789 */
+const ODD_PRICE_USD18 = 12_345_678_900_000_000n;
+
+/**
+ * Deterministic pseudo-random bigints (64-bit LCG), so failures are reproducible
+ * @param {bigint} seed - Start value
+ * @returns {Function} max → bigint in [1, max]
+ */
+const randomBigInts = (seed) => {
+  let state = seed;
+  return (max) => {
+    state = (state * 6364136223846793005n + 1442695040888963407n) % 2n ** 64n;
+    return (state % max) + 1n;
+  };
+};
+
+// ──────────────────────────────────────────────────────────────────────────────────────
+// FORWARD QUOTES
+// ──────────────────────────────────────────────────────────────────────────────────────
+
+test('quotes QC7 with the 10% bonus like quoteToken', () => {
+  // $100 at $0.01 per QC7 = 10,000 QC7 + 1,000 bonus
+  const quote = quoteTokensOut(100_000_000n, USDC_PRICING, 10n ** 16n, 18);
+  assert.equal(quote.usdPaid, 100n * 10n ** 18n);
+  assert.equal(quote.tokensOut, 11_000n * 10n ** 18n);
+});
+
+test('truncates every step of an oracle quote', () => {
+  // 1 wei of ETH: 3012.34567891 → 3012 USD(18) wei → 243972.0... → 243972 QC7 wei + 24397 bonus
+  assert.deepEqual(quoteTokensOut(1n, ETH_PRICING, ODD_PRICE_USD18, 18), { tokensOut: 268_369n, usdPaid: 3012n });
+  assert.deepEqual(quoteTokensOut(1n, ETH_PRICING, ODD_PRICE_USD18, 6), { tokensOut: 0n, usdPaid: 3012n });
+});
+
+// ──────────────────────────────────────────────────────────────────────────────────────
+// REVERSE QUOTES
+// ──────────────────────────────────────────────────────────────────────────────────────
+
+test('returns zero for a zero target', () => {
+  assert.equal(solvePaymentAmount(0n, USDC_PRICING, 10n ** 16n, 18), 0n);
+});
+
+test('solves round amounts exactly', () => {
+  // 11,000 QC7 (bonus included) at $0.01 cost exactly $100
+  assert.equal(solvePaymentAmount(11_000n * 10n ** 18n, USDC_PRICING, 10n ** 16n, 18), 100_000_000n);
+});
+
+for (const qc7Decimals of [6, 9, 18]) {
+  for (const [name, pricing] of [['static', USDC_PRICING], ['oracle', ETH_PRICING]]) {
+    test(`pays the smallest amount that reaches the target (${name} pricing, ${qc7Decimals}-decimal QC7)`, () => {
+      const random = randomBigInts(BigInt(qc7Decimals) * 1000n + BigInt(name.length));
+      const maxTarget = 10n ** BigInt(qc7Decimals + 6);
+
+      for (let i = 0; i < 300; i++) {
+        const target = random(maxTarget);
+        const amount = solvePaymentAmount(target, pricing, ODD_PRICE_USD18, qc7Decimals);
+
+        assert.ok(
+          quoteTokensOut(amount, pricing, ODD_PRICE_USD18, qc7Decimals).tokensOut >= target,
+          `${amount} falls short of ${target}`
+        );
+        assert.ok(
+          quoteTokensOut(amount - 1n, pricing, ODD_PRICE_USD18, qc7Decimals).tokensOut < target,
+          `${amount - 1n} already reaches ${target}`
+        );
+      }
+    });
+  }
+}
+
+// ──────────────────────────────────────────────────────────────────────────────────────
+// ORACLE CHECKS
+// ──────────────────────────────────────────────────────────────────────────────────────
+
+/**
+ * readPriceDetails() result for an 8-decimal feed
+ * @param {Object} fields - Fields overriding the defaults
+ * @returns {Object} Oracle price details
+ */
+const oracleDetails = (fields) => ({
+  source: 'oracle',
+  answer: 300_000_000_000n,
+  feedDecimals: 8,
+  updatedAt: 1000,
+  maxStale: 3600,
+  minPrice: 100_000_000_000n,
+  maxPrice: 500_000_000_000n,
+  staleAt: 4600,
+  ...fields
+});
+
+test('never flags static prices', () => {
+  assert.equal(getOracleIssue({ source: 'static', usdPerToken: 10n ** 18n }, 1e12), null);
+});
+
+test('flags a round as stale only after updatedAt + maxStale', () => {
+  assert.equal(getOracleIssue(oracleDetails({}), 4600), null);
+  assert.equal(getOracleIssue(oracleDetails({}), 4601), 'ORACLE_STALE');
+});
+
+test('accepts any round age without a staleness limit', () => {
+  assert.equal(getOracleIssue(oracleDetails({ maxStale: 0, staleAt: null }), 1e12), null);
+});
+
+test('flags answers outside [minPrice, maxPrice] and accepts the bounds themselves', () => {
+  assert.equal(getOracleIssue(oracleDetails({ answer: 100_000_000_000n }), 2000), null);
+  assert.equal(getOracleIssue(oracleDetails({ answer: 500_000_000_000n }), 2000), null);
+  assert.equal(getOracleIssue(oracleDetails({ answer: 99_999_999_999n }), 2000), 'ORACLE_OUT_OF_BOUNDS');
+  assert.equal(getOracleIssue(oracleDetails({ answer: 500_000_000_001n }), 2000), 'ORACLE_OUT_OF_BOUNDS');
+});
+
+test('reports staleness before the bounds, in the contract\'s order', () => {
+  assert.equal(getOracleIssue(oracleDetails({ answer: 0n }), 5000), 'ORACLE_STALE');
+});
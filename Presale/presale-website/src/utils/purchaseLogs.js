@@ -0,0 +1,156 @@
+// ══════════════════════════════════════════════════════════════════════════════════════
+// PURCHASE LOG DECODING
+// ══════════════════════════════════════════════════════════════════════════════════════
+
+import { ethers } from 'ethers';
+import { ERC20_ABI } from '../config/contracts.js';
+
+/**
+ * Purchase Log Decoding
+ *
+ * Turns TokensPurchased logs and indexed TokensPurchased events into purchase
+ * entries shared by the purchase history, the live activity feed and the stats
+ * view:
+ *
+ * {
+ *   txHash, blockNumber, logIndex, timestamp,
+ *   buyer,                                  // checksummed address
+ *   payToken: { address, symbol, decimals },
+ *   payAmount, tokensOut, usdPaid           // bigint, as recorded on-chain
+ * }
+ */
+
+/**
+ * Sort comparator for purchase entries (newest first)
+ * @param {Object} a - Purchase entry
+ * @param {Object} b - Purchase entry
+ * @returns {number} Sort order
+ */
+export const compareNewestFirst = (a, b) => b.blockNumber - a.blockNumber || b.logIndex - a.logIndex;
+
+/**
+ * Resolve symbol and decimals of every payment token used in a set of logs
+ *
+ * Tokens from the payment token list keep their configured symbol; anything
+ * else (e.g. a token that is no longer accepted) is read from the chain.
+ *
+ * @param {ethers.Contract} presale - Presale contract connected to a provider
+ * @param {Array<Object>} knownTokens - Payment token list (see config/paymentTokens.js)
+ * @param {Array<ethers.EventLog>} logs - TokensPurchased logs
+ * @returns {Promise<Map<string, { symbol: string, decimals: number }>>} Keyed by checksummed address
+ */
+export const resolvePayTokens = async (presale, knownTokens, logs) => {
+  const payTokens = new Map();
+
+  for (const log of logs) {
+    const tokenAddress = ethers.getAddress(log.args.payToken);
+    if (payTokens.has(tokenAddress)) continue;
+
+    const known = knownTokens.find(
+      (token) => token.address.toLowerCase() === tokenAddress.toLowerCase()
+    );
+    if (known) {
+      payTokens.set(tokenAddress, { symbol: known.symbol, decimals: known.decimals });
+    } else {
+      const info = await presale.tokenInfo(tokenAddress);
+      const erc20 = new ethers.Contract(tokenAddress, ERC20_ABI, presale.runner);
+      const symbol = await erc20.symbol().catch(() => `${tokenAddress.slice(0, 6)}...`);
+      payTokens.set(tokenAddress, { symbol, decimals: Number(info.decimals) });
+    }
+  }
+
+  return payTokens;
+};
+
+/**
+ * Read the timestamp of every block that contains one of the logs
+ *
+ * Indexed event records (see utils/eventIndexer.js) already carry their
+ * timestamp; only the remaining blocks are fetched.
+ *
+ * @param {ethers.Provider} provider - Provider to read blocks from
+ * @param {Array<ethers.Log|Object>} logs - Logs or indexed event records to timestamp
+ * @returns {Promise<Map<number, number>>} Unix seconds keyed by block number
+ */
+export const getLogTimestamps = async (provider, logs) => {
+  const timestamps = new Map(
+    logs.filter((log) => log.timestamp !== undefined).map((log) => [log.blockNumber, log.timestamp])
+  );
+
+  // Fetch each missing block once
+  const blockNumbers = [...new Set(logs.map((log) => log.blockNumber))].filter((n) => !timestamps.has(n));
+  const blocks = await Promise.all(blockNumbers.map((n) => provider.getBlock(n)));
+  blocks.forEach((block) => timestamps.set(block.number, block.timestamp));
+  return timestamps;
+};
+
+/**
+ * Convert a TokensPurchased log into a purchase entry
+ *
+ * @param {ethers.EventLog} log - Decoded TokensPurchased log
+ * @param {Map} payTokens - Result of resolvePayTokens()
+ * @param {Map} timestamps - Result of getLogTimestamps()
+ * @returns {Object} Purchase entry
+ */
+export const toPurchase = (log, payTokens, timestamps) => {
+  const tokenAddress = ethers.getAddress(log.args.payToken);
+  return {
+    txHash: log.transactionHash,
+    blockNumber: log.blockNumber,
+    logIndex: log.index,
+    timestamp: timestamps.get(log.blockNumber),
+    buyer: ethers.getAddress(log.args.buyer),
+    payToken: { address: tokenAddress, ...payTokens.get(tokenAddress) },
+    payAmount: log.args.payAmount,
+    tokensOut: log.args.tokensOut,
+    usdPaid: log.args.usdPaid
+  };
+};
+
+/**
+ * Decode TokensPurchased logs into purchase entries, newest first
+ *
+ * @param {ethers.Contract} presale - Presale contract connected to a provider
+ * @param {Array<Object>} knownTokens - Payment token list
+ * @param {Array<ethers.EventLog>} logs - TokensPurchased logs
+ * @returns {Promise<Array<Object>>} Purchase entries
+ */
+export const decodePurchaseLogs = async (presale, knownTokens, logs) => {
+  const [payTokens, timestamps] = await Promise.all([
+    resolvePayTokens(presale, knownTokens, logs),
+    getLogTimestamps(presale.runner.provider ?? presale.runner, logs)
+  ]);
+
+  return logs
+    .map((log) => toPurchase(log, payTokens, timestamps))
+    .sort(compareNewestFirst);
+};
+
+/**
+ * Read purchase entries from the event indexer, newest first
+ *
+ * Only reads what is already indexed; call indexer.sync() first for the latest
+ * blocks. With a limit (and no buyer) only the newest records are read from
+ * storage.
+ *
+ * @param {PresaleEventIndexer} indexer - Indexer of the presale (see utils/eventIndexer.js)
+ * @param {Array<Object>} knownTokens - Payment token list
+ * @param {Object} [options]
+ * @param {string} [options.buyer] - Only return this buyer's purchases
+ * @param {number} [options.limit] - Only return the newest purchases
+ * @returns {Promise<Array<Object>>} Purchase entries
+ */
+export const loadIndexedPurchases = async (indexer, knownTokens, { buyer, limit } = {}) => {
+  if (limit !== undefined && !buyer) {
+    const latest = await indexer.getLatestEvents('TokensPurchased', limit);
+    return decodePurchaseLogs(indexer.presale, knownTokens, latest);
+  }
+
+  const records = await indexer.getEvents('TokensPurchased');
+  const matching = buyer
+    ? records.filter((record) => record.args.buyer.toLowerCase() === buyer.toLowerCase())
+    : records;
+  const newest = limit !== undefined ? matching.slice(-limit) : matching;
+
+  return decodePurchaseLogs(indexer.presale, knownTokens, newest);
+};
@@ -0,0 +1,151 @@
+// ══════════════════════════════════════════════════════════════════════════════════════
+// PURCHASE LOG DECODING TESTS
+// ══════════════════════════════════════════════════════════════════════════════════════
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { decodePurchaseLogs, loadIndexedPurchases } from './purchaseLogs.js';
+
+/**
+ * Decodes hand-built TokensPurchased logs and indexed records the way the
+ * purchase history, the feed and /stats read them. The presale and indexer
+ * are stubs, so only block timestamps are "fetched" and every payment token
+ * comes from the known token list.
+ */
+
+const USDC = '0x1c7D4B196Cb0C7B01d743Fbc6116a902379C7238';
+const ALICE = '0x70997970C51812dc3A010C7d01b50e0d17dc79C8';
+const BOB = '0x3C44CdDdB6a900fa2b585dd299e03d12FA4293BC';
+
+/** Payment token list with USDC only */
+const KNOWN_TOKENS = [{ key: 'USDC', symbol: 'USDC', address: USDC, decimals: 6 }];
+
+// ──────────────────────────────────────────────────────────────────────────────────────
+// STUBS
+// ──────────────────────────────────────────────────────────────────────────────────────
+
+/**
+ * TokensPurchased log or indexed record, with lowercase addresses as RPCs return them
+ * @param {number} blockNumber - Block of the log
+ * @param {number} index - Log index in the block
+ * @param {string} buyer - Buyer address
+ * @param {Object} [extra] - Extra record fields (e.g. timestamp)
+ * @returns {Object} Log with decoded args
+ */
+const purchaseLog = (blockNumber, index, buyer, extra = {}) => ({
+  eventName: 'TokensPurchased',
+  transactionHash: `0x${blockNumber.toString(16).padStart(62, '0')}${index.toString(16).padStart(2, '0')}`,
+  blockNumber,
+  index,
+  args: {
+    buyer: buyer.toLowerCase(),
+    payToken: USDC.toLowerCase(),
+    payAmount: 1_000_000n * BigInt(blockNumber),
+    tokensOut: 110n * 10n ** 18n,
+    usdPaid: 10n ** 18n * BigInt(blockNumber)
+  },
+  ...extra
+});
+
+/**
+ * Presale stub whose runner serves block timestamps (timestamp = 1000 + number)
+ * @returns {{ presale: Object, fetched: Array<number> }} Stub and the blocks it was asked for
+ */
+const createPresale = () => {
+  const fetched = [];
+  const presale = {
+    runner: {
+      getBlock: async (blockNumber) => {
+        fetched.push(blockNumber);
+        return { number: blockNumber, timestamp: 1000 + blockNumber };
+      }
+    }
+  };
+  return { presale, fetched };
+};
+
+// ──────────────────────────────────────────────────────────────────────────────────────
+// DECODING
+// ──────────────────────────────────────────────────────────────────────────────────────
+
+test('decodes logs into purchase entries, newest first', async () => {
+  const { presale } = createPresale();
+  const logs = [purchaseLog(5, 0, ALICE), purchaseLog(7, 3, BOB), purchaseLog(7, 1, ALICE)];
+
+  const purchases = await decodePurchaseLogs(presale, KNOWN_TOKENS, logs);
+
+  assert.deepEqual(purchases.map((p) => [p.blockNumber, p.logIndex]), [[7, 3], [7, 1], [5, 0]]);
+
+  const [newest] = purchases;
+  assert.equal(newest.buyer, BOB);
+  assert.deepEqual(newest.payToken, { address: USDC, symbol: 'USDC', decimals: 6 });
+  assert.equal(newest.payAmount, 7_000_000n);
+  assert.equal(newest.usdPaid, 7n * 10n ** 18n);
+  assert.equal(newest.timestamp, 1007);
+});
+
+test('uses indexed timestamps and fetches each missing block once', async () => {
+  const { presale, fetched } = createPresale();
+  const logs = [
+    purchaseLog(5, 0, ALICE, { timestamp: 42 }),
+    purchaseLog(7, 0, BOB),
+    purchaseLog(7, 1, BOB)
+  ];
+
+  const purchases = await decodePurchaseLogs(presale, KNOWN_TOKENS, logs);
+
+  assert.deepEqual(fetched, [7]);
+  assert.deepEqual(purchases.map((p) => p.timestamp), [1007, 1007, 42]);
+});
+
+// ──────────────────────────────────────────────────────────────────────────────────────
+// INDEXED PURCHASES
+// ──────────────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Indexer stub over records in block order
+ * @param {Array<Object>} records - Indexed TokensPurchased records, oldest first
+ * @returns {{ indexer: Object, reads: Array<string> }} Stub and the reads it served
+ */
+const createIndexer = (records) => {
+  const reads = [];
+  const indexer = {
+    presale: createPresale().presale,
+    getEvents: async () => {
+      reads.push('all');
+      return records;
+    },
+    getLatestEvents: async (eventName, limit) => {
+      reads.push(`latest:${limit}`);
+      return [...records].reverse().slice(0, limit);
+    }
+  };
+  return { indexer, reads };
+};
+
+test('filters a buyer\'s purchases regardless of address case and keeps the newest', async () => {
+  const { indexer, reads } = createIndexer([
+    purchaseLog(1, 0, ALICE),
+    purchaseLog(2, 0, BOB),
+    purchaseLog(3, 0, ALICE),
+    purchaseLog(4, 0, ALICE)
+  ]);
+
+  const all = await loadIndexedPurchases(indexer, KNOWN_TOKENS, { buyer: `0x${ALICE.slice(2).toUpperCase()}` });
+  assert.deepEqual(all.map((p) => p.blockNumber), [4, 3, 1]);
+
+  const latest = await loadIndexedPurchases(indexer, KNOWN_TOKENS, { buyer: ALICE, limit: 2 });
+  assert.deepEqual(latest.map((p) => p.blockNumber), [4, 3]);
+
+  // A buyer filter needs every record
+  assert.deepEqual(reads, ['all', 'all']);
+});
+
+test('reads only the newest records for an unfiltered limit', async () => {
+  const { indexer, reads } = createIndexer([purchaseLog(1, 0, ALICE), purchaseLog(2, 0, BOB), purchaseLog(3, 0, ALICE)]);
+
+  const latest = await loadIndexedPurchases(indexer, KNOWN_TOKENS, { limit: 2 });
+
+  assert.deepEqual(latest.map((p) => p.blockNumber), [3, 2]);
+  assert.deepEqual(reads, ['latest:2']);
+});
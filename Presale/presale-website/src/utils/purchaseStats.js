@@ -0,0 +1,114 @@
+// ══════════════════════════════════════════════════════════════════════════════════════
+// PRESALE ANALYTICS
+// ══════════════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Presale Analytics
+ *
+ * Pure aggregation of purchase entries (see utils/purchaseLogs.js) into the
+ * figures shown on the /stats view. All USD values stay in USD(18) bigint so
+ * totals match the contract's totalRaisedUsd18 exactly; components format them.
+ */
+
+/** Seconds per day */
+const DAY = 86400;
+
+/**
+ * UTC day of a timestamp
+ * @param {number} timestamp - Unix seconds
+ * @returns {number} Unix seconds at 00:00 UTC of that day
+ */
+const startOfDay = (timestamp) => Math.floor(timestamp / DAY) * DAY;
+
+/**
+ * Median of bigint values
+ * @param {Array<bigint>} values - Values (any order)
+ * @returns {bigint} Median (mean of the two middle values for even counts), 0n when empty
+ */
+const median = (values) => {
+  if (values.length === 0) return 0n;
+
+  const sorted = [...values].sort((a, b) => (a < b ? -1 : a > b ? 1 : 0));
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 1 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2n;
+};
+
+/**
+ * Aggregate purchases into sale statistics
+ *
+ * @param {Array<Object>} purchases - Purchase entries in any order
+ * @param {Object} [options]
+ * @param {number} [options.topBuyerCount=10] - Number of top buyers to return
+ * @returns {Object} Statistics
+ *   - purchaseCount: Number of purchases
+ *   - totalUsd18 / totalTokensOut: Sums over all purchases
+ *   - uniqueBuyers: Number of distinct buyer addresses
+ *   - averageTicketUsd18 / medianTicketUsd18: USD(18) per purchase
+ *   - cumulative: [{ timestamp, totalUsd18 }] running total after each purchase
+ *   - daily: [{ day, usd18, count }] per UTC day, gaps filled with zero
+ *   - byToken: [{ address, symbol, decimals, payAmount, usd18, count }] largest first
+ *   - topBuyers: [{ buyer, usd18, tokensOut, count }] largest first
+ */
+export const computePurchaseStats = (purchases, { topBuyerCount = 10 } = {}) => {
+  const chronological = [...purchases]
+    .filter((purchase) => purchase.timestamp)
+    .sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex);
+
+  let totalUsd18 = 0n;
+  let totalTokensOut = 0n;
+  const cumulative = [];
+  const days = new Map();
+  const tokens = new Map();
+  const buyers = new Map();
+
+  for (const purchase of chronological) {
+    totalUsd18 += purchase.usdPaid;
+    totalTokensOut += purchase.tokensOut;
+    cumulative.push({ timestamp: purchase.timestamp, totalUsd18 });
+
+    const day = startOfDay(purchase.timestamp);
+    const dayEntry = days.get(day) ?? { day, usd18: 0n, count: 0 };
+    dayEntry.usd18 += purchase.usdPaid;
+    dayEntry.count += 1;
+    days.set(day, dayEntry);
+
+    const { address, symbol, decimals } = purchase.payToken;
+    const tokenEntry = tokens.get(address) ?? { address, symbol, decimals, payAmount: 0n, usd18: 0n, count: 0 };
+    tokenEntry.payAmount += purchase.payAmount;
+    tokenEntry.usd18 += purchase.usdPaid;
+    tokenEntry.count += 1;
+    tokens.set(address, tokenEntry);
+
+    const buyerEntry = buyers.get(purchase.buyer) ?? { buyer: purchase.buyer, usd18: 0n, tokensOut: 0n, count: 0 };
+    buyerEntry.usd18 += purchase.usdPaid;
+    buyerEntry.tokensOut += purchase.tokensOut;
+    buyerEntry.count += 1;
+    buyers.set(purchase.buyer, buyerEntry);
+  }
+
+  // One bar per day between the first and last purchase
+  const daily = [];
+  if (days.size > 0) {
+    const first = Math.min(...days.keys());
+    const last = Math.max(...days.keys());
+    for (let day = first; day <= last; day += DAY) {
+      daily.push(days.get(day) ?? { day, usd18: 0n, count: 0 });
+    }
+  }
+
+  const byUsdDesc = (a, b) => (a.usd18 < b.usd18 ? 1 : a.usd18 > b.usd18 ? -1 : 0);
+  const purchaseCount = chronological.length;
+
+  return {
+    purchaseCount,
+    totalUsd18,
+    totalTokensOut,
+    uniqueBuyers: buyers.size,
+    averageTicketUsd18: purchaseCount > 0 ? totalUsd18 / BigInt(purchaseCount) : 0n,
+    medianTicketUsd18: median(chronological.map((purchase) => purchase.usdPaid)),
+    cumulative,
+    daily,
+    byToken: [...tokens.values()].sort(byUsdDesc),
+    topBuyers: [...buyers.values()].sort(byUsdDesc).slice(0, topBuyerCount)
+  };
+};
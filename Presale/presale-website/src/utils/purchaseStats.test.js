@@ -0,0 +1,154 @@
+// ══════════════════════════════════════════════════════════════════════════════════════
+// PRESALE ANALYTICS TESTS
+// ══════════════════════════════════════════════════════════════════════════════════════
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { computePurchaseStats } from './purchaseStats.js';
+
+/**
+ * Checks the /stats figures against hand-computed values: totals, ticket
+ * average and median, the running total, the gap-filled daily series and the
+ * token and buyer rankings.
+ */
+
+/** Seconds per day */
+const DAY = 86400;
+
+/** 2025-01-01 00:00 UTC */
+const JAN_1 = 1735689600;
+
+const USDC = { address: '0x1c7D4B196Cb0C7B01d743Fbc6116a902379C7238', symbol: 'USDC', decimals: 6 };
+const ETH = { address: '0x0000000000000000000000000000000000000000', symbol: 'ETH', decimals: 18 };
+
+/**
+ * USD(18) amount
+ * @param {number} dollars - Whole dollars
+ * @returns {bigint} USD(18)
+ */
+const usd = (dollars) => BigInt(dollars) * 10n ** 18n;
+
+/**
+ * Purchase entry (see utils/purchaseLogs.js)
+ * @param {number} blockNumber - Block of the purchase
+ * @param {number} timestamp - Unix seconds
+ * @param {string} buyer - Buyer address
+ * @param {number} dollars - USD paid
+ * @param {Object} [payToken=USDC] - Payment token
+ * @returns {Object} Purchase entry
+ */
+const purchase = (blockNumber, timestamp, buyer, dollars, payToken = USDC) => ({
+  txHash: `0x${blockNumber}`,
+  blockNumber,
+  logIndex: 0,
+  timestamp,
+  buyer,
+  payToken,
+  payAmount: BigInt(dollars) * 10n ** BigInt(payToken.decimals),
+  tokensOut: usd(dollars) * 110n,
+  usdPaid: usd(dollars)
+});
+
+// ──────────────────────────────────────────────────────────────────────────────────────
+// TOTALS AND TICKETS
+// ──────────────────────────────────────────────────────────────────────────────────────
+
+test('returns empty statistics without purchases', () => {
+  const stats = computePurchaseStats([]);
+
+  assert.equal(stats.purchaseCount, 0);
+  assert.equal(stats.totalUsd18, 0n);
+  assert.equal(stats.averageTicketUsd18, 0n);
+  assert.equal(stats.medianTicketUsd18, 0n);
+  assert.deepEqual(stats.cumulative, []);
+  assert.deepEqual(stats.daily, []);
+});
+
+test('sums purchases and takes the middle ticket for odd counts', () => {
+  const stats = computePurchaseStats([
+    purchase(3, JAN_1 + 30, '0xA', 500),
+    purchase(1, JAN_1 + 10, '0xB', 10),
+    purchase(2, JAN_1 + 20, '0xA', 30)
+  ]);
+
+  assert.equal(stats.purchaseCount, 3);
+  assert.equal(stats.totalUsd18, usd(540));
+  assert.equal(stats.totalTokensOut, usd(540) * 110n);
+  assert.equal(stats.uniqueBuyers, 2);
+  assert.equal(stats.averageTicketUsd18, usd(180));
+  assert.equal(stats.medianTicketUsd18, usd(30));
+});
+
+test('averages the two middle tickets for even counts', () => {
+  const stats = computePurchaseStats([
+    purchase(1, JAN_1, '0xA', 1000),
+    purchase(2, JAN_1, '0xB', 10),
+    purchase(3, JAN_1, '0xC', 25),
+    purchase(4, JAN_1, '0xD', 20)
+  ]);
+
+  assert.equal(stats.medianTicketUsd18, usd(22) + usd(1) / 2n);
+});
+
+test('leaves out purchases whose block has no timestamp yet', () => {
+  const pending = { ...purchase(9, JAN_1, '0xA', 100), timestamp: undefined };
+  const stats = computePurchaseStats([purchase(1, JAN_1, '0xA', 10), pending]);
+
+  assert.equal(stats.purchaseCount, 1);
+  assert.equal(stats.totalUsd18, usd(10));
+});
+
+// ──────────────────────────────────────────────────────────────────────────────────────
+// SERIES
+// ──────────────────────────────────────────────────────────────────────────────────────
+
+test('keeps a running total in block order', () => {
+  const stats = computePurchaseStats([
+    purchase(2, JAN_1 + 20, '0xA', 30),
+    purchase(1, JAN_1 + 10, '0xB', 10)
+  ]);
+
+  assert.deepEqual(stats.cumulative, [
+    { timestamp: JAN_1 + 10, totalUsd18: usd(10) },
+    { timestamp: JAN_1 + 20, totalUsd18: usd(40) }
+  ]);
+});
+
+test('fills days without purchases between the first and last UTC day', () => {
+  const stats = computePurchaseStats([
+    purchase(1, JAN_1 + 100, '0xA', 10),
+    purchase(2, JAN_1 + DAY - 1, '0xB', 5),
+    purchase(3, JAN_1 + 3 * DAY, '0xA', 7)
+  ]);
+
+  assert.deepEqual(stats.daily, [
+    { day: JAN_1, usd18: usd(15), count: 2 },
+    { day: JAN_1 + DAY, usd18: 0n, count: 0 },
+    { day: JAN_1 + 2 * DAY, usd18: 0n, count: 0 },
+    { day: JAN_1 + 3 * DAY, usd18: usd(7), count: 1 }
+  ]);
+});
+
+// ──────────────────────────────────────────────────────────────────────────────────────
+// RANKINGS
+// ──────────────────────────────────────────────────────────────────────────────────────
+
+test('ranks payment tokens and buyers by USD, largest first', () => {
+  const stats = computePurchaseStats([
+    purchase(1, JAN_1, '0xA', 10),
+    purchase(2, JAN_1, '0xB', 300, ETH),
+    purchase(3, JAN_1, '0xA', 20),
+    purchase(4, JAN_1, '0xC', 100)
+  ], { topBuyerCount: 2 });
+
+  assert.deepEqual(stats.byToken.map((token) => [token.symbol, token.usd18, token.count]), [
+    ['ETH', usd(300), 1],
+    ['USDC', usd(130), 3]
+  ]);
+  assert.equal(stats.byToken[1].payAmount, 130_000_000n);
+
+  assert.deepEqual(stats.topBuyers.map((buyer) => [buyer.buyer, buyer.usd18, buyer.count]), [
+    ['0xB', usd(300), 1],
+    ['0xC', usd(100), 1]
+  ]);
+});
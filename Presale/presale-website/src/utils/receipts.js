@@ -0,0 +1,143 @@
+// ══════════════════════════════════════════════════════════════════════════════════════
+// PURCHASE RECEIPT EXPORT
+// ══════════════════════════════════════════════════════════════════════════════════════
+
+import { ethers } from 'ethers';
+
+/**
+ * Purchase Receipt Export Utilities
+ *
+ * Turns a wallet's TokensPurchased history into proof-of-purchase files for
+ * accounting and tax purposes. Everything runs in the browser: rows are built
+ * from the already-loaded events and downloaded through a Blob URL, so no
+ * purchase data ever leaves the user's machine.
+ */
+
+// ──────────────────────────────────────────────────────────────────────────────────────
+// RECEIPT ROWS
+// ──────────────────────────────────────────────────────────────────────────────────────
+
+/** Column order for CSV exports (also the key order of JSON rows) */
+const RECEIPT_COLUMNS = [
+  'timestamp',
+  'date',
+  'blockNumber',
+  'txHash',
+  'buyer',
+  'chainId',
+  'presaleContract',
+  'paymentToken',
+  'paymentTokenAddress',
+  'payAmountRaw',
+  'payAmount',
+  'tokensOut',
+  'usdPaid',
+  'pricePerQC7Usd'
+];
+
+/**
+ * Build export rows from purchase history entries
+ *
+ * Amounts are kept as decimal strings so no precision is lost. The effective
+ * price is usdPaid / tokensOut and therefore already reflects the 10% bonus.
+ *
+ * @param {Array} purchases - Entries returned by getPurchaseHistory()
+ * @param {Object} context
+ * @param {string} context.buyer - Wallet address the receipts belong to
+ * @param {number} context.chainId - Chain the presale is deployed on
+ * @param {string} context.presaleContract - Presale contract address
+ * @returns {Array<Object>} One receipt row per purchase, oldest first
+ */
+export const buildReceiptRows = (purchases, { buyer, chainId, presaleContract }) =>
+  [...purchases]
+    .sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex)
+    .map((purchase) => {
+      const pricePerToken = purchase.tokensOut > 0n
+        ? (purchase.usdPaid * 10n ** 18n) / purchase.tokensOut
+        : 0n;
+
+      return {
+        timestamp: purchase.timestamp,
+        date: new Date(purchase.timestamp * 1000).toISOString(),
+        blockNumber: purchase.blockNumber,
+        txHash: purchase.txHash,
+        buyer,
+        chainId,
+        presaleContract,
+        paymentToken: purchase.payToken.symbol,
+        paymentTokenAddress: purchase.payToken.address,
+        payAmountRaw: purchase.payAmount.toString(),
+        payAmount: ethers.formatUnits(purchase.payAmount, purchase.payToken.decimals),
+        tokensOut: ethers.formatEther(purchase.tokensOut),
+        usdPaid: ethers.formatEther(purchase.usdPaid),
+        pricePerQC7Usd: ethers.formatEther(pricePerToken)
+      };
+    });
+
+// ──────────────────────────────────────────────────────────────────────────────────────
+// SERIALIZATION
+// ──────────────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Escape a value for a CSV cell (RFC 4180)
+ * @param {*} value - Cell value
+ * @returns {string} Escaped cell
+ */
+const toCsvCell = (value) => {
+  const text = String(value ?? '');
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Serialize receipt rows as CSV with a header line
+ * @param {Array<Object>} rows - Rows from buildReceiptRows()
+ * @returns {string} CSV document
+ */
+export const receiptsToCsv = (rows) => {
+  const lines = [
+    RECEIPT_COLUMNS.join(','),
+    ...rows.map((row) => RECEIPT_COLUMNS.map((column) => toCsvCell(row[column])).join(','))
+  ];
+  return `${lines.join('\r\n')}\r\n`;
+};
+
+/**
+ * Serialize receipt rows as pretty-printed JSON
+ * @param {Array<Object>} rows - Rows from buildReceiptRows()
+ * @returns {string} JSON document
+ */
+export const receiptsToJson = (rows) => JSON.stringify(rows, null, 2);
+
+// ──────────────────────────────────────────────────────────────────────────────────────
+// DOWNLOAD
+// ──────────────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Trigger a browser download for generated text content
+ *
+ * @param {string} filename - Suggested file name
+ * @param {string} content - File contents
+ * @param {string} mimeType - MIME type (e.g. 'text/csv')
+ */
+export const downloadFile = (filename, content, mimeType) => {
+  const blob = new Blob([content], { type: `${mimeType};charset=utf-8` });
+  const url = URL.createObjectURL(blob);
+
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+
+  // Release the object URL once the download has started
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+};
+
+/**
+ * Build the base file name for a wallet's receipts
+ * @param {string} buyer - Wallet address
+ * @returns {string} File name without extension (e.g. "qc7-receipts-0x1234-2025-01-31")
+ */
+export const getReceiptFileName = (buyer) =>
+  `qc7-receipts-${buyer.slice(0, 6)}-${new Date().toISOString().slice(0, 10)}`;
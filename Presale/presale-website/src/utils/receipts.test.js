@@ -0,0 +1,108 @@
+// ══════════════════════════════════════════════════════════════════════════════════════
+// PURCHASE RECEIPT EXPORT TESTS
+// ══════════════════════════════════════════════════════════════════════════════════════
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildReceiptRows, receiptsToCsv, receiptsToJson } from './receipts.js';
+
+/**
+ * Checks the rows and files buyers export for their records: amounts and the
+ * effective price per QC7 as exact decimal strings, and CSV cells that stay
+ * intact whatever a token symbol contains.
+ */
+
+const BUYER = '0x70997970C51812dc3A010C7d01b50e0d17dc79C8';
+const PRESALE = '0x1EEe32E32AC4538EA29eCEFf439c458b84c516ca';
+const USDC = { address: '0x1c7D4B196Cb0C7B01d743Fbc6116a902379C7238', symbol: 'USDC', decimals: 6 };
+
+/** Export context of every test */
+const CONTEXT = { buyer: BUYER, chainId: 11155111, presaleContract: PRESALE };
+
+/**
+ * Purchase entry as returned by getPurchaseHistory()
+ * @param {Object} fields - Fields overriding the defaults
+ * @returns {Object} Purchase entry
+ */
+const purchase = (fields) => ({
+  txHash: '0xabc',
+  blockNumber: 100,
+  logIndex: 0,
+  timestamp: 1735689600,
+  payToken: USDC,
+  payAmount: 100_000_000n,
+  tokensOut: 11_000n * 10n ** 18n,
+  usdPaid: 100n * 10n ** 18n,
+  ...fields
+});
+
+// ──────────────────────────────────────────────────────────────────────────────────────
+// RECEIPT ROWS
+// ──────────────────────────────────────────────────────────────────────────────────────
+
+test('builds one row per purchase, oldest first, with exact decimal amounts', () => {
+  const rows = buildReceiptRows([
+    purchase({ blockNumber: 200, txHash: '0x2' }),
+    purchase({ blockNumber: 100, logIndex: 1, txHash: '0x1b' }),
+    purchase({ blockNumber: 100, logIndex: 0, txHash: '0x1a' })
+  ], CONTEXT);
+
+  assert.deepEqual(rows.map((row) => row.txHash), ['0x1a', '0x1b', '0x2']);
+  assert.deepEqual(rows[0], {
+    timestamp: 1735689600,
+    date: '2025-01-01T00:00:00.000Z',
+    blockNumber: 100,
+    txHash: '0x1a',
+    buyer: BUYER,
+    chainId: 11155111,
+    presaleContract: PRESALE,
+    paymentToken: 'USDC',
+    paymentTokenAddress: USDC.address,
+    payAmountRaw: '100000000',
+    payAmount: '100.0',
+    tokensOut: '11000.0',
+    usdPaid: '100.0',
+    pricePerQC7Usd: '0.00909090909090909'
+  });
+});
+
+test('prices per QC7 received, bonus included, truncated to 18 decimals', () => {
+  // $1 at a $1 QC7 price buys 1 QC7 plus the 10% bonus
+  const [row] = buildReceiptRows([purchase({ usdPaid: 10n ** 18n, tokensOut: 11n * 10n ** 17n })], CONTEXT);
+  assert.equal(row.pricePerQC7Usd, '0.90909090909090909');
+});
+
+test('reports a zero price instead of dividing by zero', () => {
+  const [row] = buildReceiptRows([purchase({ tokensOut: 0n })], CONTEXT);
+  assert.equal(row.pricePerQC7Usd, '0.0');
+});
+
+// ──────────────────────────────────────────────────────────────────────────────────────
+// SERIALIZATION
+// ──────────────────────────────────────────────────────────────────────────────────────
+
+test('writes CSV with a header line and CRLF line endings', () => {
+  const csv = receiptsToCsv(buildReceiptRows([purchase({})], CONTEXT));
+  const lines = csv.split('\r\n');
+
+  assert.equal(lines[0], 'timestamp,date,blockNumber,txHash,buyer,chainId,presaleContract,paymentToken,paymentTokenAddress,payAmountRaw,payAmount,tokensOut,usdPaid,pricePerQC7Usd');
+  assert.equal(lines[1].split(',').length, 14);
+  assert.equal(lines.at(-1), '');
+  assert.equal(receiptsToCsv([]), `${lines[0]}\r\n`);
+});
+
+test('quotes CSV cells containing commas, quotes or line breaks', () => {
+  const rows = buildReceiptRows([
+    purchase({ payToken: { ...USDC, symbol: 'US"D,C' } }),
+    purchase({ blockNumber: 101, payToken: { ...USDC, symbol: 'line\nbreak' } })
+  ], CONTEXT);
+  const [, first, second] = receiptsToCsv(rows).split('\r\n');
+
+  assert.match(first, /,"US""D,C",/);
+  assert.match(second, /,"line\nbreak",/);
+});
+
+test('writes JSON rows with the same fields and values', () => {
+  const rows = buildReceiptRows([purchase({})], CONTEXT);
+  assert.deepEqual(JSON.parse(receiptsToJson(rows)), rows);
+});
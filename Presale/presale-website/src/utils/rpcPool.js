@@ -0,0 +1,370 @@
+// ══════════════════════════════════════════════════════════════════════════════════════
+// READ-ONLY RPC PROVIDER POOL
+// ══════════════════════════════════════════════════════════════════════════════════════
+
+import { ethers } from 'ethers';
+
+/**
+ * RPC Provider Pool
+ *
+ * A JSON-RPC provider backed by several endpoints for the same chain. Public
+ * RPCs are often rate-limited or down, so instead of pinning one URL the pool:
+ * - Ranks endpoints by block height and latency (eth_blockNumber health checks)
+ * - Fails over to the next endpoint when a request fails at the transport level
+ *   (network error, timeout, HTTP error such as 429, or a rate-limit response)
+ * - Retries the whole pool with exponential backoff before giving up
+ * - Reports the endpoint in use, the last failover and every endpoint's health
+ *   via getStatus() / onStatusChange() instead of logging to the console
+ *
+ * JSON-RPC errors in a successful response (reverts, bad params, ...) are
+ * returned to ethers unchanged; they are answers, not endpoint failures.
+ *
+ * The pool only needs URLs, so it runs unchanged against local JSON-RPC stubs
+ * (e.g. VITE_RPC_URLS=http://127.0.0.1:8545,http://127.0.0.1:8546, or the stub
+ * servers in rpcPool.test.js).
+ */
+
+// ──────────────────────────────────────────────────────────────────────────────────────
+// DEFAULTS
+// ──────────────────────────────────────────────────────────────────────────────────────
+
+const DEFAULT_POOL_OPTIONS = {
+  /** Per-request timeout (ms) */
+  timeoutMs: 8000,
+  /** Extra passes over the whole pool after the first one fails */
+  maxRetries: 2,
+  /** Delay before the first retry pass; doubles on every pass (ms) */
+  backoffMs: 500,
+  /** How long a failed endpoint is skipped before it is tried again (ms) */
+  cooldownMs: 30000,
+  /** Endpoints this many blocks behind the highest one are treated as stale */
+  maxBlockLag: 5,
+  /** Interval between background health checks (ms, 0 = only on demand) */
+  healthCheckIntervalMs: 60000
+};
+
+/** JSON-RPC error codes providers use for rate limiting */
+const RATE_LIMIT_CODES = [-32005, -32090, 429];
+
+/**
+ * Messages providers use when an eth_getLogs query spans too many blocks or
+ * returns too many logs (e.g. "block range is too wide", "query returned more
+ * than 10000 results", "Log response size exceeded"). -32005 also carries these
+ * on some providers; that is an answer, not throttling. Deliberately does not
+ * match "rate limit exceeded" or timeouts.
+ */
+export const LOG_RANGE_LIMIT_PATTERN = /block range|blocks? (is )?too (large|wide|big)|range (is )?too (large|wide|big)|max(imum)? (block )?range|more than [\d,]+ (results|logs|blocks)|response size|too many (results|logs|blocks)|ranges? over [\d,]+|limited to a [\d,]+ (block )?range/i;
+
+/**
+ * Whether a JSON-RPC response is a rate-limit error
+ * @param {Object} result - JSON-RPC response
+ * @returns {boolean} True when the endpoint is throttling us
+ */
+const isRateLimited = (result) => (
+  RATE_LIMIT_CODES.includes(result?.error?.code) && !LOG_RANGE_LIMIT_PATTERN.test(result.error.message ?? '')
+);
+
+/**
+ * Wait for a number of milliseconds
+ * @param {number} ms - Delay
+ * @returns {Promise<void>}
+ */
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// ──────────────────────────────────────────────────────────────────────────────────────
+// PROVIDER
+// ──────────────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Read-only JSON-RPC provider with health-checked failover across endpoints
+ *
+ * Endpoint status fields (see getStatus):
+ * - url: Endpoint URL
+ * - healthy: False while the endpoint is cooling down after a failure or is stale
+ * - blockNumber / latencyMs: Result of the last health check (null = never checked)
+ * - failures: Consecutive failed requests
+ * - lastError: Message of the most recent failure (null when none)
+ * - retryAt: Time (ms) after which an unhealthy endpoint is tried again
+ */
+export class RpcPoolProvider extends ethers.JsonRpcApiProvider {
+  #endpoints;
+  #activeUrl;
+  #lastSwitch = null;
+  #options;
+  #listeners = new Set();
+  #healthTimer = null;
+
+  /**
+   * @param {Array<string>} urls - RPC endpoints in order of preference
+   * @param {number} chainId - Chain every endpoint serves
+   * @param {Object} [options] - Overrides for DEFAULT_POOL_OPTIONS
+   */
+  constructor(urls, chainId, options = {}) {
+    if (!urls || urls.length === 0) throw new Error('RpcPoolProvider needs at least one RPC URL');
+
+    const network = ethers.Network.from(chainId);
+    // Polling: event subscriptions use eth_getLogs per block instead of
+    // eth_newFilter, whose filter IDs would not survive a failover
+    super(network, { staticNetwork: network, polling: true });
+
+    this.#options = { ...DEFAULT_POOL_OPTIONS, ...options };
+    this.#endpoints = urls.map((url) => ({
+      url,
+      healthy: true,
+      blockNumber: null,
+      latencyMs: null,
+      failures: 0,
+      lastError: null,
+      retryAt: 0
+    }));
+    this.#activeUrl = urls[0];
+
+    if (this.#options.healthCheckIntervalMs > 0) {
+      this.#healthTimer = setInterval(() => this.checkHealth(), this.#options.healthCheckIntervalMs);
+    }
+  }
+
+  // ────────────────────────────────────────────────────────────────────────────────────
+  // STATUS REPORTING
+  // ────────────────────────────────────────────────────────────────────────────────────
+
+  /**
+   * Current pool status for debugging and display
+   * @returns {Object} Pool status
+   *   - activeUrl: Endpoint in use
+   *   - lastSwitch: Most recent change of endpoint ({ from, to, at }, null before the first)
+   *   - endpoints: Every endpoint's state
+   */
+  getStatus() {
+    return {
+      activeUrl: this.#activeUrl,
+      lastSwitch: this.#lastSwitch,
+      endpoints: this.#endpoints.map((endpoint) => ({ ...endpoint }))
+    };
+  }
+
+  /**
+   * Subscribe to status changes (failover, health check results)
+   * @param {Function} listener - Called with getStatus()
+   * @returns {Function} Unsubscribe function
+   */
+  onStatusChange(listener) {
+    this.#listeners.add(listener);
+    return () => this.#listeners.delete(listener);
+  }
+
+  /** Notify subscribers after endpoint state changed */
+  #emitStatus() {
+    const status = this.getStatus();
+    this.#listeners.forEach((listener) => listener(status));
+  }
+
+  /**
+   * Make an endpoint the one in use
+   * @param {string} url - Endpoint URL
+   */
+  #setActive(url) {
+    if (url === this.#activeUrl) return;
+    this.#lastSwitch = { from: this.#activeUrl, to: url, at: Date.now() };
+    this.#activeUrl = url;
+  }
+
+  // ────────────────────────────────────────────────────────────────────────────────────
+  // ENDPOINT SELECTION
+  // ────────────────────────────────────────────────────────────────────────────────────
+
+  /**
+   * Endpoints in the order they should be tried
+   *
+   * The active endpoint first, then healthy endpoints by latency, then
+   * endpoints that are cooling down (as a last resort, oldest failure first).
+   *
+   * @returns {Array<Object>} Endpoint state objects
+   */
+  #rankEndpoints() {
+    const now = Date.now();
+    const isUsable = (endpoint) => endpoint.healthy || now >= endpoint.retryAt;
+    const rank = (endpoint) => {
+      if (endpoint.url === this.#activeUrl) return -1;
+      return endpoint.latencyMs ?? Number.MAX_SAFE_INTEGER;
+    };
+
+    const usable = this.#endpoints.filter(isUsable).sort((a, b) => rank(a) - rank(b));
+    const cooling = this.#endpoints.filter((endpoint) => !isUsable(endpoint)).sort((a, b) => a.retryAt - b.retryAt);
+
+    return [...usable, ...cooling];
+  }
+
+  /**
+   * Record a failed request and take the endpoint out of rotation for a while
+   * @param {Object} endpoint - Endpoint state
+   * @param {Error} err - Failure
+   */
+  #markFailed(endpoint, err) {
+    endpoint.healthy = false;
+    endpoint.failures += 1;
+    endpoint.lastError = err.shortMessage || err.message;
+    endpoint.retryAt = Date.now() + this.#options.cooldownMs;
+  }
+
+  /**
+   * Record a successful request
+   * @param {Object} endpoint - Endpoint state
+   */
+  #markHealthy(endpoint) {
+    endpoint.healthy = true;
+    endpoint.failures = 0;
+    endpoint.retryAt = 0;
+  }
+
+  // ────────────────────────────────────────────────────────────────────────────────────
+  // TRANSPORT
+  // ────────────────────────────────────────────────────────────────────────────────────
+
+  /**
+   * POST a JSON-RPC payload to one endpoint
+   *
+   * @param {string} url - Endpoint URL
+   * @param {Object|Array<Object>} payload - JSON-RPC request or batch
+   * @returns {Promise<Array<Object>>} JSON-RPC responses
+   * @throws {Error} On transport failures and rate-limit responses
+   */
+  async #post(url, payload) {
+    const request = new ethers.FetchRequest(url);
+    request.body = JSON.stringify(payload);
+    request.setHeader('content-type', 'application/json');
+    request.timeout = this.#options.timeoutMs;
+
+    // Throttling is handled by failing over, not by waiting on the same endpoint
+    request.retryFunc = async () => false;
+
+    const response = await request.send();
+    response.assertOk();
+
+    const results = Array.isArray(response.bodyJson) ? response.bodyJson : [response.bodyJson];
+    const rateLimited = results.find(isRateLimited);
+    if (rateLimited) throw new Error(`Rate limited: ${rateLimited.error.message}`);
+
+    return results;
+  }
+
+  /**
+   * Send a JSON-RPC payload through the pool (ethers' transport hook)
+   *
+   * Tries every endpoint in rank order; if all fail, waits backoffMs × 2^pass
+   * and tries again, up to maxRetries extra passes.
+   *
+   * @param {Object|Array<Object>} payload - JSON-RPC request or batch
+   * @returns {Promise<Array<Object>>} JSON-RPC responses
+   */
+  async _send(payload) {
+    let lastError = null;
+
+    for (let pass = 0; pass <= this.#options.maxRetries; pass++) {
+      if (pass > 0) await sleep(this.#options.backoffMs * 2 ** (pass - 1));
+
+      for (const endpoint of this.#rankEndpoints()) {
+        try {
+          const results = await this.#post(endpoint.url, payload);
+          const changed = !endpoint.healthy || endpoint.url !== this.#activeUrl;
+          this.#markHealthy(endpoint);
+          this.#setActive(endpoint.url);
+          if (changed) this.#emitStatus();
+          return results;
+        } catch (err) {
+          lastError = err;
+          this.#markFailed(endpoint, err);
+          this.#emitStatus();
+        }
+      }
+    }
+
+    throw lastError;
+  }
+
+  // ────────────────────────────────────────────────────────────────────────────────────
+  // HEALTH CHECKS
+  // ────────────────────────────────────────────────────────────────────────────────────
+
+  /**
+   * Measure block height and latency of every endpoint and pick the best one
+   *
+   * Endpoints that fail or lag more than maxBlockLag blocks behind the highest
+   * one are marked unhealthy. The fastest up-to-date endpoint becomes active.
+   *
+   * @returns {Promise<Object>} Pool status after the check
+   */
+  async checkHealth() {
+    await Promise.all(this.#endpoints.map(async (endpoint) => {
+      const startedAt = performance.now();
+      try {
+        const [result] = await this.#post(endpoint.url, {
+          jsonrpc: '2.0',
+          id: 1,
+          method: 'eth_blockNumber',
+          params: []
+        });
+        if (result.error) throw new Error(result.error.message);
+
+        endpoint.blockNumber = Number(result.result);
+        endpoint.latencyMs = Math.round(performance.now() - startedAt);
+        this.#markHealthy(endpoint);
+      } catch (err) {
+        endpoint.latencyMs = null;
+        this.#markFailed(endpoint, err);
+      }
+    }));
+
+    // Stale endpoints serve old state (e.g. an outdated totalRaised)
+    const highest = Math.max(...this.#endpoints.map((endpoint) => endpoint.blockNumber ?? -Infinity));
+    for (const endpoint of this.#endpoints) {
+      if (endpoint.healthy && endpoint.blockNumber !== null && highest - endpoint.blockNumber > this.#options.maxBlockLag) {
+        this.#markFailed(endpoint, new Error(`Stale: ${highest - endpoint.blockNumber} blocks behind`));
+      }
+    }
+
+    const best = this.#endpoints
+      .filter((endpoint) => endpoint.healthy)
+      .sort((a, b) => a.latencyMs - b.latencyMs)[0];
+    if (best) this.#setActive(best.url);
+
+    this.#emitStatus();
+    return this.getStatus();
+  }
+
+  /** Stop background health checks and release the provider */
+  destroy() {
+    if (this.#healthTimer) {
+      clearInterval(this.#healthTimer);
+      this.#healthTimer = null;
+    }
+    this.#listeners.clear();
+    super.destroy();
+  }
+}
+
+// ──────────────────────────────────────────────────────────────────────────────────────
+// SHARED POOLS
+// ──────────────────────────────────────────────────────────────────────────────────────
+
+/** One pool per chain ID, shared by every hook on the page */
+const sharedPools = new Map();
+
+/**
+ * Get the read-only pool for a deployment
+ *
+ * The pool is created and health-checked on first use and then kept for the
+ * lifetime of the page, so the widget, the activity feed and every other
+ * reader share endpoint health and failover state.
+ *
+ * @param {Object} deployment - Deployment registry entry
+ * @returns {RpcPoolProvider} Shared pool for deployment.chainId
+ */
+export const getReadOnlyProvider = (deployment) => {
+  if (!sharedPools.has(deployment.chainId)) {
+    const pool = new RpcPoolProvider(deployment.rpcUrls, deployment.chainId);
+    pool.checkHealth();
+    sharedPools.set(deployment.chainId, pool);
+  }
+  return sharedPools.get(deployment.chainId);
+};
@@ -0,0 +1,179 @@
+// ══════════════════════════════════════════════════════════════════════════════════════
+// READ-ONLY RPC PROVIDER POOL TESTS
+// ══════════════════════════════════════════════════════════════════════════════════════
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer } from 'node:http';
+import { RpcPoolProvider } from './rpcPool.js';
+
+/**
+ * Runs RpcPoolProvider against local JSON-RPC stub servers (node --test, see
+ * the "test" script). Each stub answers every request with its handler, so
+ * outages, throttling and lagging nodes can be simulated without a chain.
+ */
+
+/** Pool options that keep the tests fast and free of background timers */
+const TEST_POOL_OPTIONS = {
+  timeoutMs: 2000,
+  maxRetries: 1,
+  backoffMs: 1,
+  healthCheckIntervalMs: 0
+};
+
+// ──────────────────────────────────────────────────────────────────────────────────────
+// STUB SERVERS
+// ──────────────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Start a JSON-RPC stub on a free local port
+ *
+ * @param {Function} handler - Called with each JSON-RPC request; returns
+ *   { result }, { error } or { status } (an HTTP error without a body)
+ * @returns {Promise<{ url: string, calls: Array<string>, close: Function }>}
+ *   Stub URL, the methods it was called with and a function to stop it
+ */
+const startStub = (handler) => new Promise((resolve) => {
+  const calls = [];
+
+  const server = createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => { body += chunk; });
+    req.on('end', () => {
+      const payload = JSON.parse(body);
+      const requests = Array.isArray(payload) ? payload : [payload];
+      const answers = requests.map((request) => {
+        calls.push(request.method);
+        return { id: request.id, ...handler(request) };
+      });
+
+      const failed = answers.find((answer) => answer.status);
+      if (failed) {
+        res.writeHead(failed.status);
+        res.end();
+        return;
+      }
+
+      const responses = answers.map(({ id, result, error }) => (
+        error ? { jsonrpc: '2.0', id, error } : { jsonrpc: '2.0', id, result }
+      ));
+      res.writeHead(200, { 'content-type': 'application/json' });
+      res.end(JSON.stringify(Array.isArray(payload) ? responses : responses[0]));
+    });
+  });
+
+  server.listen(0, '127.0.0.1', () => {
+    resolve({
+      url: `http://127.0.0.1:${server.address().port}`,
+      calls,
+      close: () => new Promise((done) => server.close(done))
+    });
+  });
+});
+
+/**
+ * Stub handler for a node at a fixed block height
+ * @param {number} blockNumber - Height reported by eth_blockNumber
+ * @returns {Function} Handler for startStub()
+ */
+const nodeAt = (blockNumber) => (request) => {
+  if (request.method === 'eth_blockNumber') return { result: `0x${blockNumber.toString(16)}` };
+  return { error: { code: -32601, message: `${request.method} not supported` } };
+};
+
+/**
+ * Create a pool over stubs and release everything when the test ends
+ * @param {import('node:test').TestContext} t - Test context
+ * @param {Array<Object>} stubs - Stubs from startStub()
+ * @returns {RpcPoolProvider} Pool using the stubs in the given order
+ */
+const createPool = (t, stubs) => {
+  const pool = new RpcPoolProvider(stubs.map((stub) => stub.url), 1, TEST_POOL_OPTIONS);
+  t.after(async () => {
+    pool.destroy();
+    await Promise.all(stubs.map((stub) => stub.close()));
+  });
+  return pool;
+};
+
+// ──────────────────────────────────────────────────────────────────────────────────────
+// FAILOVER
+// ──────────────────────────────────────────────────────────────────────────────────────
+
+test('fails over to the next endpoint on HTTP errors and reports the switch', async (t) => {
+  const down = await startStub(() => ({ status: 503 }));
+  const up = await startStub(nodeAt(100));
+  const pool = createPool(t, [down, up]);
+
+  const statuses = [];
+  pool.onStatusChange((status) => statuses.push(status));
+
+  assert.equal(await pool.getBlockNumber(), 100);
+
+  const status = pool.getStatus();
+  assert.equal(status.activeUrl, up.url);
+  assert.equal(status.lastSwitch.from, down.url);
+  assert.equal(status.lastSwitch.to, up.url);
+
+  const [failed, healthy] = status.endpoints;
+  assert.equal(failed.healthy, false);
+  assert.equal(failed.failures, 1);
+  assert.match(failed.lastError, /503/);
+  assert.equal(healthy.healthy, true);
+
+  // The failure and the switch both reached subscribers
+  assert.ok(statuses.some((s) => s.endpoints[0].lastError !== null));
+  assert.equal(statuses.at(-1).activeUrl, up.url);
+});
+
+test('fails over on rate-limit responses', async (t) => {
+  const throttled = await startStub(() => ({ error: { code: -32005, message: 'rate limit exceeded' } }));
+  const up = await startStub(nodeAt(42));
+  const pool = createPool(t, [throttled, up]);
+
+  assert.equal(await pool.getBlockNumber(), 42);
+  assert.equal(pool.getStatus().activeUrl, up.url);
+  assert.match(pool.getStatus().endpoints[0].lastError, /Rate limited/);
+});
+
+test('returns log range errors to the caller instead of failing over', async (t) => {
+  const limited = await startStub(() => ({ error: { code: -32005, message: 'block range is too wide' } }));
+  const other = await startStub(nodeAt(1));
+  const pool = createPool(t, [limited, other]);
+
+  await assert.rejects(pool.send('eth_getLogs', [{ fromBlock: '0x0', toBlock: '0x100000' }]), /block range is too wide/);
+  assert.deepEqual(other.calls, []);
+  assert.equal(pool.getStatus().activeUrl, limited.url);
+  assert.equal(pool.getStatus().lastSwitch, null);
+});
+
+test('retries the whole pool and throws the last error when every endpoint fails', async (t) => {
+  const first = await startStub(() => ({ status: 500 }));
+  const second = await startStub(() => ({ status: 502 }));
+  const pool = createPool(t, [first, second]);
+
+  await assert.rejects(pool.getBlockNumber());
+
+  // One pass plus maxRetries extra passes over both endpoints
+  assert.equal(first.calls.length, 1 + TEST_POOL_OPTIONS.maxRetries);
+  assert.equal(second.calls.length, 1 + TEST_POOL_OPTIONS.maxRetries);
+  assert.ok(pool.getStatus().endpoints.every((endpoint) => !endpoint.healthy));
+});
+
+// ──────────────────────────────────────────────────────────────────────────────────────
+// HEALTH CHECKS
+// ──────────────────────────────────────────────────────────────────────────────────────
+
+test('health checks mark lagging endpoints stale and activate an up-to-date one', async (t) => {
+  const lagging = await startStub(nodeAt(90));
+  const current = await startStub(nodeAt(100));
+  const pool = createPool(t, [lagging, current]);
+
+  const status = await pool.checkHealth();
+
+  assert.equal(status.activeUrl, current.url);
+  assert.equal(status.endpoints[0].healthy, false);
+  assert.match(status.endpoints[0].lastError, /Stale: 10 blocks behind/);
+  assert.equal(status.endpoints[1].blockNumber, 100);
+  assert.equal(status.endpoints[1].healthy, true);
+});
@@ -0,0 +1,512 @@
+// ══════════════════════════════════════════════════════════════════════════════════════
+// TRANSACTION MANAGER
+// ══════════════════════════════════════════════════════════════════════════════════════
+
+import { ethers } from 'ethers';
+import { getDeployment } from '../config/deployments';
+import { getReadOnlyProvider } from './rpcPool';
+import { sendCalls, waitForCalls, CALLS_TIMEOUT_MS } from './walletCalls';
+
+/**
+ * Transaction Manager
+ *
+ * Tracks every transaction a purchase sends (approve and buy) from the wallet
+ * prompt until it is final, and persists that state in localStorage so a
+ * reload mid-transaction does not lose it.
+ *
+ * A purchase is a flow of steps. Each step records:
+ * {
+ *   kind,                 // 'permit' | 'approve' | 'approveAndBuy' | 'buy' | 'revoke'
+ *   status,               // see TX_STATUS
+ *   hash, nonce, from,    // once submitted
+ *   callsId, submittedAt, // wallet_sendCalls bundle ID and send time for batched steps
+ *   startBlock,           // block number when submitted (replacement scanning)
+ *   replacedHash,         // original hash when the wallet sped the tx up
+ *   error,                // message when failed or replaced
+ *   updatedAt
+ * }
+ *
+ * - Pending hashes are watched again after a reload through the read-only RPC
+ *   pool of the flow's chain
+ * - Speed-ups (same call, higher fee) continue as the replacement transaction;
+ *   cancellations and other replacements end the step as 'replaced', using
+ *   ethers' TRANSACTION_REPLACED detection
+ * - Signature-only steps (permit) go through sign(); batched calls
+ *   (wallet_sendCalls) through sendBatch(), and are watched again through the
+ *   wallet once it reconnects (resumeBatches). A batch still pending
+ *   CALLS_TIMEOUT_MS after it was sent fails its step
+ */
+
+// ──────────────────────────────────────────────────────────────────────────────────────
+// CONSTANTS
+// ──────────────────────────────────────────────────────────────────────────────────────
+
+/** Step status values */
+export const TX_STATUS = {
+  /** Not started yet (e.g. buy while the approval is pending) */
+  WAITING: 'waiting',
+  /** Waiting for the user to confirm in the wallet */
+  SIGNING: 'signing',
+  /** Submitted, not yet mined */
+  PENDING: 'pending',
+  CONFIRMED: 'confirmed',
+  /** Rejected in the wallet, reverted, or failed before submission */
+  FAILED: 'failed',
+  /** Cancelled or replaced by a different transaction with the same nonce */
+  REPLACED: 'replaced'
+};
+
+/** localStorage key holding all flows */
+const STORAGE_KEY = 'qc7-presale-transactions';
+
+/** Flows kept per account and chain (oldest are dropped) */
+const MAX_FLOWS = 20;
+
+/** Delay before re-checking a pending hash the RPC does not know (ms) */
+const UNKNOWN_TX_RETRY_MS = 15000;
+
+/** Statuses after which a step no longer changes */
+const FINAL_STATUSES = [TX_STATUS.CONFIRMED, TX_STATUS.FAILED, TX_STATUS.REPLACED];
+
+/**
+ * Whether a step status is final
+ * @param {string} status - Step status
+ * @returns {boolean} True for confirmed, failed and replaced
+ */
+export const isFinalStatus = (status) => FINAL_STATUSES.includes(status);
+
+// ──────────────────────────────────────────────────────────────────────────────────────
+// STORAGE
+// ──────────────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Read all flows from localStorage
+ * @returns {Array<Object>} Stored flows (empty when missing or unreadable)
+ */
+const readFlows = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    return Array.isArray(stored) ? stored : [];
+  } catch {
+    return [];
+  }
+};
+
+/**
+ * Write all flows to localStorage, keeping the newest MAX_FLOWS per account and chain
+ * @param {Array<Object>} flows - Flows, oldest first
+ */
+const writeFlows = (flows) => {
+  const counts = new Map();
+  const kept = [...flows].reverse().filter((flow) => {
+    const key = `${flow.chainId}:${flow.account}`;
+    counts.set(key, (counts.get(key) ?? 0) + 1);
+    return counts.get(key) <= MAX_FLOWS;
+  }).reverse();
+
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(kept));
+  } catch (err) {
+    console.warn('[transactions] Could not persist transaction state:', err?.message);
+  }
+};
+
+// ──────────────────────────────────────────────────────────────────────────────────────
+// MANAGER
+// ──────────────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Persistent transaction manager (use the shared `transactionManager` instance)
+ */
+class TransactionManager {
+  #flows = readFlows();
+  #listeners = new Set();
+  #watching = new Set();
+  /** Flows started in this page session (others can no longer continue) */
+  #activeFlows = new Set();
+  #resumed = false;
+
+  /**
+   * Flows of an account on a chain, newest first
+   * @param {number} chainId - Chain ID
+   * @param {string} account - Wallet address
+   * @returns {Array<Object>} Flows with an `interrupted` flag for flows from an
+   *   earlier page session that still have steps left
+   */
+  getFlows(chainId, account) {
+    if (!account) return [];
+
+    return this.#flows
+      .filter((flow) => flow.chainId === chainId && flow.account === account.toLowerCase())
+      .map((flow) => ({
+        ...flow,
+        interrupted: !this.#activeFlows.has(flow.id) && flow.steps.some((step) => step.status === TX_STATUS.WAITING)
+      }))
+      .reverse();
+  }
+
+  /**
+   * Subscribe to flow changes
+   * @param {Function} listener - Called after every change
+   * @returns {Function} Unsubscribe function
+   */
+  subscribe(listener) {
+    this.#listeners.add(listener);
+    return () => this.#listeners.delete(listener);
+  }
+
+  /**
+   * Start a purchase flow
+   *
+   * @param {Object} params
+   * @param {number} params.chainId - Chain the transactions are sent on
+   * @param {string} params.account - Sending wallet
+   * @param {string} params.label - Short description, e.g. "100 USDC → QC7"
+   * @param {string} [params.tokenSymbol] - Payment token symbol (step titles)
+   * @param {Array<string>} params.steps - Step kinds in order, e.g. ['approve', 'buy']
+   * @returns {string} Flow ID
+   */
+  startFlow({ chainId, account, label, tokenSymbol = null, steps }) {
+    const now = Date.now();
+    const flow = {
+      id: `${now}-${Math.random().toString(36).slice(2, 8)}`,
+      chainId,
+      account: account.toLowerCase(),
+      label,
+      tokenSymbol,
+      createdAt: now,
+      steps: steps.map((kind) => ({ kind, status: TX_STATUS.WAITING, updatedAt: now }))
+    };
+
+    this.#activeFlows.add(flow.id);
+    this.#flows = [...this.#flows, flow];
+    this.#commit();
+    return flow.id;
+  }
+
+  /**
+   * Remove a flow from the list
+   * @param {string} flowId - Flow ID
+   */
+  dismiss(flowId) {
+    this.#flows = this.#flows.filter((flow) => flow.id !== flowId);
+    this.#commit();
+  }
+
+  /**
+   * Send one step's transaction and wait until it is final
+   *
+   * @param {string} flowId - Flow ID from startFlow()
+   * @param {string} kind - Step kind
+   * @param {Function} submit - Opens the wallet; resolves to the TransactionResponse
+   * @param {Object} [options]
+   * @param {Function} [options.decodeError] - Maps errors to the error that is
+   *   thrown (its message is stored on the step)
+   * @returns {Promise<ethers.TransactionReceipt>} Receipt of the mined transaction
+   *   (of the replacement when the wallet sped it up)
+   * @throws {Error} When the wallet rejects, the transaction reverts or is replaced
+   */
+  async send(flowId, kind, submit, { decodeError = (err) => err } = {}) {
+    this.#updateStep(flowId, kind, { status: TX_STATUS.SIGNING });
+
+    let tx;
+    try {
+      tx = await submit();
+    } catch (err) {
+      const decoded = decodeError(err);
+      this.#updateStep(flowId, kind, { status: TX_STATUS.FAILED, error: decoded.message });
+      throw decoded;
+    }
+
+    this.#updateStep(flowId, kind, {
+      status: TX_STATUS.PENDING,
+      hash: tx.hash,
+      nonce: tx.nonce,
+      from: tx.from,
+      startBlock: await tx.provider.getBlockNumber().catch(() => null)
+    });
+
+    return this.#wait(flowId, kind, tx, decodeError);
+  }
+
+  /**
+   * Run a signature-only step (no transaction)
+   *
+   * @param {string} flowId - Flow ID from startFlow()
+   * @param {string} kind - Step kind
+   * @param {Function} signFn - Asks the wallet for the signature
+   * @param {Object} [options]
+   * @param {Function} [options.decodeError] - See send()
+   * @returns {Promise<*>} Result of signFn
+   * @throws {Error} When the wallet rejects or signing fails
+   */
+  async sign(flowId, kind, signFn, { decodeError = (err) => err } = {}) {
+    this.#updateStep(flowId, kind, { status: TX_STATUS.SIGNING });
+
+    try {
+      const result = await signFn();
+      this.#updateStep(flowId, kind, { status: TX_STATUS.CONFIRMED });
+      return result;
+    } catch (err) {
+      const decoded = decodeError(err);
+      this.#updateStep(flowId, kind, { status: TX_STATUS.FAILED, error: decoded.message });
+      throw decoded;
+    }
+  }
+
+  /**
+   * Send one step as an atomic wallet_sendCalls batch and wait until it is final
+   *
+   * @param {string} flowId - Flow ID from startFlow()
+   * @param {string} kind - Step kind
+   * @param {Object} walletProvider - EIP-1193 provider of the connected wallet
+   * @param {Object} request - { from, chainId, calls } (see walletCalls.sendCalls)
+   * @param {Object} [options]
+   * @param {Function} [options.decodeError] - See send()
+   * @returns {Promise<{ hash: string|null }>} Hash of the transaction that carried the batch
+   * @throws {Error} When the wallet rejects, the batch fails or is not final in time
+   */
+  async sendBatch(flowId, kind, walletProvider, request, { decodeError = (err) => err } = {}) {
+    this.#updateStep(flowId, kind, { status: TX_STATUS.SIGNING });
+
+    let callsId;
+    try {
+      callsId = await sendCalls(walletProvider, request);
+    } catch (err) {
+      const decoded = decodeError(err);
+      this.#updateStep(flowId, kind, { status: TX_STATUS.FAILED, error: decoded.message });
+      throw decoded;
+    }
+
+    const submittedAt = Date.now();
+    this.#updateStep(flowId, kind, { status: TX_STATUS.PENDING, callsId, submittedAt, from: request.from });
+    return this.#waitForBatch(flowId, kind, walletProvider, callsId, submittedAt, decodeError);
+  }
+
+  /**
+   * Watch batched steps that were pending when the page was closed
+   *
+   * Bundle IDs are only known to the wallet, so this runs once it is connected.
+   *
+   * @param {Object} walletProvider - EIP-1193 provider of the connected wallet
+   * @param {string} account - Connected address
+   */
+  resumeBatches(walletProvider, account) {
+    this.#flows
+      .filter((flow) => flow.account === account.toLowerCase())
+      .forEach((flow) => flow.steps.forEach((step) => {
+        if (step.status === TX_STATUS.PENDING && step.callsId && !this.#watching.has(step.callsId)) {
+          const toError = (err) => new Error(err.shortMessage || err.message);
+          const submittedAt = step.submittedAt ?? step.updatedAt;
+          this.#waitForBatch(flow.id, step.kind, walletProvider, step.callsId, submittedAt, toError).catch(() => {});
+        }
+      }));
+  }
+
+  /**
+   * Mark a step failed without sending it (e.g. its simulation reverted)
+   * @param {string} flowId - Flow ID
+   * @param {string} kind - Step kind
+   * @param {string} message - Reason shown on the step
+   */
+  failStep(flowId, kind, message) {
+    this.#updateStep(flowId, kind, { status: TX_STATUS.FAILED, error: message });
+  }
+
+  /**
+   * Watch every pending step again (after a reload)
+   *
+   * Steps that were still waiting for a wallet signature cannot be recovered:
+   * the wallet may or may not have sent them, so they are marked failed.
+   */
+  resume() {
+    if (this.#resumed) return;
+    this.#resumed = true;
+
+    this.#flows.forEach((flow) => flow.steps.forEach((step) => {
+      if (step.status === TX_STATUS.SIGNING) {
+        this.#updateStep(flow.id, step.kind, {
+          status: TX_STATUS.FAILED,
+          error: 'The page was reloaded before the wallet returned a transaction. Check your wallet activity.'
+        });
+      } else if (step.status === TX_STATUS.PENDING && !step.callsId) {
+        this.#watchStored(flow, step);
+      }
+    }));
+  }
+
+  // ────────────────────────────────────────────────────────────────────────────────────
+  // WATCHING
+  // ────────────────────────────────────────────────────────────────────────────────────
+
+  /**
+   * Wait for a transaction, following speed-ups and recording the outcome
+   *
+   * @param {string} flowId - Flow ID
+   * @param {string} kind - Step kind
+   * @param {ethers.TransactionResponse} tx - Transaction able to detect replacements
+   * @param {Function} decodeError - See send()
+   * @returns {Promise<ethers.TransactionReceipt>} Receipt
+   */
+  async #wait(flowId, kind, tx, decodeError) {
+    this.#watching.add(tx.hash);
+
+    try {
+      const receipt = await tx.wait();
+      this.#updateStep(flowId, kind, { status: TX_STATUS.CONFIRMED });
+      return receipt;
+    } catch (err) {
+      // Speed-up: the same call mined under a new hash
+      if (ethers.isError(err, 'TRANSACTION_REPLACED') && !err.cancelled) {
+        const succeeded = err.receipt.status === 1;
+        this.#updateStep(flowId, kind, {
+          status: succeeded ? TX_STATUS.CONFIRMED : TX_STATUS.FAILED,
+          hash: err.replacement.hash,
+          replacedHash: tx.hash,
+          ...(succeeded ? {} : { error: 'Transaction reverted' })
+        });
+        if (succeeded) return err.receipt;
+        throw decodeError(Object.assign(new Error('Transaction reverted'), { receipt: err.receipt }));
+      }
+
+      if (ethers.isError(err, 'TRANSACTION_REPLACED')) {
+        this.#updateStep(flowId, kind, {
+          status: TX_STATUS.REPLACED,
+          replacedHash: tx.hash,
+          hash: err.replacement.hash,
+          error: err.reason === 'cancelled'
+            ? 'Transaction was cancelled in the wallet'
+            : 'Transaction was replaced by another transaction'
+        });
+        throw err;
+      }
+
+      const decoded = decodeError(err);
+      this.#updateStep(flowId, kind, { status: TX_STATUS.FAILED, error: decoded.message });
+      throw decoded;
+    } finally {
+      this.#watching.delete(tx.hash);
+    }
+  }
+
+  /**
+   * Wait for a wallet_sendCalls batch and record the outcome
+   *
+   * @param {string} flowId - Flow ID
+   * @param {string} kind - Step kind
+   * @param {Object} walletProvider - EIP-1193 provider of the connected wallet
+   * @param {string} callsId - Bundle ID
+   * @param {number} submittedAt - Time (ms) the batch was sent; the step fails
+   *   when it is still pending CALLS_TIMEOUT_MS later
+   * @param {Function} decodeError - See send()
+   * @returns {Promise<{ hash: string|null }>} Hash of the transaction that carried the batch
+   */
+  async #waitForBatch(flowId, kind, walletProvider, callsId, submittedAt, decodeError) {
+    this.#watching.add(callsId);
+
+    try {
+      let outcome;
+      try {
+        outcome = await waitForCalls(walletProvider, callsId, { deadline: submittedAt + CALLS_TIMEOUT_MS });
+      } catch (err) {
+        this.#updateStep(flowId, kind, {
+          status: TX_STATUS.FAILED,
+          error: err.code === 'CALLS_TIMEOUT'
+            ? `The wallet did not report this transaction as mined within ${CALLS_TIMEOUT_MS / 60000} minutes. Check your wallet activity.`
+            // e.g. a wallet that forgot the bundle after a restart
+            : 'The wallet could not report the status of this transaction. Check your wallet activity.'
+        });
+        throw decodeError(err);
+      }
+
+      const { success, transactionHash } = outcome;
+      if (!success) {
+        const decoded = decodeError(new Error('Transaction reverted'));
+        this.#updateStep(flowId, kind, { status: TX_STATUS.FAILED, hash: transactionHash, error: decoded.message });
+        throw decoded;
+      }
+
+      this.#updateStep(flowId, kind, { status: TX_STATUS.CONFIRMED, hash: transactionHash });
+      return { hash: transactionHash };
+    } finally {
+      this.#watching.delete(callsId);
+    }
+  }
+
+  /**
+   * Watch a pending step restored from localStorage
+   *
+   * @param {Object} flow - Stored flow
+   * @param {Object} step - Pending step
+   */
+  async #watchStored(flow, step) {
+    if (this.#watching.has(step.hash)) return;
+
+    const deployment = getDeployment(flow.chainId);
+    if (!deployment) return;
+    const provider = getReadOnlyProvider(deployment);
+
+    try {
+      const tx = await provider.getTransaction(step.hash);
+
+      if (tx) {
+        const replaceable = step.startBlock != null ? tx.replaceableTransaction(step.startBlock) : tx;
+        const toError = (err) => new Error(err.shortMessage || err.message);
+        await this.#wait(flow.id, step.kind, replaceable, toError).catch(() => {});
+        return;
+      }
+
+      // The RPC no longer knows the hash: replaced (and the replacement mined) once
+      // the nonce is used, otherwise not propagated yet
+      const nonce = await provider.getTransactionCount(step.from, 'latest');
+      if (step.nonce != null && nonce > step.nonce) {
+        this.#updateStep(flow.id, step.kind, {
+          status: TX_STATUS.REPLACED,
+          error: 'Transaction was replaced by another transaction'
+        });
+        return;
+      }
+    } catch (err) {
+      console.warn('[transactions] Could not check transaction', step.hash, err?.message);
+    }
+
+    setTimeout(() => {
+      const current = this.#flows.find((f) => f.id === flow.id);
+      const currentStep = current?.steps.find((s) => s.kind === step.kind);
+      if (currentStep?.status === TX_STATUS.PENDING) this.#watchStored(current, currentStep);
+    }, UNKNOWN_TX_RETRY_MS);
+  }
+
+  // ────────────────────────────────────────────────────────────────────────────────────
+  // STATE UPDATES
+  // ────────────────────────────────────────────────────────────────────────────────────
+
+  /**
+   * Update one step of a flow, persist and notify
+   * @param {string} flowId - Flow ID
+   * @param {string} kind - Step kind
+   * @param {Object} changes - Step fields to set
+   */
+  #updateStep(flowId, kind, changes) {
+    this.#flows = this.#flows.map((flow) => (
+      flow.id !== flowId ? flow : {
+        ...flow,
+        steps: flow.steps.map((step) => (
+          step.kind !== kind ? step : { ...step, ...changes, updatedAt: Date.now() }
+        ))
+      }
+    ));
+    this.#commit();
+  }
+
+  /**
+   * Persist and notify listeners
+   */
+  #commit() {
+    writeFlows(this.#flows);
+    this.#listeners.forEach((listener) => listener());
+  }
+}
+
+/** Shared manager for the page */
+export const transactionManager = new TransactionManager();
@@ -0,0 +1,121 @@
+// ══════════════════════════════════════════════════════════════════════════════════════
+// WALLET CALL BATCHING (EIP-5792)
+// ══════════════════════════════════════════════════════════════════════════════════════
+
+import { ethers } from 'ethers';
+
+/**
+ * Wallet Call Batching
+ *
+ * Sends several calls as one atomic wallet request (wallet_sendCalls) and
+ * follows the bundle until it is mined (wallet_getCallsStatus). Used to submit
+ * a signed permit() or an approve() together with the purchase, so the buyer
+ * confirms a single transaction.
+ *
+ * Both the current EIP-5792 format (numeric status codes, `atomic`
+ * capability) and the earlier draft still shipped by some wallets
+ * ('PENDING'/'CONFIRMED', `atomicBatch` capability) are understood.
+ */
+
+/** Delay between wallet_getCallsStatus polls (ms) */
+const CALLS_STATUS_INTERVAL_MS = 2000;
+
+/** How long a batch may stay pending before waitForCalls() gives up (ms) */
+export const CALLS_TIMEOUT_MS = 15 * 60 * 1000;
+
+/** EIP-5792 status codes: 1xx pending, 200 confirmed, 4xx/5xx/6xx failed */
+const CALLS_STATUS_CONFIRMED = 200;
+
+/**
+ * Wait for a number of milliseconds
+ * @param {number} ms - Delay
+ * @returns {Promise<void>}
+ */
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Whether the wallet can execute a batch of calls atomically on a chain
+ *
+ * @param {Object} walletProvider - EIP-1193 provider of the connected wallet
+ * @param {string} account - Connected address
+ * @param {number} chainId - Chain the calls would run on
+ * @returns {Promise<boolean>} False when unsupported or the wallet does not know wallet_getCapabilities
+ */
+export const supportsAtomicBatch = async (walletProvider, account, chainId) => {
+  const chainHex = ethers.toQuantity(chainId);
+
+  try {
+    const capabilities = await walletProvider.request({
+      method: 'wallet_getCapabilities',
+      params: [account, [chainHex]]
+    });
+    const chain = capabilities?.[chainHex] ?? capabilities?.['0x0'] ?? {};
+
+    return ['supported', 'ready'].includes(chain.atomic?.status) || chain.atomicBatch?.supported === true;
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Send calls as one atomic batch
+ *
+ * @param {Object} walletProvider - EIP-1193 provider of the connected wallet
+ * @param {Object} request
+ * @param {string} request.from - Sending address
+ * @param {number} request.chainId - Chain ID
+ * @param {Array<{ to: string, data: string, value?: bigint }>} request.calls - Calls in execution order
+ * @returns {Promise<string>} Bundle ID for waitForCalls()
+ */
+export const sendCalls = async (walletProvider, { from, chainId, calls }) => {
+  const result = await walletProvider.request({
+    method: 'wallet_sendCalls',
+    params: [{
+      version: '2.0.0',
+      chainId: ethers.toQuantity(chainId),
+      from,
+      atomicRequired: true,
+      calls: calls.map(({ to, data, value = 0n }) => ({ to, data, value: ethers.toQuantity(value) }))
+    }]
+  });
+
+  // Draft implementations return the ID itself
+  return typeof result === 'string' ? result : result.id;
+};
+
+/**
+ * Wait until a batch is final
+ *
+ * @param {Object} walletProvider - EIP-1193 provider of the connected wallet
+ * @param {string} id - Bundle ID from sendCalls()
+ * @param {Object} [options]
+ * @param {number} [options.deadline] - Time (ms) after which to stop waiting
+ *   (defaults to CALLS_TIMEOUT_MS from now)
+ * @returns {Promise<{ success: boolean, transactionHash: string|null }>} Outcome and
+ *   the hash of the (last) transaction that carried the batch
+ * @throws {Error} With code 'CALLS_TIMEOUT' when the batch is still pending at
+ *   the deadline, or the wallet's error when it cannot report the status
+ */
+export const waitForCalls = async (walletProvider, id, { deadline = Date.now() + CALLS_TIMEOUT_MS } = {}) => {
+  for (;;) {
+    const result = await walletProvider.request({ method: 'wallet_getCallsStatus', params: [id] });
+    const { status } = result;
+    const pending = status === 'PENDING' || (typeof status === 'number' && status < CALLS_STATUS_CONFIRMED);
+
+    if (!pending) {
+      const receipts = result.receipts ?? [];
+      const last = receipts[receipts.length - 1];
+      const mined = status === 'CONFIRMED' || status === CALLS_STATUS_CONFIRMED;
+
+      return {
+        success: mined && receipts.length > 0 && receipts.every((receipt) => receipt.status === '0x1' || receipt.status === 'success'),
+        transactionHash: last?.transactionHash ?? null
+      };
+    }
+
+    if (Date.now() + CALLS_STATUS_INTERVAL_MS > deadline) {
+      throw Object.assign(new Error(`Batch ${id} is still pending after the confirmation deadline`), { code: 'CALLS_TIMEOUT' });
+    }
+    await sleep(CALLS_STATUS_INTERVAL_MS);
+  }
+};